@@ -0,0 +1,28 @@
+/**
+ * Error for stale writes with optimistic concurrency control, eg. when `db.update(doc, data, {"versionCheck": true})`
+ * is called with a `doc.$version` which is not the current version in the database.
+ */
+export class NoPgConflictError extends Error {
+
+    /**
+     *
+     * @param message {string}
+     * @param current {object|undefined} The current copy from the server, or `undefined` if it does not exist anymore
+     */
+    constructor (message, current) {
+
+        super(message);
+
+        this.name = 'NoPgConflictError';
+
+        /**
+         * @type {object|undefined}
+         */
+        this.current = current;
+
+    }
+
+}
+
+// noinspection JSUnusedGlobalSymbols
+export default NoPgConflictError;
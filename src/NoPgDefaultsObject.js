@@ -7,4 +7,8 @@
  *                                            When a user provides a type as a string, it will be converted as
  *                                            a type object. This will enable additional features like optional
  *                                            `traits.documents` support as a predefined in type.
+ * @property {number} [streamBatchSize] - The number of rows fetched at once from the server-side cursor in `db.stream()`
+ *                                        and by `db.migrateType()`.
+ *                                        Defaults to 1000.
+ * @property {string} [fullTextLanguage] - The default language of `fullTextIndexes` in types. Defaults to `english`.
  */
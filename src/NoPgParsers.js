@@ -23,6 +23,38 @@ export class NoPgParsers {
 
     }
 
+    /** Returns the type object of the query if it is known, otherwise `undefined`.
+     *
+     * @param q {Query}
+     * @returns {object|undefined}
+     */
+    static get_document_type_object (q) {
+        if (!q) return;
+        if (NoPgUtils.isObjectNotArray(q.document_type_obj)) return q.document_type_obj;
+        return NoPgUtils.isObjectNotArray(q.document_type) ? q.document_type : undefined;
+    }
+
+    /** Parse object predicates like `{"name": "foo", "age": {"$gt": 18}, "$text": "hello world"}` */
+    static parse_object_predicate (ObjType, q, def_op, traits, o) {
+
+        const comparison_keys = _.filter(Object.keys(o), k => NoPgUtils.is_comparison_object(o[k]));
+
+        const values = NoPgUtils.parse_predicates(ObjType)( _.omit(o, comparison_keys.concat(['$text'])), ObjType.meta.datakey.substr(1) );
+
+        const document_type = NoPgParsers.get_document_type_object(q);
+
+        let predicates = _.map(Object.keys(values), k => new Predicate('' + k + ' = $', [values[k]])).concat(
+            _.map(comparison_keys, k => NoPgUtils.parse_comparison_predicate(ObjType, document_type, k, o[k]))
+        );
+
+        if (o.hasOwnProperty('$text')) {
+            predicates.push( NoPgUtils.parse_text_predicate(ObjType, document_type, o.$text) );
+        }
+
+        return Predicate.join(predicates, def_op);
+
+    }
+
     /** Recursively parse predicates */
     static recursive_parse_predicates (ObjType, q, def_op, traits, o) {
 
@@ -35,13 +67,7 @@ export class NoPgParsers {
         }
 
         if ( NoPgUtils.isObjectNotArray(o) ) {
-
-            o = NoPgUtils.parse_predicates(ObjType)(o, ObjType.meta.datakey.substr(1) );
-
-            let predicates = _.map(Object.keys(o), k => new Predicate('' + k + ' = $', [o[k]]));
-
-            return Predicate.join(predicates, def_op);
-
+            return NoPgParsers.parse_object_predicate(ObjType, q, def_op, traits, o);
         }
 
         return new Predicate(''+o);
@@ -0,0 +1,22 @@
+/**
+ * Error for operations which the principals of the session are not allowed to do, eg. when `db.update(doc, data)`
+ * is called for a document which the session can read but not write.
+ */
+export class NoPgPermissionError extends Error {
+
+    /**
+     *
+     * @param message {string}
+     */
+    constructor (message) {
+
+        super(message);
+
+        this.name = 'NoPgPermissionError';
+
+    }
+
+}
+
+// noinspection JSUnusedGlobalSymbols
+export default NoPgPermissionError;
@@ -0,0 +1,312 @@
+import _ from "lodash";
+import AssertUtils from "@norjs/utils/Assert";
+import NoPgUtils, { PG_COMPARISON_OPERATORS, PG_ARRAY_OPERATORS } from "./NoPgUtils";
+
+/**
+ * Condition for a single property in the fluent query builder, eg. `.where('age')` in
+ * `db.find('User').where('age').gt(18)`.
+ *
+ * It has a method for each comparison and array operator without the leading `$`, eg. `.gt(18)` for `{"$gt": 18}`.
+ * The method adds the condition to the builder and returns the builder.
+ */
+export class NoPgQueryCondition {
+
+    /**
+     *
+     * @param builder {NoPgQueryBuilder}
+     * @param key {string} The NoPg keyword, eg. `age` or `$created`
+     * @param op {string} `AND` or `OR`, how the condition is joined with previous conditions
+     */
+    constructor (builder, key, op) {
+
+        AssertUtils.isObject(builder);
+        AssertUtils.isString(key);
+        AssertUtils.isString(op);
+
+        this._builder = builder;
+        this._key = key;
+        this._op = op;
+
+    }
+
+}
+
+_.forEach(Object.keys(PG_COMPARISON_OPERATORS).concat(Object.keys(PG_ARRAY_OPERATORS)), op => {
+    NoPgQueryCondition.prototype[op.substr(1)] = function (value) {
+        return this._builder._addClause(this._op, {[this._key]: {[op]: value}});
+    };
+});
+
+/**
+ * Fluent query builder for documents. Use like
+ * `db.find('User').where('age').gt(18).or(q => q.where('role').in(['admin'])).orderBy('name', 'desc').fetch()`.
+ *
+ * The builder only collects search options and traits in the same format as `db.search()`, so the query is built by
+ * `NoPg._prepare_select_query()` like any other search.
+ *
+ * Conditions are joined from left to right, eg. `.where(a).where(b).or(c)` is `(a AND b) OR c`.
+ */
+export class NoPgQueryBuilder {
+
+    /**
+     *
+     * @param db {NoPg}
+     * @param types {Array} The object type and the document type, eg. `[NoPg.Document, "User"]`
+     */
+    constructor (db, types) {
+
+        AssertUtils.isObject(db);
+        AssertUtils.isArray(types);
+
+        this._db = db;
+        this._types = types;
+
+        /**
+         * @type {Array.<{op: string, predicate: (Array|object)}>}
+         */
+        this._clauses = [];
+
+        this._traits = {};
+
+    }
+
+    /** Add condition for property `key`, or an object predicate like `{"name": "foo"}`.
+     *
+     * @param key {string|object}
+     * @returns {NoPgQueryCondition|NoPgQueryBuilder}
+     */
+    where (key) {
+        return this._where('AND', key);
+    }
+
+    /** Add condition for property `key`, or an object predicate, which is joined with OR to previous conditions.
+     *
+     * @param key {string|object}
+     * @returns {NoPgQueryCondition|NoPgQueryBuilder}
+     */
+    orWhere (key) {
+        return this._where('OR', key);
+    }
+
+    /** Add a group of conditions which is joined with AND, eg. `.and(q => q.where('a').eq(1).orWhere('b').eq(2))`
+     *
+     * @param fn {function(NoPgQueryBuilder)}
+     * @returns {NoPgQueryBuilder}
+     */
+    and (fn) {
+        return this._addGroup('AND', fn);
+    }
+
+    /** Add a group of conditions which is joined with OR, eg. `.or(q => q.where('role').in(['admin', 'owner']))`
+     *
+     * @param fn {function(NoPgQueryBuilder)}
+     * @returns {NoPgQueryBuilder}
+     */
+    or (fn) {
+        return this._addGroup('OR', fn);
+    }
+
+    /** Add full text search condition `{"$text": query}`
+     *
+     * @param query {string}
+     * @returns {NoPgQueryBuilder}
+     */
+    text (query) {
+        return this._addClause('AND', {'$text': query});
+    }
+
+    /** Add ordering
+     *
+     * @param key {string}
+     * @param direction {string} `asc` or `desc`
+     * @returns {NoPgQueryBuilder}
+     */
+    orderBy (key, direction) {
+
+        AssertUtils.isString(key);
+
+        direction = (direction || 'asc').toUpperCase();
+
+        if ( (direction !== 'ASC') && (direction !== 'DESC') ) {
+            throw new TypeError("Invalid order direction: " + direction);
+        }
+
+        this._traits.order = (this._traits.order || []).concat([ direction === 'DESC' ? [key, 'DESC'] : key ]);
+
+        return this;
+
+    }
+
+    /**
+     *
+     * @param limit {number}
+     * @returns {NoPgQueryBuilder}
+     */
+    limit (limit) {
+        AssertUtils.isNumber(limit);
+        this._traits.limit = limit;
+        return this;
+    }
+
+    /**
+     *
+     * @param offset {number}
+     * @returns {NoPgQueryBuilder}
+     */
+    offset (offset) {
+        AssertUtils.isNumber(offset);
+        this._traits.offset = offset;
+        return this;
+    }
+
+    /** Select only these fields, like `traits.fields`
+     *
+     * @param fields {Array.<string>}
+     * @returns {NoPgQueryBuilder}
+     */
+    fields (fields) {
+        AssertUtils.isArray(fields);
+        this._traits.fields = fields;
+        return this;
+    }
+
+    /** Set any other traits, like `{"documents": [...]}`
+     *
+     * @param traits {object}
+     * @returns {NoPgQueryBuilder}
+     */
+    traits (traits) {
+        AssertUtils.isObject(traits);
+        _.assign(this._traits, traits);
+        return this;
+    }
+
+    /** Returns the search options in the same format as `db.search()` uses, or `undefined` if there are no
+     * conditions.
+     *
+     * @returns {Array|object|undefined}
+     */
+    getSearchOpts () {
+
+        if (this._clauses.length === 0) {
+            return;
+        }
+
+        const result = _.reduce(this._clauses.slice(1), (acc, clause) => {
+
+            if ( (acc.op === undefined) || (acc.op === clause.op) ) {
+                return {'op': clause.op, 'items': acc.items.concat([clause.predicate])};
+            }
+
+            return {'op': clause.op, 'items': [ [acc.op].concat(acc.items), clause.predicate ]};
+
+        }, {'op': undefined, 'items': [this._clauses[0].predicate]});
+
+        if (result.items.length === 1) {
+            return result.items[0];
+        }
+
+        return [result.op].concat(result.items);
+
+    }
+
+    /** Returns a copy of traits in the same format as `db.search()` uses.
+     *
+     * @returns {object}
+     */
+    getTraits () {
+        return _.cloneDeep(this._traits);
+    }
+
+    /** Search documents
+     *
+     * @returns {Promise.<Array>}
+     */
+    async fetch () {
+        return await this._db._doSelect(this._types, this.getSearchOpts(), this.getTraits());
+    }
+
+    /** Search the first document
+     *
+     * @returns {Promise.<object|undefined>}
+     */
+    async first () {
+        const docs = await this._db._doSelect(this._types, this.getSearchOpts(), _.assign(this.getTraits(), {'limit': 1}));
+        return _.first(docs);
+    }
+
+    /** Count documents
+     *
+     * @returns {Promise.<number>}
+     */
+    async count () {
+        const traits = _.omit(this.getTraits(), ['order', 'limit', 'offset']);
+        return await this._db._doCount(this._types, this.getSearchOpts(), _.assign(traits, {'count': true}));
+    }
+
+    /** Returns the compiled query without executing it
+     *
+     * @returns {Promise.<{query: string, params: Array}>}
+     */
+    async toSQL () {
+        return await this._db._doSelect(this._types, this.getSearchOpts(), _.assign(this.getTraits(), {'prepareOnly': true}));
+    }
+
+    /**
+     *
+     * @param op {string}
+     * @param key {string|object}
+     * @returns {NoPgQueryCondition|NoPgQueryBuilder}
+     * @private
+     */
+    _where (op, key) {
+
+        if (NoPgUtils.isObjectNotArray(key)) {
+            return this._addClause(op, key);
+        }
+
+        return new NoPgQueryCondition(this, key, op);
+
+    }
+
+    /**
+     *
+     * @param op {string} `AND` or `OR`
+     * @param predicate {Array|object}
+     * @returns {NoPgQueryBuilder}
+     * @private
+     */
+    _addClause (op, predicate) {
+        this._clauses.push({op, predicate});
+        return this;
+    }
+
+    /**
+     *
+     * @param op {string} `AND` or `OR`
+     * @param fn {function(NoPgQueryBuilder)}
+     * @returns {NoPgQueryBuilder}
+     * @private
+     */
+    _addGroup (op, fn) {
+
+        AssertUtils.isFunction(fn);
+
+        const group = new NoPgQueryBuilder(this._db, this._types);
+
+        fn(group);
+
+        const predicate = group.getSearchOpts();
+
+        if (predicate === undefined) {
+            return this;
+        }
+
+        return this._addClause(op, predicate);
+
+    }
+
+}
+
+// noinspection JSUnusedGlobalSymbols
+export default NoPgQueryBuilder;
@@ -1,7 +1,9 @@
 import FS from "fs";
+import crypto from "crypto";
 import AssertUtils from "@norjs/utils/Assert";
 import LogUtils from "@norjs/utils/Log";
 import _ from "lodash";
+import FUNCTION from "nor-function";
 import merge from "./merge";
 import NoPg from "./nopg";
 import Predicate from "./Predicate";
@@ -11,6 +13,16 @@ import InsertQuery from "./insert_query";
 import first_letter_is_dollar from "./first_letter_is_dollar";
 import NrPgCast from "./NrPgCast";
 import { TCN_EVENT_MAPPING } from "./nopg-constants";
+import { NoPgParsers } from "./NoPgParsers";
+import pg_escape from "pg-escape";
+import tv4 from "../libs/tv4/tv4.js";
+
+/**
+ * Migration functions of types parsed from their source code, by the migration object of the type.
+ *
+ * @type {WeakMap.<object, function>}
+ */
+const PARSED_MIGRATIONS = new WeakMap();
 
 /**
  * Functions to build casts for different types
@@ -22,9 +34,92 @@ export const PG_CASTS = {
     direct  : x => NrPgCast.castDirect(x),
     boolean : x => NrPgCast.castBoolean(x),
     numeric : x => NrPgCast.castNumeric(x),
+    integer : x => NrPgCast.castInteger(x),
+    timestamptz : x => NrPgCast.castTimestamp(x),
     text    : x => NrPgCast.castText(x)
 };
 
+/**
+ * Functions to build SQL conditions for comparison operators in object predicates, eg. `{"age": {"$gt": 18}}`.
+ *
+ * Each function takes the (casted) PostgreSQL expression and the value from the predicate.
+ *
+ * @enum {function}
+ * @readonly
+ */
+export const PG_COMPARISON_OPERATORS = {
+    $eq     : x => x + ' = $',
+    $ne     : x => x + ' IS DISTINCT FROM $',
+    $gt     : x => x + ' > $',
+    $gte    : x => x + ' >= $',
+    $lt     : x => x + ' < $',
+    $lte    : x => x + ' <= $',
+    $in     : x => x + ' = ANY($)',
+    $nin    : x => '(' + x + ' = ANY($)) IS NOT TRUE',
+    $exists : (x, value) => x + (value ? ' IS NOT NULL' : ' IS NULL'),
+    $like   : x => x + ' LIKE $',
+    $ilike  : x => x + ' ILIKE $',
+    $regex  : (x, value) => x + ( (_.isRegExp(value) && value.ignoreCase) ? ' ~* $' : ' ~ $' )
+};
+
+/**
+ * Index methods which can be used in `indexes` and `uniqueIndexes` of types, eg. `{"fields": ["tags"], "method": "gin"}`.
+ *
+ * @type {Array.<string>}
+ */
+export const PG_INDEX_METHODS = ['btree', 'gin', 'hash'];
+
+/**
+ * Immutable functions which can be used in index expressions, eg. `{"expression": ["lower", "email"]}`.
+ *
+ * @type {Array.<string>}
+ */
+export const PG_INDEX_FUNCTIONS = ['lower', 'upper', 'btrim', 'length', 'md5'];
+
+/**
+ * SQL bodies of PLv8 functions for databases initialized without PLv8. Functions which are not listed here raise an
+ * error when they are called. Documents are validated in Node instead of in `check_type()`.
+ *
+ * @type {Object.<string, string>}
+ */
+export const NO_PLV8_FUNCTIONS = {
+    'plv8_init': 'SELECT true',
+    'check_javascript': 'SELECT true',
+    'check_javascript_function': 'SELECT true',
+    'check_type': 'SELECT true',
+    'check_type_silent': 'SELECT true',
+    'nopg.merge': 'SELECT ($1::jsonb || $2::jsonb)::json'
+};
+
+/**
+ * Functions to build SQL conditions for array operators in object predicates, eg. `{"tags": {"$contains": "foo"}}`.
+ *
+ * Each function takes the JSON expression of the array. See `NoPgUtils.parse_array_operator()` for the parameters.
+ *
+ * @enum {function}
+ * @readonly
+ */
+export const PG_ARRAY_OPERATORS = {
+    $contains  : x => x + ' @> $::jsonb',
+    $all       : x => x + ' @> $::jsonb',
+    $any       : x => x + ' @> $::jsonb',
+    $size      : x => "(CASE WHEN jsonb_typeof(" + x + ") = 'array' THEN jsonb_array_length(" + x + ") END)",
+    $elemMatch : (x, alias, where) => "EXISTS (SELECT 1 FROM jsonb_array_elements(CASE WHEN jsonb_typeof(" + x + ") = 'array' THEN " + x + " END) AS " + alias + " WHERE " + where + ")"
+};
+
+/**
+ * Aggregate functions for `db.aggregate()`. The key is the name in traits, eg. `{"sum": ["price"]}`.
+ *
+ * @enum {function}
+ * @readonly
+ */
+export const PG_AGGREGATE_FUNCTIONS = {
+    sum : x => 'SUM(' + x + ')',
+    avg : x => 'AVG(' + x + ')',
+    min : x => 'MIN(' + x + ')',
+    max : x => 'MAX(' + x + ')'
+};
+
 /**
  *
  */
@@ -414,9 +509,9 @@ export class NoPgUtils {
         AssertUtils.isString(key);
 
         if (key[0] !== '$') {
-            let datakey = get_predicate_datakey(Type);
+            let datakey = NoPgUtils.get_predicate_datakey(Type);
             //return new Predicate( "json_extract_path("+datakey+", '"+JSON.stringify([key])+"'::json->>0)::text", [], {'datakey': datakey, 'key': key});
-            return new Predicate( parse_keyref_json(datakey, key), [], {'datakey': datakey, 'key': key});
+            return new Predicate( NoPgUtils.parse_keyref_json(datakey, key), [], {'datakey': datakey, 'key': key});
         }
 
         let _key = key.substr(1);
@@ -430,8 +525,11 @@ export class NoPgUtils {
             let traits = (opts && opts.traits) || {};
             let documents = (traits && traits.documents) || [];
             AssertUtils.isArray(documents);
+            if (traits._plv8 === false) {
+                return NoPgUtils.parse_documents_predicate(Type, NoPgUtils.parse_predicate_document_relations(Type, documents, traits), _key);
+            }
             return new Predicate("get_documents(row_to_json("+(Type.meta.table)+".*), $::json)", [
-                JSON.stringify(parse_predicate_document_relations(Type, documents, traits))
+                JSON.stringify(NoPgUtils.parse_predicate_document_relations(Type, documents, traits))
             ], {'key':_key});
         }
 
@@ -495,6 +593,263 @@ export class NoPgUtils {
         return parse_data;
     }
 
+    /** Returns `true` if `value` is an object of comparison operators, eg. `{"$gt": 18, "$lte": 65}`
+     *
+     * @param value {*}
+     * @returns {boolean}
+     */
+    static is_comparison_object (value) {
+
+        if ( !NoPgUtils.isObjectNotArray(value) || _.isDate(value) || _.isRegExp(value) ) {
+            return false;
+        }
+
+        const keys = Object.keys(value);
+
+        return (keys.length >= 1) && _.every(keys, first_letter_is_dollar);
+
+    }
+
+    /** Returns the PostgreSQL type which should be used to compare `key` against `value` in comparison operators.
+     *
+     * The type from the schema of `document_type` is used if it is known, otherwise it is detected from the value.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined}
+     * @param key {string}
+     * @param op {string}
+     * @param value {*}
+     * @returns {string}
+     */
+    static parse_comparison_pgtype (ObjType, document_type, key, op, value) {
+
+        if (key[0] === '$') {
+            return 'direct';
+        }
+
+        if ( (op === '$like') || (op === '$ilike') || (op === '$regex') ) {
+            return 'text';
+        }
+
+        const pgtype = document_type ? NoPgUtils.parse_predicate_pgtype(ObjType, document_type, key) : 'text';
+
+        if (pgtype !== 'text') {
+            return pgtype;
+        }
+
+        const sample = _.isArray(value) ? _.first(value) : value;
+
+        if (_.isNumber(sample)) {
+            return 'numeric';
+        }
+
+        if (_.isBoolean(sample)) {
+            return 'boolean';
+        }
+
+        return 'text';
+
+    }
+
+    /** Returns the query parameter for a value in a comparison operator
+     *
+     * @param pgtype {string}
+     * @param value {*}
+     * @returns {*}
+     */
+    static parse_comparison_param (pgtype, value) {
+
+        if (_.isArray(value)) {
+            return _.map(value, item => NoPgUtils.parse_comparison_param(pgtype, item));
+        }
+
+        if (_.isRegExp(value)) {
+            return value.source;
+        }
+
+        if ( (pgtype !== 'direct') && _.isDate(value) ) {
+            return value.toISOString();
+        }
+
+        return value;
+
+    }
+
+    /** Parse single comparison operator like `{"$gt": 18}` for property `key` into a predicate.
+     *
+     * The left side of the condition is casted the same way as `declareIndexes()` does it, so the index can be used.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined} The type object, if known.
+     * @param key {string} The NoPg keyword, eg. `age` or `$created`
+     * @param op {string} The operator, eg. `$gt`
+     * @param value {*}
+     * @returns {Predicate}
+     */
+    static parse_comparison_operator (ObjType, document_type, key, op, value) {
+
+        if ( (key[0] !== '$') && !NoPgUtils.is_valid_key(key) ) {
+            throw new TypeError("Invalid keyword: " + key);
+        }
+
+        const keyref = NoPgUtils.parse_predicate_key(ObjType, {'epoch': false}, key);
+
+        return NoPgUtils.parse_keyref_comparison(ObjType, document_type, key, keyref, op, value);
+
+    }
+
+    /** Parse single comparison operator for the JSON expression `keyref` into a predicate.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined} The type object, if known.
+     * @param key {string} The NoPg keyword, which is used to detect the type
+     * @param keyref {Predicate} The expression for the key, eg. `(content -> 'age'::text)`
+     * @param op {string} The operator, eg. `$gt`
+     * @param value {*}
+     * @param depth {number} The depth of nested `$elemMatch` operators
+     * @returns {Predicate}
+     */
+    static parse_keyref_comparison (ObjType, document_type, key, keyref, op, value, depth) {
+
+        if (PG_ARRAY_OPERATORS.hasOwnProperty(op)) {
+            return NoPgUtils.parse_array_operator(ObjType, keyref, op, value, depth || 0);
+        }
+
+        if (!PG_COMPARISON_OPERATORS.hasOwnProperty(op)) {
+            throw new TypeError("Unknown comparison operator " + op + " for " + key);
+        }
+
+        if ( (op === '$in') || (op === '$nin') ) {
+            AssertUtils.isArray(value);
+        }
+
+        if (op === '$exists') {
+            return new Predicate( PG_COMPARISON_OPERATORS.$exists(keyref.getString(), value), keyref.getParams() );
+        }
+
+        const pgtype = NoPgUtils.parse_comparison_pgtype(ObjType, document_type, key, op, value);
+
+        const pgcast = NoPgUtils.parse_predicate_pgcast_by_type(pgtype);
+
+        return new Predicate(
+            PG_COMPARISON_OPERATORS[op](pgcast(keyref.getString()), value),
+            keyref.getParams().concat([ NoPgUtils.parse_comparison_param(pgtype, value) ])
+        );
+
+    }
+
+    /** Parse array operator like `{"$contains": "foo"}` for the JSON expression `keyref` into a predicate.
+     *
+     * Containment is tested with the `jsonb` operator `@>`, so the GIN index from `arrayIndexes` in the type can be used.
+     *
+     * @param ObjType
+     * @param keyref {Predicate} The expression for the array, eg. `(content -> 'tags'::text)`
+     * @param op {string} One of `PG_ARRAY_OPERATORS`
+     * @param value {*}
+     * @param depth {number} The depth of nested `$elemMatch` operators
+     * @returns {Predicate}
+     */
+    static parse_array_operator (ObjType, keyref, op, value, depth) {
+
+        const x = keyref.getString();
+
+        const params = keyref.getParams();
+
+        if (op === '$contains') {
+            return new Predicate(PG_ARRAY_OPERATORS.$contains(x), params.concat([JSON.stringify([value])]));
+        }
+
+        if (op === '$all') {
+            AssertUtils.isArray(value);
+            return new Predicate(PG_ARRAY_OPERATORS.$all(x), params.concat([JSON.stringify(value)]));
+        }
+
+        if (op === '$any') {
+
+            AssertUtils.isArray(value);
+
+            if (value.length === 0) {
+                return new Predicate('FALSE');
+            }
+
+            return Predicate.join(_.map(value, item => new Predicate(PG_ARRAY_OPERATORS.$contains(x), params.concat([JSON.stringify([item])]))), 'OR');
+
+        }
+
+        if (op === '$size') {
+
+            // The expression is used twice in the SQL
+            const length = new Predicate(PG_ARRAY_OPERATORS.$size(x), params.concat(params));
+
+            const operators = NoPgUtils.is_comparison_object(value) ? value : {'$eq': value};
+
+            return Predicate.join(_.map(Object.keys(operators), length_op => NoPgUtils.parse_keyref_comparison(ObjType, undefined, '$size', length, length_op, operators[length_op], depth)), 'AND');
+
+        }
+
+        // $elemMatch
+        AssertUtils.isObject(value);
+
+        const alias = 'nopg_elem_' + (depth + 1);
+
+        let conditions;
+
+        if (NoPgUtils.is_comparison_object(value)) {
+
+            // Conditions for the element itself, like `{"$elemMatch": {"$gt": 10}}`
+            const elem = new Predicate("(" + alias + " #> '{}')");
+
+            conditions = _.map(Object.keys(value), elem_op => NoPgUtils.parse_keyref_comparison(ObjType, undefined, alias, elem, elem_op, value[elem_op], depth + 1));
+
+        } else {
+
+            conditions = _.flatten(_.map(Object.keys(value), elem_key => {
+
+                if (!NoPgUtils.is_valid_key(elem_key)) {
+                    throw new TypeError("Invalid keyword: " + elem_key);
+                }
+
+                const elem = new Predicate(NoPgUtils.parse_keyref_json(alias, elem_key));
+
+                const operators = NoPgUtils.is_comparison_object(value[elem_key]) ? value[elem_key] : {'$eq': value[elem_key]};
+
+                return _.map(Object.keys(operators), elem_op => NoPgUtils.parse_keyref_comparison(ObjType, undefined, elem_key, elem, elem_op, operators[elem_op], depth + 1));
+
+            }));
+
+        }
+
+        if (conditions.length === 0) {
+            throw new TypeError("$elemMatch must have at least one condition");
+        }
+
+        const where = Predicate.join(conditions, 'AND');
+
+        return new Predicate(PG_ARRAY_OPERATORS.$elemMatch(x, alias, where.getString()), params.concat(params).concat(where.getParams()));
+
+    }
+
+    /** Parse comparison operators like `{"$gte": 18, "$lt": 65}` for property `key` into a predicate.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined} The type object, if known.
+     * @param key {string} The NoPg keyword, eg. `age` or `$created`
+     * @param operators {object}
+     * @returns {Predicate}
+     */
+    static parse_comparison_predicate (ObjType, document_type, key, operators) {
+
+        AssertUtils.isObject(operators);
+
+        const predicates = _.map(
+            Object.keys(operators),
+            op => NoPgUtils.parse_comparison_operator(ObjType, document_type, key, op, operators[op])
+        );
+
+        return Predicate.join(predicates, 'AND');
+
+    }
+
     /* Returns the type condition and pushes new params to `params` */
     static parse_where_type_condition_array(query, type) {
         let predicates = ARRAY(type).map(function(t) {
@@ -539,99 +894,395 @@ export class NoPgUtils {
         throw new TypeError("Unknown type: " + LogUtils.getAsString(type));
     }
 
-    /** Returns true if `i` is not `undefined` */
-    static not_undefined(i) {
-        return i !== undefined;
-    }
+    /** Adds the condition to hide soft deleted documents unless `traits.withDeleted` is enabled.
+     *
+     * @param query {Query}
+     * @param ObjType
+     * @param traits {object}
+     */
+    static parse_where_deleted_condition (query, ObjType, traits) {
 
-    /** */
-    static replace_last(x, from, to) {
-        let i = x.lastIndexOf(from);
-        if (i === -1) {
-            return x;
+        if ( (ObjType !== NoPg.Document) || (traits && traits.withDeleted) ) {
+            return;
         }
-        x = x.substr(0, i) + to + x.substr(i+from.length);
-        return x;
-    }
 
-    /** Returns the correct cast from JSON to PostgreSQL type */
-    static parse_predicate_pgcast_by_type(pgtype) {
-        //nrLog.debug('pgtype = ', pgtype);
-        if (_.isFunction(PG_CASTS[pgtype])) {
-            return PG_CASTS[pgtype];
-        }
-        return function pgcast_default(x) { return '' + x + '::' + pgtype; };
+        query.where( new Predicate("deleted IS NULL") );
+
     }
 
-    /** Returns PostgreSQL type for key based on the schema
-     * @FIXME Detect correct types for all keys
+    /** Adds the condition to hide expired documents unless `traits.withExpired` is enabled.
+     *
+     * @param query {Query}
+     * @param ObjType
+     * @param traits {object}
      */
-    static parse_predicate_pgtype(ObjType, document_type, key) {
+    static parse_where_expired_condition (query, ObjType, traits) {
 
-        AssertUtils.isFunction(ObjType);
-        AssertUtils.isObject(document_type).ignore(undefined);
+        if ( (ObjType !== NoPg.Document) || (traits && traits.withExpired) ) {
+            return;
+        }
 
-        let schema = (document_type && document_type.$schema) || {};
-        AssertUtils.isObject(schema);
+        query.where( new Predicate("(expires IS NULL OR expires > now())") );
 
-        if (key[0] === '$') {
+    }
 
-            // FIXME: Change this to do direct for everything else but JSON types!
+    /** Returns the times when the documents were soft deleted, from the `deleted` column of the rows.
+     *
+     * @param rows {Array.<object>}
+     * @returns {Array.<Date|null>|undefined} The times in the same order as rows, or `undefined` if the rows have no
+     * `deleted` column.
+     */
+    static parse_deleted_results (rows) {
 
-            if (key === '$version') { return 'direct'; }
-            if (key === '$created') { return 'direct'; }
-            if (key === '$modified') { return 'direct'; }
-            if (key === '$name') { return 'direct'; }
-            if (key === '$type') { return 'direct'; }
-            if (key === '$validator') { return 'direct'; }
-            if (key === '$id') { return 'direct'; }
-            if (key === '$types_id') { return 'direct'; }
-            if (key === '$documents_id') { return 'direct'; }
+        if (!(rows.length && rows[0].hasOwnProperty('deleted'))) {
+            return;
+        }
 
-        } else {
+        return _.map(rows, row => row.deleted);
 
-            let type;
-            if (schema && schema.properties && schema.properties.hasOwnProperty(key) && schema.properties[key].type) {
-                type = schema.properties[key].type;
-            }
+    }
 
-            if (type === 'number') {
-                return 'numeric';
-            }
+    /** Returns the condition for optimistic concurrency control in UPDATE queries, or `undefined` if the version is
+     * not checked.
+     *
+     * The version is checked if `traits.versionCheck` is `true`. If it is not defined, versions of documents are
+     * checked when the type has `versionCheck` enabled.
+     *
+     * @param ObjType
+     * @param obj {object} The object which is updated
+     * @param traits {object|undefined}
+     * @param index {number} The index of the parameter for `obj.$version`
+     * @returns {string|undefined}
+     */
+    static parse_version_check (ObjType, obj, traits, index) {
+
+        const versionCheck = traits ? traits.versionCheck : undefined;
+
+        if ( (versionCheck === false) || ( (versionCheck === undefined) && (ObjType !== NoPg.Document) ) ) {
+            return;
+        }
 
-            if (type === 'boolean') {
-                return 'boolean';
+        if (obj.$version === undefined) {
+            if (versionCheck === true) {
+                throw new TypeError("traits.versionCheck requires $version: " + LogUtils.getAsString(obj));
             }
+            return;
+        }
 
+        if (versionCheck === true) {
+            return "version = $" + index;
         }
 
-        return 'text';
-    }
+        return "(version = $" + index + " OR NOT EXISTS (SELECT 1 FROM types" +
+            " WHERE types.id = documents.types_id AND (types.meta ->> 'versionCheck') = 'true'))";
 
-    /** Returns the correct cast from JSON to PostgreSQL type */
-    static parse_predicate_pgcast(ObjType, document_type, key) {
-        let pgtype = parse_predicate_pgtype(ObjType, document_type, key);
-        return parse_predicate_pgcast_by_type(pgtype);
     }
 
-    /** Parse array predicate */
-    static parse_function_predicate(ObjType, q, def_op, o, ret_type, traits) {
-        AssertUtils.isArray(o);
+    /** Returns a copy of type data with `migrations` validated and their `up` functions converted to strings, so
+     * that they can be saved in the type.
+     *
+     * @param data {object} Type data like `{"schemaVersion": 4, "migrations": [{"from": 3, "to": 4, "up": doc => doc}]}`
+     * @returns {object}
+     */
+    static stringify_type_migrations (data) {
 
-        ret_type = ret_type || 'boolean';
+        if ( data.schemaVersion !== undefined ) AssertUtils.isNumber(data.schemaVersion);
 
-        let func = ARRAY(o).find(is.func);
+        if (data.migrations === undefined) {
+            return data;
+        }
 
-        AssertUtils.isFunction(func);
+        AssertUtils.isArray(data.migrations);
 
-        let i = o.indexOf(func);
-        AssertUtils.isNumber(i);
+        return _.assign({}, data, {
+            'migrations': _.map(data.migrations, migration => {
 
-        let input_nopg_keys = o.slice(0, i);
-        let js_input_params = o.slice(i+1);
+                if (!( NoPgUtils.isObjectNotArray(migration) && _.isInteger(migration.from) && _.isInteger(migration.to) && (migration.from < migration.to) )) {
+                    throw new TypeError("Invalid migration: " + LogUtils.getAsString(migration));
+                }
 
-        AssertUtils.isArray(input_nopg_keys);
-        AssertUtils.isArray(js_input_params);
+                if (!( _.isFunction(migration.up) || _.isString(migration.up) )) {
+                    throw new TypeError("Invalid migration function: " + LogUtils.getAsString(migration));
+                }
+
+                return {
+                    'from': migration.from,
+                    'to': migration.to,
+                    'up': _.isFunction(migration.up) ? FUNCTION(migration.up).stringify() : migration.up
+                };
+
+            })
+        });
+
+    }
+
+    /** Migrates document content from schema version `version` to the `schemaVersion` of the type.
+     *
+     * Migrations are applied one after another starting from the one with `from` equal to `version`. If there is no
+     * migration for the current version, the content is returned as it is.
+     *
+     * @param type {NoPg.Type}
+     * @param content {object}
+     * @param version {number}
+     * @returns {{content: object, version: number}}
+     */
+    static migrate_content (type, content, version) {
+
+        const migrations = type.migrations || [];
+
+        let migration;
+
+        while ( (version < type.schemaVersion) && (migration = _.find(migrations, m => m.from === version)) ) {
+
+            const up = NoPgUtils.parse_migration_function(migration);
+
+            const copy = _.cloneDeep(content);
+
+            content = up(copy) || copy;
+
+            version = migration.to;
+
+        }
+
+        return {content, version};
+
+    }
+
+    /** Returns the `up` function of a migration. Functions parsed from source code are cached, so the same code is not
+     * parsed again for every document.
+     *
+     * @param migration {{from: number, to: number, up: (function|string)}}
+     * @returns {function}
+     */
+    static parse_migration_function (migration) {
+
+        if (_.isFunction(migration.up)) {
+            return migration.up;
+        }
+
+        let up = PARSED_MIGRATIONS.get(migration);
+
+        if (!up) {
+            up = FUNCTION.parse(migration.up);
+            PARSED_MIGRATIONS.set(migration, up);
+        }
+
+        return up;
+
+    }
+
+    /** Returns the document migrated to the `schemaVersion` of the type, or the same document if it is up to date.
+     *
+     * @param type {NoPg.Type|undefined}
+     * @param doc {NoPg.Document}
+     * @returns {NoPg.Document}
+     */
+    static migrate_document (type, doc) {
+
+        if ( !type || !_.isNumber(type.schemaVersion) || !_.isNumber(doc.$schema_version) || (doc.$schema_version >= type.schemaVersion) ) {
+            return doc;
+        }
+
+        const result = NoPgUtils.migrate_content(type, doc.$content, doc.$schema_version);
+
+        if (result.version === doc.$schema_version) {
+            return doc;
+        }
+
+        return new NoPg.Document(_.assign(_.pick(doc, NoPg.Document.meta.keys), {
+            '$content': result.content,
+            '$schema_version': result.version
+        }));
+
+    }
+
+    /** Returns true if `i` is not `undefined` */
+    static not_undefined(i) {
+        return i !== undefined;
+    }
+
+    /** */
+    static replace_last(x, from, to) {
+        let i = x.lastIndexOf(from);
+        if (i === -1) {
+            return x;
+        }
+        x = x.substr(0, i) + to + x.substr(i+from.length);
+        return x;
+    }
+
+    /** Returns the correct cast from JSON to PostgreSQL type */
+    static parse_predicate_pgcast_by_type(pgtype) {
+        //nrLog.debug('pgtype = ', pgtype);
+        if (_.isFunction(PG_CASTS[pgtype])) {
+            return PG_CASTS[pgtype];
+        }
+        return function pgcast_default(x) { return '' + x + '::' + pgtype; };
+    }
+
+    /** Returns PostgreSQL type for key based on the schema. Dotted keys are resolved through nested properties. */
+    static parse_predicate_pgtype(ObjType, document_type, key) {
+
+        AssertUtils.isFunction(ObjType);
+        AssertUtils.isObject(document_type).ignore(undefined);
+
+        let schema = (document_type && document_type.$schema) || {};
+        AssertUtils.isObject(schema);
+
+        if (key[0] === '$') {
+
+            // FIXME: Change this to do direct for everything else but JSON types!
+
+            if (key === '$version') { return 'direct'; }
+            if (key === '$created') { return 'direct'; }
+            if (key === '$modified') { return 'direct'; }
+            if (key === '$name') { return 'direct'; }
+            if (key === '$type') { return 'direct'; }
+            if (key === '$validator') { return 'direct'; }
+            if (key === '$id') { return 'direct'; }
+            if (key === '$types_id') { return 'direct'; }
+            if (key === '$documents_id') { return 'direct'; }
+
+        } else {
+
+            return NoPgUtils.get_schema_pgtype( NoPgUtils.get_schema_property(schema, key) );
+
+        }
+
+        return 'text';
+    }
+
+    /** Resolve a local `$ref` like `#/definitions/address` in the schema
+     *
+     * @param root {object} The root schema
+     * @param schema {object}
+     * @returns {object|undefined}
+     */
+    static resolve_schema_ref (root, schema) {
+
+        // Guard against circular references
+        let i = 0;
+
+        while ( schema && _.isString(schema.$ref) ) {
+
+            if ( (schema.$ref.substr(0, 1) !== '#') || (i >= 32) ) {
+                return;
+            }
+
+            const path = _.map(_.filter(schema.$ref.substr(1).split('/'), part => part !== ''),
+                part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'));
+
+            schema = path.length ? _.get(root, path) : root;
+
+            i += 1;
+
+        }
+
+        return schema;
+
+    }
+
+    /** Returns the schema of the property at the dotted path `key`, eg. `address.zip` or `lines.0.qty`. The path is
+     * resolved through nested `properties`, local `$ref` and `items`.
+     *
+     * @param schema {object} The `$schema` of the type
+     * @param key {string}
+     * @returns {object|undefined}
+     */
+    static get_schema_property (schema, key) {
+
+        let current = NoPgUtils.resolve_schema_ref(schema, schema);
+
+        const parts = key.split('.');
+
+        for (let i = 0; i < parts.length; i += 1) {
+
+            const part = parts[i];
+
+            if (!NoPgUtils.isObjectNotArray(current)) {
+                return;
+            }
+
+            if ( current.properties && current.properties.hasOwnProperty(part) ) {
+                current = current.properties[part];
+            } else if ( /^[0-9]+$/.test(part) && _.isArray(current.items) ) {
+                current = current.items[parseInt(part, 10)];
+            } else if ( /^[0-9]+$/.test(part) && NoPgUtils.isObjectNotArray(current.items) ) {
+                current = current.items;
+            } else {
+                return;
+            }
+
+            current = NoPgUtils.resolve_schema_ref(schema, current);
+
+        }
+
+        return current;
+
+    }
+
+    /** Returns the PostgreSQL type for the property schema
+     *
+     * @param property {object|undefined}
+     * @returns {string} One of `integer`, `numeric`, `boolean`, `timestamptz` or `text`
+     */
+    static get_schema_pgtype (property) {
+
+        if (!NoPgUtils.isObjectNotArray(property)) {
+            return 'text';
+        }
+
+        // Types like `["integer", "null"]` are nullable variants
+        const type = _.first( _.filter([].concat(property.type), t => t !== 'null') );
+
+        if (type === 'integer') {
+            return 'integer';
+        }
+
+        if (type === 'number') {
+            return 'numeric';
+        }
+
+        if (type === 'boolean') {
+            return 'boolean';
+        }
+
+        if ( (type === 'string') && (property.format === 'date-time') ) {
+            return 'timestamptz';
+        }
+
+        return 'text';
+
+    }
+
+    /** Returns the correct cast from JSON to PostgreSQL type */
+    static parse_predicate_pgcast(ObjType, document_type, key) {
+        let pgtype = NoPgUtils.parse_predicate_pgtype(ObjType, document_type, key);
+        return NoPgUtils.parse_predicate_pgcast_by_type(pgtype);
+    }
+
+    /** Parse array predicate */
+    static parse_function_predicate(ObjType, q, def_op, o, ret_type, traits) {
+        AssertUtils.isArray(o);
+
+        if (traits && (traits._plv8 === false)) {
+            throw new TypeError("BIND predicates require PLv8, but the database was initialized without it");
+        }
+
+        ret_type = ret_type || 'boolean';
+
+        let func = ARRAY(o).find(is.func);
+
+        AssertUtils.isFunction(func);
+
+        let i = o.indexOf(func);
+        AssertUtils.isNumber(i);
+
+        let input_nopg_keys = o.slice(0, i);
+        let js_input_params = o.slice(i+1);
+
+        AssertUtils.isArray(input_nopg_keys);
+        AssertUtils.isArray(js_input_params);
 
         //nrLog.debug('input_nopg_keys = ', input_nopg_keys);
         //nrLog.debug('func = ', func);
@@ -654,7 +1305,7 @@ export class NoPgUtils {
 
         let call_func = 'nopg.call_func(array_to_json(ARRAY['+pg_items.join(', ')+"]), $::json, $::json)";
 
-        let type_cast = parse_predicate_pgcast_by_type(ret_type);
+        let type_cast = NoPgUtils.parse_predicate_pgcast_by_type(ret_type);
 
         return new Predicate(type_cast(call_func), pg_params.concat( [JSON.stringify(FUNCTION(func).stringify()), JSON.stringify(js_input_params)] ));
     }
@@ -741,6 +1392,22 @@ export class NoPgUtils {
             traits.prepareOnly = traits.prepareOnly === true;
         }
 
+        if (traits.hasOwnProperty('explain')) {
+            traits.explain = traits.explain === true;
+        }
+
+        if (traits.hasOwnProperty('withDeleted')) {
+            traits.withDeleted = traits.withDeleted === true;
+        }
+
+        if (traits.hasOwnProperty('withExpired')) {
+            traits.withExpired = traits.withExpired === true;
+        }
+
+        if (traits.hasOwnProperty('withTotal')) {
+            traits.withTotal = traits.withTotal === true;
+        }
+
         if (traits.hasOwnProperty('typeAwareness')) {
             traits.typeAwareness = traits.typeAwareness === true;
         } else {
@@ -758,116 +1425,1284 @@ export class NoPgUtils {
             delete traits.order;
         }
 
+        if ( !traits.hasOwnProperty('count') && (traits.hasOwnProperty('after') || traits.hasOwnProperty('before')) ) {
+            traits.keyset = NoPgUtils.parse_keyset_traits(traits);
+        }
+
         return traits;
     }
 
-    /** Parses internal fields from nopg style fields
+    /** Parse `traits.after` or `traits.before` for keyset pagination.
+     *
+     * The `$id` is appended to `traits.order` as the last key if it is missing, so that the order is always stable.
      *
+     * @param traits {object} Traits already normalized by `parse_search_traits()`
+     * @returns {{direction: string, values: (Array|undefined)}}
      */
-    static parse_select_fields(ObjType, traits) {
-        AssertUtils.isFunction(ObjType);
-        AssertUtils.isObject(traits).ignore(undefined);
-        return ARRAY(traits.fields).map(function(f) {
-            return NoPgUtils.parse_predicate_key(ObjType, {'traits': traits, 'epoch':false}, f);
-        }).valueOf();
+    static parse_keyset_traits (traits) {
+
+        if (traits.hasOwnProperty('after') && traits.hasOwnProperty('before')) {
+            throw new TypeError("traits.after and traits.before cannot be used at the same time");
+        }
+
+        if (traits.offset) {
+            throw new TypeError("traits.offset cannot be used with traits.after or traits.before");
+        }
+
+        if (!_.some(traits.order, o => NoPgUtils.parse_operator_name(_.isArray(o) ? o[0] : o) === '$id')) {
+            traits.order = traits.order.concat(['$id']);
+        }
+
+        const direction = traits.hasOwnProperty('after') ? 'after' : 'before';
+
+        const token = traits[direction];
+
+        // Any other value than a cursor token starts from the beginning (or the end for `before`)
+        if (!(_.isString(token) && token)) {
+            return {direction, values: undefined};
+        }
+
+        const cursor = NoPgUtils.parse_keyset_cursor(token);
+
+        if (JSON.stringify(cursor.order) !== JSON.stringify(traits.order)) {
+            throw new TypeError("Cursor " + token + " does not match traits.order");
+        }
+
+        return {direction, values: cursor.values};
+
     }
 
-    /** Parse opts object */
-    static parse_search_opts(opts, traits) {
+    /** Build an opaque cursor token for keyset pagination
+     *
+     * @param order {Array} The normalized `traits.order`
+     * @param values {Array} Values of the order keys in the row
+     * @returns {string}
+     */
+    static stringify_keyset_cursor (order, values) {
+        return Buffer.from(JSON.stringify({'order': order, 'values': values}), 'utf8').toString('base64');
+    }
 
-        if (opts === undefined) {
-            return;
+    /** Parse an opaque cursor token for keyset pagination
+     *
+     * @param token {string}
+     * @returns {{order: Array, values: Array}}
+     */
+    static parse_keyset_cursor (token) {
+
+        let cursor;
+
+        try {
+            cursor = JSON.parse(Buffer.from(token, 'base64').toString('utf8'));
+        } catch (err) {
+            throw new TypeError("Invalid cursor: " + token);
         }
 
-        if (_.isArray(opts)) {
-            if ( (opts.length >= 1) && NoPgUtils.isObjectNotArray(opts[0]) ) {
-                return [ ((traits.match === 'any') ? 'OR' : 'AND') ].concat(opts);
-            }
-            return opts;
+        if ( !(NoPgUtils.isObjectNotArray(cursor) && _.isArray(cursor.order) && _.isArray(cursor.values)) ) {
+            throw new TypeError("Invalid cursor: " + token);
         }
 
-        if (opts instanceof NoPg.Type) {
-            return [ "AND", { "$id": opts.$id } ];
-        }
+        if (cursor.order.length !== cursor.values.length) {
+            throw new TypeError("Invalid cursor: " + token);
+        }
+
+        return cursor;
+
+    }
+
+    /** Returns the name of the result column for the value of keyset order key `i` */
+    static get_keyset_field_name (i) {
+        return 'nopg_cursor_' + i;
+    }
+
+    /** Parse keys for keyset pagination using `traits.order`
+     *
+     * @param ObjType
+     * @param document_type {object|undefined}
+     * @param order {Array}
+     * @param q {Query}
+     * @param traits {object}
+     * @returns {Array.<{predicate: Predicate, desc: boolean}>}
+     */
+    static parse_keyset_keys (ObjType, document_type, order, q, traits) {
+        return _.map(order, o => {
+            const item = NoPgUtils.parse_select_order_item(ObjType, document_type, o, q, traits);
+            return {
+                'predicate': item.predicate,
+                'desc': _.some(item.rest, r => ('' + r).toUpperCase() === 'DESC')
+            };
+        });
+    }
+
+    /** Returns fields which select values of the keyset keys from each row
+     *
+     * @param keys {Array.<{predicate: Predicate, desc: boolean}>}
+     * @returns {Array.<Predicate>}
+     */
+    static parse_keyset_fields (keys) {
+        return _.map(keys, (key, i) => new Predicate(
+            key.predicate.getString(),
+            key.predicate.getParams(),
+            {'key': NoPgUtils.get_keyset_field_name(i)}
+        ));
+    }
+
+    /** Returns the ORDER BY for keyset pagination. The order is reversed when paginating backwards. Missing values
+     * are sorted as if they were greater than any other value.
+     *
+     * @param keys {Array.<{predicate: Predicate, desc: boolean}>}
+     * @param direction {string} Either `after` or `before`
+     * @returns {Array.<Predicate>}
+     */
+    static parse_keyset_orders (keys, direction) {
+        return _.map(keys, key => {
+            const desc = (direction === 'before') ? !key.desc : key.desc;
+            return new Predicate(key.predicate.getString() + (desc ? ' DESC NULLS FIRST' : ' ASC NULLS LAST'), key.predicate.getParams());
+        });
+    }
+
+    /** Returns the WHERE condition for rows after (or before) the cursor values, eg. `(a > $) OR (a = $ AND b > $)`.
+     * Like in `parse_keyset_orders()`, `NULL` is greater than any other value, so rows with missing values are paged
+     * too.
+     *
+     * @param keys {Array.<{predicate: Predicate, desc: boolean}>}
+     * @param direction {string} Either `after` or `before`
+     * @param values {Array}
+     * @returns {Predicate}
+     */
+    static parse_keyset_condition (keys, direction, values) {
+
+        AssertUtils.isArray(values);
+
+        if (keys.length !== values.length) {
+            throw new TypeError("Cursor has " + values.length + " values but order has " + keys.length + " keys");
+        }
+
+        const is_null = value => (value === null) || (value === undefined);
+
+        const compare = (key, value) => {
+            const desc = (direction === 'before') ? !key.desc : key.desc;
+            const col = key.predicate.getString();
+            if (is_null(value)) {
+                return new Predicate(desc ? col + ' IS NOT NULL' : 'false', desc ? key.predicate.getParams() : []);
+            }
+            if (desc) {
+                return new Predicate(col + ' < $', key.predicate.getParams().concat([value]));
+            }
+            return new Predicate('(' + col + ' > $ OR ' + col + ' IS NULL)', key.predicate.getParams().concat([value]).concat(key.predicate.getParams()));
+        };
+
+        const equals = (key, value) => {
+            if (is_null(value)) {
+                return new Predicate(key.predicate.getString() + ' IS NULL', key.predicate.getParams());
+            }
+            return new Predicate(key.predicate.getString() + ' = $', key.predicate.getParams().concat([value]));
+        };
+
+        const predicates = _.map(keys, (key, i) => Predicate.join(
+            _.map(keys.slice(0, i), (prev, j) => equals(prev, values[j])).concat([ compare(key, values[i]) ]),
+            'AND'
+        ));
+
+        return Predicate.join(predicates, 'OR');
+
+    }
+
+    /** Takes the values of keyset keys from raw result rows and builds cursors for the next and previous pages.
+     *
+     * The rows are modified in place: extra rows and key columns are removed, and rows are reversed when paginating
+     * backwards.
+     *
+     * @param keyset {{direction: string, values: (Array|undefined), order: Array, limit: (number|undefined)}}
+     * @param rows {Array.<object>}
+     * @returns {{rows: Array.<object>, nextCursor: (string|undefined), prevCursor: (string|undefined)}}
+     */
+    static parse_keyset_results (keyset, rows) {
+
+        AssertUtils.isObject(keyset);
+        AssertUtils.isArray(rows);
+
+        const has_more = (keyset.limit !== undefined) && (rows.length > keyset.limit);
+
+        if (has_more) {
+            rows = rows.slice(0, keyset.limit);
+        }
+
+        if (keyset.direction === 'before') {
+            rows = rows.reverse();
+        }
+
+        const values = _.map(rows, row => _.map(keyset.order, (o, i) => {
+            const key = NoPgUtils.get_keyset_field_name(i);
+            const value = row[key];
+            delete row[key];
+            return value;
+        }));
+
+        const first = values.length ? NoPgUtils.stringify_keyset_cursor(keyset.order, _.first(values)) : undefined;
+        const last = values.length ? NoPgUtils.stringify_keyset_cursor(keyset.order, _.last(values)) : undefined;
+
+        const has_cursor = keyset.values !== undefined;
+
+        if (keyset.direction === 'before') {
+            return {
+                rows,
+                'nextCursor': has_cursor ? last : undefined,
+                'prevCursor': has_more ? first : undefined
+            };
+        }
+
+        return {
+            rows,
+            'nextCursor': has_more ? last : undefined,
+            'prevCursor': has_cursor ? first : undefined
+        };
+
+    }
+
+    /** Parse `fullTextIndexes` of a type. It can be an array of property names or an object like
+     * `{"properties": ["name", "description"], "language": "english"}`.
+     *
+     * @param value {Array.<string>|{properties: Array.<string>, language: (string|undefined)}}
+     * @returns {{properties: Array.<string>, language: string}}
+     */
+    static parse_full_text_index (value) {
+
+        if (_.isArray(value)) {
+            value = {'properties': value};
+        }
+
+        AssertUtils.isObject(value);
+        AssertUtils.isArray(value.properties);
+
+        const language = value.language || NoPg.defaults.fullTextLanguage;
+
+        // The language is written into the index expression, so it cannot be a query parameter
+        if (!(_.isString(language) && /^[a-z_]+$/.test(language))) {
+            throw new TypeError("Invalid full text language: " + LogUtils.getAsString(language));
+        }
+
+        if (value.properties.length === 0) {
+            throw new TypeError("fullTextIndexes must have at least one property");
+        }
+
+        _.forEach(value.properties, key => {
+            if (!( _.isString(key) && (key[0] !== '$') && NoPgUtils.is_valid_key(key) )) {
+                throw new TypeError("Invalid full text property: " + LogUtils.getAsString(key));
+            }
+        });
+
+        return {'properties': [].concat(value.properties), language};
+
+    }
+
+    /** Returns the full text index of the type, or throws an error if the type has none.
+     *
+     * @param document_type {object|undefined} The type object
+     * @returns {{properties: Array.<string>, language: string}}
+     */
+    static get_full_text_index (document_type) {
+
+        if (!(document_type && document_type.fullTextIndexes)) {
+            throw new TypeError("Full text search requires a type with fullTextIndexes");
+        }
+
+        return NoPgUtils.parse_full_text_index(document_type.fullTextIndexes);
+
+    }
+
+    /** Returns the searchable text of the document as an SQL expression, eg. the properties joined with spaces.
+     *
+     * @param ObjType
+     * @param fulltext {{properties: Array.<string>, language: string}}
+     * @returns {string}
+     */
+    static pg_full_text_document (ObjType, fulltext) {
+        const datakey = NoPgUtils.get_predicate_datakey(ObjType);
+        return _.map(fulltext.properties, key => "COALESCE(" + NoPgUtils.parse_keyref_text(datakey, key) + ", '')").join(" || ' ' || ");
+    }
+
+    /** Returns the `tsvector` expression of the document. The same expression is used in the index and in the
+     * search, so that PostgreSQL can use the index.
+     *
+     * @param ObjType
+     * @param fulltext {{properties: Array.<string>, language: string}}
+     * @returns {string}
+     */
+    static pg_full_text_vector (ObjType, fulltext) {
+        return "to_tsvector('" + fulltext.language + "'::regconfig, " + NoPgUtils.pg_full_text_document(ObjType, fulltext) + ")";
+    }
+
+    /** Returns the `tsquery` expression for the search query
+     *
+     * @param fulltext {{properties: Array.<string>, language: string}}
+     * @param query {string}
+     * @returns {Predicate}
+     */
+    static pg_full_text_query (fulltext, query) {
+        AssertUtils.isString(query);
+        return new Predicate("plainto_tsquery('" + fulltext.language + "'::regconfig, $)", [query]);
+    }
+
+    /** Returns the full text index name. Long names are shortened with a hash, since PostgreSQL would truncate
+     * them silently.
+     *
+     * @param ObjType
+     * @param fulltext {{properties: Array.<string>, language: string}}
+     * @returns {string}
+     */
+    static pg_create_full_text_index_name (ObjType, fulltext) {
+
+        const name = NoPgUtils.pg_convert_index_name(ObjType.meta.table) + "_fulltext_" + NoPgUtils.pg_convert_index_name([fulltext.language].concat(fulltext.properties).join('_')) + "_index";
+
+        if (name.length <= 63) {
+            return name;
+        }
+
+        const hash = crypto.createHash('md5').update(name).digest('hex').substr(0, 8);
+
+        return name.substr(0, 54) + "_" + hash;
+
+    }
+
+    /** Returns the query to create a GIN index for full text search
+     *
+     * @param ObjType
+     * @param fulltext {{properties: Array.<string>, language: string}}
+     * @returns {string}
+     */
+    static pg_create_full_text_index_query (ObjType, fulltext) {
+        const name = NoPgUtils.pg_create_full_text_index_name(ObjType, fulltext);
+        return "CREATE INDEX " + name + " ON " + (ObjType.meta.table) + " USING gin (" + NoPgUtils.pg_full_text_vector(ObjType, fulltext) + ")";
+    }
+
+    /** Returns the index name for `arrayIndexes`
+     *
+     * @param ObjType
+     * @param field {string} The property name of the array
+     * @returns {string}
+     */
+    static pg_create_array_index_name (ObjType, field) {
+        return NoPgUtils.pg_convert_index_name(ObjType.meta.table) + "_array_" + NoPgUtils.pg_convert_index_name(field) + "_index";
+    }
+
+    /** Returns the query to create a GIN index for array operators `$contains`, `$all` and `$any`. The expression is
+     * the same as in `PG_ARRAY_OPERATORS`.
+     *
+     * @param ObjType
+     * @param field {string} The property name of the array
+     * @returns {string}
+     */
+    static pg_create_array_index_query (ObjType, field) {
+
+        if (!( _.isString(field) && (field[0] !== '$') && NoPgUtils.is_valid_key(field) )) {
+            throw new TypeError("Invalid array index: " + LogUtils.getAsString(field));
+        }
+
+        const keyref = NoPgUtils.parse_predicate_key(ObjType, {'epoch': false}, field);
+
+        const name = NoPgUtils.pg_create_array_index_name(ObjType, field);
+
+        return "CREATE INDEX " + name + " ON " + (ObjType.meta.table) + " USING gin ((" + keyref.getString() + "))";
+
+    }
+
+    /** Parse `{"$text": "query"}` predicate
+     *
+     * @param ObjType
+     * @param document_type {object|undefined} The type object, which must have `fullTextIndexes`
+     * @param query {string}
+     * @returns {Predicate}
+     */
+    static parse_text_predicate (ObjType, document_type, query) {
+
+        if (!_.isString(query)) {
+            throw new TypeError("$text must be a string: " + LogUtils.getAsString(query));
+        }
+
+        const fulltext = NoPgUtils.get_full_text_index(document_type);
+
+        const tsquery = NoPgUtils.pg_full_text_query(fulltext, query);
+
+        return new Predicate(NoPgUtils.pg_full_text_vector(ObjType, fulltext) + " @@ " + tsquery.getString(), tsquery.getParams());
+
+    }
+
+    /** Returns the first `$text` query in search options, or `undefined` if there is none.
+     *
+     * @param opts {*} Search options
+     * @returns {string|undefined}
+     */
+    static get_text_query (opts) {
+
+        if (_.isArray(opts)) {
+            return _.reduce(opts, (found, item) => found !== undefined ? found : NoPgUtils.get_text_query(item), undefined);
+        }
+
+        if (NoPgUtils.isObjectNotArray(opts) && opts.hasOwnProperty('$text')) {
+            return opts.$text;
+        }
+
+    }
+
+    /** Returns the ORDER BY predicate for `traits.rank`, the best match first.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined} The type object, which must have `fullTextIndexes`
+     * @param query {string}
+     * @returns {Predicate}
+     */
+    static parse_text_rank_order (ObjType, document_type, query) {
+
+        const fulltext = NoPgUtils.get_full_text_index(document_type);
+
+        const tsquery = NoPgUtils.pg_full_text_query(fulltext, query);
+
+        return new Predicate("ts_rank(" + NoPgUtils.pg_full_text_vector(ObjType, fulltext) + ", " + tsquery.getString() + ") DESC", tsquery.getParams());
+
+    }
+
+    /** Returns the field for `traits.highlight`, which selects highlighted snippets of the matching text.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined} The type object, which must have `fullTextIndexes`
+     * @param query {string}
+     * @param options {string|boolean} Options for `ts_headline()`, like `"StartSel=<b>, StopSel=</b>"`, or `true`
+     * for defaults.
+     * @returns {Predicate}
+     */
+    static parse_text_highlight_field (ObjType, document_type, query, options) {
+
+        const fulltext = NoPgUtils.get_full_text_index(document_type);
+
+        const tsquery = NoPgUtils.pg_full_text_query(fulltext, query);
+
+        const args = ["'" + fulltext.language + "'::regconfig", NoPgUtils.pg_full_text_document(ObjType, fulltext), tsquery.getString()];
+
+        let params = tsquery.getParams();
+
+        if (_.isString(options)) {
+            args.push('$');
+            params = params.concat([options]);
+        }
+
+        return new Predicate("ts_headline(" + args.join(', ') + ")", params, {'key': NoPgUtils.get_highlight_field_name()});
+
+    }
+
+    /** Returns the column name for highlighted snippets */
+    static get_highlight_field_name () {
+        return 'nopg_highlight';
+    }
+
+    /** Removes the highlighted snippets from the rows.
+     *
+     * @param rows {Array.<object>} The rows are modified in place
+     * @returns {Array.<string>|undefined} The snippets in the same order as rows, or `undefined` if the query had no
+     * snippets.
+     */
+    static parse_highlight_results (rows) {
+
+        const key = NoPgUtils.get_highlight_field_name();
+
+        if (!(rows.length && rows[0].hasOwnProperty(key))) {
+            return;
+        }
+
+        return _.map(rows, row => {
+            const value = row[key];
+            delete row[key];
+            return value;
+        });
+
+    }
+
+    /** Returns the field for the total number of rows without `limit` and `offset`, for `traits.withTotal`.
+     *
+     * @returns {Predicate}
+     */
+    static parse_total_field () {
+        return new Predicate("count(*) OVER()", [], {'key': NoPgUtils.get_total_field_name()});
+    }
+
+    /** Returns the column name for the total number of rows */
+    static get_total_field_name () {
+        return 'nopg_total';
+    }
+
+    /** Removes the total number of rows from the rows.
+     *
+     * @param rows {Array.<object>} The rows are modified in place
+     * @returns {number|undefined} The total, or `undefined` if there were no rows.
+     */
+    static parse_total_results (rows) {
+
+        const key = NoPgUtils.get_total_field_name();
+
+        if (!(rows.length && rows[0].hasOwnProperty(key))) {
+            return;
+        }
+
+        const total = parseInt(rows[0][key], 10);
+
+        _.forEach(rows, row => {
+            delete row[key];
+        });
+
+        return total;
+
+    }
+
+    /** Parse traits for `db.aggregate()`. Each of `group`, `sum`, `avg`, `min` and `max` is normalized as an array of
+     * property names.
+     *
+     * @param traits {object}
+     * @returns {object}
+     */
+    static parse_aggregate_traits (traits) {
+
+        traits = _.clone(traits || {});
+
+        _.forEach(['group'].concat(Object.keys(PG_AGGREGATE_FUNCTIONS)), name => {
+
+            traits[name] = traits.hasOwnProperty(name) ? [].concat(traits[name]) : [];
+
+            _.forEach(traits[name], key => {
+                if (!( _.isString(key) && ( (key[0] === '$') || NoPgUtils.is_valid_key(key) ) )) {
+                    throw new TypeError("Invalid keyword in traits." + name + ": " + LogUtils.getAsString(key));
+                }
+            });
+
+        });
+
+        traits.count = traits.count === true;
+
+        if ( !traits.count && _.every(Object.keys(PG_AGGREGATE_FUNCTIONS), name => traits[name].length === 0) ) {
+            throw new TypeError("db.aggregate() requires at least one of traits.count, traits.sum, traits.avg, traits.min or traits.max");
+        }
+
+        return traits;
+
+    }
+
+    /** Returns the casted expression and PostgreSQL type of property `key` for aggregates.
+     *
+     * `SUM()` and `AVG()` are always calculated as numeric, even when the type is not known from the schema.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined} The type object, if known.
+     * @param name {string} `group` or one of `PG_AGGREGATE_FUNCTIONS`
+     * @param key {string}
+     * @returns {{predicate: Predicate, pgtype: string}}
+     */
+    static parse_aggregate_expression (ObjType, document_type, name, key) {
+
+        const keyref = NoPgUtils.parse_predicate_key(ObjType, {'epoch': false}, key);
+
+        let pgtype = NoPgUtils.parse_predicate_pgtype(ObjType, document_type, key);
+
+        if ( ((name === 'sum') || (name === 'avg')) && (pgtype === 'text') ) {
+            pgtype = 'numeric';
+        }
+
+        let expr = NoPgUtils.parse_predicate_pgcast_by_type(pgtype)(keyref.getString());
+
+        if (name !== 'group') {
+            expr = PG_AGGREGATE_FUNCTIONS[name](expr);
+        }
+
+        return {'predicate': new Predicate(expr, keyref.getParams()), pgtype};
+
+    }
+
+    /** Returns the selected columns of `db.aggregate()`
+     *
+     * @param ObjType
+     * @param document_type {object|undefined} The type object, if known.
+     * @param traits {object} Traits normalized by `parse_aggregate_traits()`
+     * @returns {Array.<{name: string, key: (string|undefined), field: string, pgtype: string, predicate: Predicate}>}
+     */
+    static parse_aggregate_columns (ObjType, document_type, traits) {
+
+        let columns = [];
+
+        _.forEach(['group'].concat(Object.keys(PG_AGGREGATE_FUNCTIONS)), name => {
+            _.forEach(traits[name], key => {
+                const expr = NoPgUtils.parse_aggregate_expression(ObjType, document_type, name, key);
+                columns.push({name, key, 'field': 'nopg_aggregate_' + columns.length, 'pgtype': expr.pgtype, 'predicate': expr.predicate});
+            });
+        });
+
+        if (traits.count) {
+            columns.push({'name': 'count', 'field': 'nopg_aggregate_' + columns.length, 'pgtype': 'numeric', 'predicate': new Predicate('COUNT(*)')});
+        }
+
+        return columns;
+
+    }
+
+    /** Returns the SELECT fields for columns of `db.aggregate()`
+     *
+     * @param columns {Array} Columns from `parse_aggregate_columns()`
+     * @returns {Array.<Predicate>}
+     */
+    static parse_aggregate_fields (columns) {
+        return _.map(columns, column => new Predicate(column.predicate.getString(), column.predicate.getParams(), {'key': column.field}));
+    }
+
+    /** Returns the expression for a key in `traits.having`. The key is `count`, an aggregate like `sum.price` or a
+     * property in `traits.group`.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined}
+     * @param traits {object} Traits normalized by `parse_aggregate_traits()`
+     * @param key {string}
+     * @returns {{predicate: Predicate, pgtype: string}}
+     */
+    static parse_aggregate_having_key (ObjType, document_type, traits, key) {
+
+        if (key === 'count') {
+            return {'predicate': new Predicate('COUNT(*)'), 'pgtype': 'numeric'};
+        }
+
+        const i = key.indexOf('.');
+
+        const name = i >= 0 ? key.substr(0, i) : undefined;
+
+        if ( name && PG_AGGREGATE_FUNCTIONS.hasOwnProperty(name) ) {
+            return NoPgUtils.parse_aggregate_expression(ObjType, document_type, name, key.substr(i+1));
+        }
+
+        if (traits.group.indexOf(key) >= 0) {
+            return NoPgUtils.parse_aggregate_expression(ObjType, document_type, 'group', key);
+        }
+
+        throw new TypeError("Unknown key in traits.having: " + key);
+
+    }
+
+    /** Parse `traits.having` for `db.aggregate()`. It uses the same syntax as search predicates, eg.
+     * `{"sum.price": {"$gt": 100}}` or `["OR", {"count": 1}, {"max.price": {"$gte": 10}}]`.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined}
+     * @param traits {object} Traits normalized by `parse_aggregate_traits()`
+     * @param having {Array|object}
+     * @param def_op {string} `AND` or `OR`
+     * @returns {Predicate}
+     */
+    static parse_aggregate_having (ObjType, document_type, traits, having, def_op) {
+
+        def_op = def_op || 'AND';
+
+        if (_.isArray(having)) {
+
+            let op = def_op;
+
+            if ( NoPgUtils.is_operator(having[0]) ) {
+                having = [].concat(having);
+                op = having.shift();
+            }
+
+            if ( (op !== 'AND') && (op !== 'OR') ) {
+                throw new TypeError("Unsupported operator in traits.having: " + op);
+            }
+
+            return Predicate.join(_.map(having, item => NoPgUtils.parse_aggregate_having(ObjType, document_type, traits, item, def_op)), op);
+
+        }
+
+        AssertUtils.isObject(having);
+
+        return Predicate.join(_.map(Object.keys(having), key => {
+
+            const expr = NoPgUtils.parse_aggregate_having_key(ObjType, document_type, traits, key);
+
+            const operators = NoPgUtils.is_comparison_object(having[key]) ? having[key] : {'$eq': having[key]};
+
+            return Predicate.join(_.map(Object.keys(operators), op => {
+
+                if (!PG_COMPARISON_OPERATORS.hasOwnProperty(op)) {
+                    throw new TypeError("Unknown comparison operator " + op + " for " + key);
+                }
+
+                const value = operators[op];
+
+                if (op === '$exists') {
+                    return new Predicate( PG_COMPARISON_OPERATORS.$exists(expr.predicate.getString(), value), expr.predicate.getParams() );
+                }
+
+                return new Predicate(
+                    PG_COMPARISON_OPERATORS[op](expr.predicate.getString(), value),
+                    expr.predicate.getParams().concat([ NoPgUtils.parse_comparison_param(expr.pgtype, value) ])
+                );
+
+            }), 'AND');
+
+        }), def_op);
+
+    }
+
+    /** Convert rows from `db.aggregate()` into plain objects like `{"category": "foo", "sum": {"price": 10}, "count": 2}`
+     *
+     * @param columns {Array} Columns from `parse_aggregate_columns()`
+     * @param rows {Array.<object>}
+     * @returns {Array.<object>}
+     */
+    static parse_aggregate_results (columns, rows) {
+
+        const parse_value = (pgtype, value) => ( ((pgtype === 'numeric') || (pgtype === 'integer')) && _.isString(value) ) ? parseFloat(value) : value;
+
+        return _.map(rows, row => {
+
+            let obj = {};
+
+            _.forEach(columns, column => {
+
+                const value = parse_value(column.pgtype, row[column.field]);
+
+                if ( (column.name === 'group') || (column.name === 'count') ) {
+                    obj[column.key || column.name] = value;
+                    return;
+                }
+
+                if (!obj[column.name]) {
+                    obj[column.name] = {};
+                }
+
+                obj[column.name][column.key] = value;
+
+            });
+
+            return obj;
+
+        });
+
+    }
+
+    /** Returns the property names used in search predicates, eg. `["name", "age"]` for
+     * `{"name": "foo", "age": {"$gt": 18}}`.
+     *
+     * @param opts {*} Search options
+     * @returns {Array.<string>}
+     */
+    static get_predicate_keys (opts) {
+
+        if (_.isArray(opts)) {
+
+            if ( opts.length && (NoPgUtils.parse_operator_name(opts[0]) === 'BIND') ) {
+                return _.uniq( _.filter(opts.slice(1), _.isString) );
+            }
+
+            return _.uniq( _.flatten( _.map(opts, item => NoPgUtils.get_predicate_keys(item)) ) );
+
+        }
+
+        if (NoPgUtils.isObjectNotArray(opts) && !(opts instanceof NoPg.Type)) {
+            return _.filter(Object.keys(opts), key => key !== '$text');
+        }
+
+        return [];
+
+    }
+
+    /** Returns `true` if search options have comparison operators for properties, which need the type schema for
+     * casting, eg. `{"age": {"$gt": 18}}`.
+     *
+     * @param opts {*} Search options
+     * @returns {boolean}
+     */
+    static has_comparison_predicates (opts) {
+
+        if (_.isArray(opts)) {
+            return _.some(opts, NoPgUtils.has_comparison_predicates);
+        }
+
+        if (NoPgUtils.isObjectNotArray(opts) && !(opts instanceof NoPg.Type)) {
+            return _.some(Object.keys(opts), key => (key[0] !== '$') && NoPgUtils.is_comparison_object(opts[key]));
+        }
+
+        return false;
+
+    }
+
+    /** Returns the properties which `declareType()` has indexed for the type, including the default indexes.
+     * Composite indexes are not included.
+     *
+     * @param document_type {object|undefined} The type object
+     * @returns {Array.<string>}
+     */
+    static get_declared_indexes (document_type) {
+        const indexes = (document_type && document_type.indexes) || [];
+        const uniqueIndexes = (document_type && document_type.uniqueIndexes) || [];
+        return _.uniq( _.filter([].concat(indexes).concat(uniqueIndexes), _.isString).concat(['$id', '$created', '$modified']) );
+    }
+
+    /** Returns all nodes of an `EXPLAIN (FORMAT JSON)` plan as a flat array
+     *
+     * @param plan {object} The `Plan` object
+     * @returns {Array.<object>}
+     */
+    static get_explain_nodes (plan) {
+        return [plan].concat( _.flatten( _.map(plan.Plans || [], NoPgUtils.get_explain_nodes) ) );
+    }
+
+    /** Parse the result of `EXPLAIN (ANALYZE, FORMAT JSON)` for `traits.explain`.
+     *
+     * Sequential scans on the table of `ObjType`, or on its partitions, are reported with the properties used in the
+     * predicate, and the name of the index from `declareType()` which covers each of them. If the name is `undefined`, the property is
+     * missing from `indexes` in the type.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined} The type object
+     * @param search_opts {*}
+     * @param result {{query: string, params: Array}} The compiled query
+     * @param rows {Array.<object>} Rows from the EXPLAIN query
+     * @returns {{query: string, params: Array, plan: object, seqScans: Array.<object>}}
+     */
+    static parse_explain_results (ObjType, document_type, search_opts, result, rows) {
+
+        AssertUtils.isArray(rows);
+
+        let plan = _.first(rows)['QUERY PLAN'];
+
+        if (_.isString(plan)) {
+            plan = JSON.parse(plan);
+        }
+
+        plan = _.first(plan);
+
+        const declared = NoPgUtils.get_declared_indexes(document_type);
+
+        const type_name = document_type && document_type.$name;
+
+        const indexes = _.map(NoPgUtils.get_predicate_keys(search_opts), key => ({
+            key,
+            'index': ( type_name && (declared.indexOf(key) >= 0) ) ? NoPgUtils.pg_create_index_name(ObjType, document_type, key, 'type') : undefined
+        }));
+
+        const table = ObjType.meta.table;
+
+        const is_table = name => (name === table) || ( (ObjType === NoPg.Document) && _.startsWith(name, table + '_') );
+
+        const seqScans = _.map(
+            _.filter(NoPgUtils.get_explain_nodes(plan.Plan), node => (node['Node Type'] === 'Seq Scan') && is_table(node['Relation Name']) ),
+            node => ({
+                'relation': node['Relation Name'],
+                'filter': node.Filter,
+                'rows': node['Actual Rows'],
+                'time': node['Actual Total Time'],
+                indexes
+            })
+        );
+
+        return {
+            'query': result.query,
+            'params': result.params,
+            'plan': plan,
+            seqScans
+        };
+
+    }
+
+    /** Parses internal fields from nopg style fields
+     *
+     */
+    static parse_select_fields(ObjType, traits) {
+        AssertUtils.isFunction(ObjType);
+        AssertUtils.isObject(traits).ignore(undefined);
+        return ARRAY(traits.fields).map(function(f) {
+            return NoPgUtils.parse_predicate_key(ObjType, {'traits': traits, 'epoch':false}, f);
+        }).valueOf();
+    }
+
+    /** Parse opts object */
+    static parse_search_opts(opts, traits) {
+
+        if (opts === undefined) {
+            return;
+        }
+
+        if (_.isArray(opts)) {
+            if ( (opts.length >= 1) && NoPgUtils.isObjectNotArray(opts[0]) ) {
+                return [ ((traits.match === 'any') ? 'OR' : 'AND') ].concat(opts);
+            }
+            return opts;
+        }
+
+        if (opts instanceof NoPg.Type) {
+            return [ "AND", { "$id": opts.$id } ];
+        }
+
+        if (NoPgUtils.isObjectNotArray(opts)) {
+            return [ ((traits.match === 'any') ? 'OR' : 'AND') , opts];
+        }
+
+        return [ "AND", {"$name": ''+opts} ];
+    }
+
+    /** Generate ORDER BY using `traits.order` */
+    static parse_select_order(ObjType, document_type, order, q, traits) {
+
+        AssertUtils.isFunction(ObjType);
+        AssertUtils.isObject(document_type).ignore(undefined);
+        AssertUtils.isArray(order);
+
+        return _.map(order, o => {
+            const item = NoPgUtils.parse_select_order_item(ObjType, document_type, o, q, traits);
+            if (item.rest.length === 0) {
+                return item.predicate;
+            }
+            return new Predicate( [item.predicate.getString()].concat(item.rest).join(' '), item.predicate.getParams(), item.predicate.getMetaObject() );
+        });
+    }
+
+    /** Parse single item of `traits.order` (or `traits.group`) into the casted expression and the rest of the
+     * item, eg. `["name", "DESC"]` into `{"predicate": <content ->> 'name'>, "rest": ["DESC"]}`.
+     *
+     * @param ObjType
+     * @param document_type {object|undefined}
+     * @param o {string|Array}
+     * @param q {Query}
+     * @param traits {object}
+     * @returns {{predicate: Predicate, rest: Array}}
+     */
+    static parse_select_order_item (ObjType, document_type, o, q, traits) {
+
+        let key, type, rest;
+        if (_.isArray(o)) {
+            key = NoPgUtils.parse_operator_name(o[0]);
+            type = NoPgUtils.parse_operator_type(o[0], 'text');
+            rest = o.slice(1);
+        } else {
+            key = NoPgUtils.parse_operator_name(o);
+            type = NoPgUtils.parse_operator_type(o, 'text');
+            rest = [];
+        }
+
+        if (key === 'BIND') {
+            return {
+                'predicate': NoPgUtils.parse_function_predicate(ObjType, q, undefined, rest, type, traits),
+                'rest': []
+            };
+        }
+
+        //nrLog.debug('key = ', key);
+        let parsed_key = NoPgUtils.parse_predicate_key(ObjType, {'traits': traits, 'epoch':true}, key);
+        //nrLog.debug('parsed_key = ', parsed_key);
+        let pgcast = NoPgUtils.parse_predicate_pgcast(ObjType, document_type, key);
+        //nrLog.debug('pgcast = ', pgcast);
+
+        return {
+            'predicate': new Predicate( pgcast(parsed_key.getString()), parsed_key.getParams(), parsed_key.getMetaObject() ),
+            'rest': rest
+        };
+
+    }
+
+    /** Compare two variables as JSON strings */
+    static json_cmp(a, b) {
+        a = JSON.stringify(a);
+        b = JSON.stringify(b);
+        let ret = (a === b) ? true : false;
+        return ret;
+    }
+
+
+    /**
+     * Returns `true` if PostgreSQL database table exists.
+     * @todo Implement this in nor-pg and use here.
+     */
+    static pg_table_exists(self, name) {
+        return do_query(self, 'SELECT * FROM information_schema.tables WHERE table_name = $1 LIMIT 1', [name]).then(function(rows) {
+            if (!rows) { throw new TypeError("Unexpected result from query: " + LogUtils.getAsString(rows)); }
+            return rows.length !== 0;
+        });
+    }
+
+    /** Convert special characters in field name to "_" for index naming
+     * @param field
+     * @return {string}
+     */
+    static pg_convert_index_name(field) {
+        return field.toLowerCase().replace(/[^a-z0-9]+/g, "_");
+    }
+
+    /** Returns `true` if documents of the type are in their own partition, eg. it was declared with
+     * `db.declareType(name, {"partitioned": true})`.
+     *
+     * @param type {NoPg.Type|undefined}
+     * @returns {boolean}
+     */
+    static is_partitioned_type (type) {
+        return !!( type && _.isObject(type) && (type.partitioned === true) && _.isString(type.$name) );
+    }
+
+    /** Returns the name of the partition of `documents` for documents of the type
+     *
+     * @param type_name {string}
+     * @returns {string}
+     */
+    static pg_partition_name (type_name) {
+        AssertUtils.isString(type_name);
+        return 'documents_' + NoPgUtils.pg_convert_index_name(type_name) + '_partition';
+    }
+
+    /** Returns the table where indexes for the type are created. Partitioned types have indexes local to their own
+     * partition. Other documents are in the default partition once `documents` has been partitioned.
+     *
+     * @param ObjType
+     * @param type
+     * @param partitioned {boolean} `true` if the `documents` table is partitioned
+     * @returns {string}
+     */
+    static pg_index_table (ObjType, type, partitioned) {
+
+        if (ObjType !== NoPg.Document) {
+            return ObjType.meta.table;
+        }
+
+        if (NoPgUtils.is_partitioned_type(type)) {
+            return NoPgUtils.pg_partition_name(type.$name);
+        }
+
+        return partitioned ? 'documents_default' : ObjType.meta.table;
+
+    }
+
+    /** Returns `true` if `field` can be a column of an index: a property name, or an expression like
+     * `["lower", "email"]` where the first item is one of `PG_INDEX_FUNCTIONS` and the others are index fields.
+     *
+     * @param field {string|Array}
+     * @returns {boolean}
+     */
+    static is_valid_index_field (field) {
+
+        if (_.isString(field)) {
+            return NoPgUtils.is_valid_key(field.replace(/^\$/, ''));
+        }
+
+        return _.isArray(field) && (field.length >= 2) && (PG_INDEX_FUNCTIONS.indexOf(field[0]) >= 0) &&
+            _.every(field.slice(1), arg => NoPgUtils.is_valid_index_field(arg));
+
+    }
+
+    /** Returns the declaration of a composite, partial or expression index from `indexes` or `uniqueIndexes` of a
+     * type, or `undefined` if the index is a single property name. The index can be:
+     *
+     *  - `["tenantId", "email"]` -- an index of multiple properties
+     *  - `{"fields": ["email"], "unique": true, "where": {"active": true}, "method": "btree"}` -- where `where` is a
+     *    predicate like in `db.search()` and `method` is one of `PG_INDEX_METHODS`.
+     *  - `{"expression": ["lower", "email"]}` -- an index of an expression, which is the same as
+     *    `{"fields": [["lower", "email"]]}`. Fields can be expressions in the other forms, too.
+     *
+     * @param value {string|Array.<string|Array>|object}
+     * @param is_unique {boolean} `true` if the index is in `uniqueIndexes`
+     * @returns {{fields: Array.<string|Array>, unique: boolean, method: string, where: object|undefined}|undefined}
+     */
+    static parse_index (value, is_unique) {
+
+        if (_.isString(value)) {
+            return;
+        }
+
+        if (_.isArray(value)) {
+            value = {'fields': value};
+        }
+
+        if (!NoPgUtils.isObjectNotArray(value)) {
+            throw new TypeError("Invalid index: " + LogUtils.getAsString(value));
+        }
+
+        if ( (value.expression !== undefined) && (value.fields !== undefined) ) {
+            throw new TypeError("Index can have either fields or expression: " + LogUtils.getAsString(value));
+        }
+
+        const fields = (value.expression !== undefined) ? [value.expression] : ( _.isString(value.fields) ? [value.fields] : value.fields );
+
+        if (!( _.isArray(fields) && (fields.length >= 1) && _.every(fields, field => NoPgUtils.is_valid_index_field(field)) )) {
+            throw new TypeError("Invalid index fields: " + LogUtils.getAsString( (value.expression !== undefined) ? value.expression : value.fields ));
+        }
+
+        const method = (value.method !== undefined) ? value.method : 'btree';
+
+        if (PG_INDEX_METHODS.indexOf(method) < 0) {
+            throw new TypeError("Invalid index method: " + LogUtils.getAsString(method));
+        }
+
+        const unique = (value.unique !== undefined) ? (value.unique === true) : !!is_unique;
+
+        if ( unique && (method !== 'btree') ) {
+            throw new TypeError("Only btree indexes can be unique: " + LogUtils.getAsString(value));
+        }
+
+        if ( (method === 'hash') && (fields.length !== 1) ) {
+            throw new TypeError("Hash indexes can have only one field: " + LogUtils.getAsString(value));
+        }
+
+        if ( (method === 'gin') && _.some(fields, _.isArray) ) {
+            throw new TypeError("GIN indexes cannot have expressions: " + LogUtils.getAsString(value));
+        }
+
+        if ( (value.where !== undefined) && !_.isObject(value.where) ) {
+            throw new TypeError("Invalid index where: " + LogUtils.getAsString(value.where));
+        }
+
+        return {'fields': _.cloneDeep(fields), unique, method, 'where': value.where};
+
+    }
+
+    /** Returns JSON with object keys in sorted order, so equal declarations have equal strings
+     *
+     * @param value {*}
+     * @returns {string}
+     */
+    static stable_stringify (value) {
+
+        if (_.isArray(value)) {
+            return '[' + _.map(value, item => NoPgUtils.stable_stringify(item)).join(',') + ']';
+        }
+
+        if (_.isRegExp(value)) {
+            return JSON.stringify(value.toString());
+        }
+
+        if (NoPgUtils.isObjectNotArray(value) && !_.isDate(value)) {
+            return '{' + _.map(Object.keys(value).sort(), key => JSON.stringify(key) + ':' + NoPgUtils.stable_stringify(value[key])).join(',') + '}';
+        }
+
+        return JSON.stringify(value === undefined ? null : value);
+
+    }
+
+    /** Replaces `$` placeholders with the params as SQL literals. Index definitions cannot have query parameters.
+     *
+     * @param query {string}
+     * @param params {Array}
+     * @returns {string}
+     */
+    static pg_inline_params (query, params) {
+        let i = 0;
+        return query.replace(/\$/g, () => {
+            const value = params[i];
+            i += 1;
+            if (_.isDate(value)) {
+                return pg_escape.literal(value.toISOString());
+            }
+            // Regular expressions are passed as their source like in `parse_comparison_param()`
+            if (_.isRegExp(value)) {
+                return pg_escape.literal(value.source);
+            }
+            return pg_escape.literal( _.isObject(value) ? JSON.stringify(value) : '' + value );
+        });
+    }
+
+    /** Returns the name of the type which limits a composite index with `type = name`, or `undefined` if the index is
+     * not limited to a type. Indexes of partitioned types are in the partition of the type.
+     *
+     * @param ObjType
+     * @param type
+     * @returns {string|undefined}
+     */
+    static get_index_type_name (ObjType, type) {
+
+        if ( (ObjType !== NoPg.Document) || NoPgUtils.is_partitioned_type(type) ) {
+            return;
+        }
+
+        if (_.isString(type)) {
+            return type;
+        }
+
+        return (type && _.isString(type.$name)) ? type.$name : undefined;
+
+    }
+
+    /** Returns the name of a composite index. The name has a hash of the whole declaration, so an index with the same
+     * name is always the same index and a changed declaration creates a new index.
+     *
+     * @param ObjType
+     * @param type
+     * @param index {object} The result from `NoPgUtils.parse_index()`
+     * @returns {string}
+     */
+    static pg_create_composite_index_name (ObjType, type, index) {
+
+        const table = ( (ObjType === NoPg.Document) && NoPgUtils.is_partitioned_type(type) ) ? NoPgUtils.pg_partition_name(type.$name) : ObjType.meta.table;
 
-        if (NoPgUtils.isObjectNotArray(opts)) {
-            return [ ((traits.match === 'any') ? 'OR' : 'AND') , opts];
-        }
+        const type_name = NoPgUtils.get_index_type_name(ObjType, type);
+
+        const name = NoPgUtils.pg_convert_index_name( [table].concat(type_name ? [type_name] : [], _.flattenDeep(index.fields)).join('_') );
+
+        const hash = crypto.createHash('md5').update(NoPgUtils.stable_stringify([type_name, index.fields, index.unique, index.method, index.where])).digest('hex').substr(0, 8);
+
+        return name.substr(0, 48) + "_" + hash + "_index";
 
-        return [ "AND", {"$name": ''+opts} ];
     }
 
-    /** Generate ORDER BY using `traits.order` */
-    static parse_select_order(ObjType, document_type, order, q, traits) {
+    /** Returns the query to create a composite index
+     *
+     * @param ObjType
+     * @param type
+     * @param index {object} The result from `NoPgUtils.parse_index()`
+     * @param partitioned {boolean} `true` if the `documents` table is partitioned
+     * @param schema {string} Optional schema prefix for the table, eg. `"public."`
+     * @returns {string}
+     */
+    static pg_create_composite_index_query (ObjType, type, index, partitioned, schema = '') {
 
-        AssertUtils.isFunction(ObjType);
-        AssertUtils.isObject(document_type).ignore(undefined);
-        AssertUtils.isArray(order);
+        const name = NoPgUtils.pg_create_composite_index_name(ObjType, type, index);
 
-        return ARRAY(order).map(function(o) {
-            let key, type, rest;
-            if (_.isArray(o)) {
-                key = parse_operator_name(o[0]);
-                type = parse_operator_type(o[0], 'text');
-                rest = o.slice(1);
-            } else {
-                key = parse_operator_name(o);
-                type = parse_operator_type(o, 'text');
-                rest = [];
+        // GIN indexes use the JSON values like array operators do, others the same casts as single property indexes
+        const column = field => {
+            if (_.isArray(field)) {
+                return field[0] + "(" + _.map(field.slice(1), column).join(', ') + ")";
             }
-
-            if (key === 'BIND') {
-                return this.parse_function_predicate(ObjType, q, undefined, rest, type, traits);
+            const colname = NoPgUtils.parse_predicate_key(ObjType, {'epoch':false}, field);
+            if (index.method === 'gin') {
+                return "(" + colname.getString() + ")";
             }
+            return NoPgUtils.wrap_casts( NoPgUtils.parse_predicate_pgcast(ObjType, type, field)(colname.getString()) );
+        };
 
-            //nrLog.debug('key = ', key);
-            let parsed_key = NoPgUtils.parse_predicate_key(ObjType, {'traits': traits, 'epoch':true}, key);
-            //nrLog.debug('parsed_key = ', parsed_key);
-            let pgcast = parse_predicate_pgcast(ObjType, document_type, key);
-            //nrLog.debug('pgcast = ', pgcast);
+        const columns = _.map(index.fields, field => _.isArray(field) ? "(" + column(field) + ")" : column(field));
 
-            return new Predicate( [pgcast(parsed_key.getString())].concat(rest).join(' '), parsed_key.getParams(), parsed_key.getMetaObject() );
-        }).valueOf();
-    }
+        let predicates = [];
 
-    /** Compare two variables as JSON strings */
-    static json_cmp(a, b) {
-        a = JSON.stringify(a);
-        b = JSON.stringify(b);
-        let ret = (a === b) ? true : false;
-        return ret;
-    }
+        const type_name = NoPgUtils.get_index_type_name(ObjType, type);
 
+        if (type_name) {
+            predicates.push(new Predicate("type = $", [type_name]));
+        }
 
-    /**
-     * Returns `true` if PostgreSQL database table exists.
-     * @todo Implement this in nor-pg and use here.
-     */
-    static pg_table_exists(self, name) {
-        return do_query(self, 'SELECT * FROM information_schema.tables WHERE table_name = $1 LIMIT 1', [name]).then(function(rows) {
-            if (!rows) { throw new TypeError("Unexpected result from query: " + LogUtils.getAsString(rows)); }
-            return rows.length !== 0;
-        });
-    }
+        if (index.where !== undefined) {
+            predicates.push( NoPgParsers.recursive_parse_predicates(ObjType, {'document_type': type}, 'AND', {}, index.where) );
+        }
+
+        let query = "CREATE " + (index.unique ? 'UNIQUE ' : '') + "INDEX " + name + " ON " + schema + NoPgUtils.pg_index_table(ObjType, type, partitioned) + " USING " + index.method + " (" + columns.join(', ') + ")";
+
+        if (predicates.length !== 0) {
+            const where = Predicate.join(predicates, 'AND');
+            query += " WHERE " + NoPgUtils.pg_inline_params(where.getString(), where.getParams());
+        }
+
+        return query;
 
-    /** Convert special characters in field name to "_" for index naming
-     * @param field
-     * @return {string}
-     */
-    static pg_convert_index_name(field) {
-        return field.toLowerCase().replace(/[^a-z0-9]+/g, "_");
     }
 
     /** Returns index name
      *
      * @param ObjType
      * @param type
-     * @param field
+     * @param field {string|object} The property name, or the result from `NoPgUtils.parse_index()`
      * @param typefield
      * @return {string}
      */
     static pg_create_index_name (ObjType, type, field, typefield) {
 
+        if (NoPgUtils.isObjectNotArray(field)) {
+            return NoPgUtils.pg_create_composite_index_name(ObjType, type, field);
+        }
+
         const colName = NoPgUtils.parse_predicate_key(ObjType, {'epoch':false}, field);
 
         const dataKey = colName.getMeta('dataKey');
@@ -876,7 +2711,12 @@ export class NoPgUtils {
 
         let name;
 
-        if ( (ObjType === NoPg.Document) && (typefield !== undefined)) {
+        if ( (ObjType === NoPg.Document) && NoPgUtils.is_partitioned_type(type) ) {
+
+            // The partition has only documents of the type, so the type is not part of the index
+            name = NoPgUtils.pg_convert_index_name(NoPgUtils.pg_partition_name(type.$name)) + "_" + NoPgUtils.pg_convert_index_name(field_name) + "_index";
+
+        } else if ( (ObjType === NoPg.Document) && (typefield !== undefined)) {
 
             if (!typefield) {
                 throw new TypeError("No typefield set for NoPg.Document!");
@@ -901,9 +2741,14 @@ export class NoPgUtils {
      * @param field
      * @param typefield
      * @param is_unique
+     * @param partitioned {boolean} `true` if the `documents` table is partitioned
      * @return {string}
      */
-    static pg_create_index_query_internal_v1 (ObjType, type, field, typefield, is_unique) {
+    static pg_create_index_query_internal_v1 (ObjType, type, field, typefield, is_unique, partitioned) {
+
+        if (NoPgUtils.isObjectNotArray(field)) {
+            return NoPgUtils.pg_create_composite_index_query(ObjType, type, field, partitioned, '');
+        }
 
         let query;
 
@@ -913,9 +2758,9 @@ export class NoPgUtils {
 
         let name = NoPgUtils.pg_create_index_name(ObjType, type, field, typefield);
 
-        query = "CREATE " + (is_unique?'UNIQUE ':'') + "INDEX "+name+" ON " + (ObjType.meta.table) + " USING btree ";
+        query = "CREATE " + (is_unique?'UNIQUE ':'') + "INDEX "+name+" ON " + NoPgUtils.pg_index_table(ObjType, type, partitioned) + " USING btree ";
 
-        if ( (ObjType === NoPg.Document) && (typefield !== undefined)) {
+        if ( (ObjType === NoPg.Document) && (typefield !== undefined) && !NoPgUtils.is_partitioned_type(type) ) {
 
             if (!typefield) {
                 throw new TypeError("No typefield set for NoPg.Document!");
@@ -958,9 +2803,15 @@ export class NoPgUtils {
      * @param field
      * @param typefield
      * @param is_unique
+     * @param partitioned {boolean} `true` if the `documents` table is partitioned
+     * @param schema {string} The PostgreSQL schema of the table, which `pg_indexes` writes in the definition
      * @return {string | *}
      */
-    static pg_create_index_query_internal_v2 (ObjType, type, field, typefield, is_unique) {
+    static pg_create_index_query_internal_v2 (ObjType, type, field, typefield, is_unique, partitioned, schema = 'public') {
+
+        if (NoPgUtils.isObjectNotArray(field)) {
+            return NoPgUtils.pg_create_composite_index_query(ObjType, type, field, partitioned, schema + '.');
+        }
 
         let query;
 
@@ -970,9 +2821,9 @@ export class NoPgUtils {
 
         let name = NoPgUtils.pg_create_index_name( ObjType, type, field, typefield);
 
-        query = "CREATE " + (is_unique?'UNIQUE ':'') + "INDEX "+name+" ON public." + (ObjType.meta.table) + " USING btree ";
+        query = "CREATE " + (is_unique?'UNIQUE ':'') + "INDEX "+name+" ON " + schema + "." + NoPgUtils.pg_index_table(ObjType, type, partitioned) + " USING btree ";
 
-        if ( (ObjType === NoPg.Document) && (typefield !== undefined)) {
+        if ( (ObjType === NoPg.Document) && (typefield !== undefined) && !NoPgUtils.is_partitioned_type(type) ) {
 
             if (!typefield) {
                 throw new TypeError("No typefield set for NoPg.Document!");
@@ -997,13 +2848,19 @@ export class NoPgUtils {
      * @param field
      * @param typefield
      * @param is_unique
+     * @param partitioned {boolean} `true` if the `documents` table is partitioned
      * @return {string | *}
      */
-    static pg_create_index_query_v1 (ObjType, type, field, typefield, is_unique) {
+    static pg_create_index_query_v1 (ObjType, type, field, typefield, is_unique, partitioned) {
 
-        let colname = NoPgUtils.parse_predicate_key(ObjType, {'epoch':false}, field);
+        let query = NoPgUtils.pg_create_index_query_internal_v1(ObjType, type, field, typefield, is_unique, partitioned);
+
+        // Composite indexes have their params written into the query
+        if (NoPgUtils.isObjectNotArray(field)) {
+            return query;
+        }
 
-        let query = NoPgUtils.pg_create_index_query_internal_v1(ObjType, type, field, typefield, is_unique);
+        let colname = NoPgUtils.parse_predicate_key(ObjType, {'epoch':false}, field);
 
         let params = colname.getParams();
 
@@ -1022,11 +2879,16 @@ export class NoPgUtils {
      * @param field
      * @param typefield
      * @param is_unique
+     * @param partitioned {boolean} `true` if the `documents` table is partitioned
+     * @param schema {string} The PostgreSQL schema of the table
      * @return {string | *}
      */
-    static pg_create_index_query_v2 (ObjType, type, field, typefield, is_unique) {
+    static pg_create_index_query_v2 (ObjType, type, field, typefield, is_unique, partitioned, schema = 'public') {
+        let query = NoPgUtils.pg_create_index_query_internal_v2(ObjType, type, field, typefield, is_unique, partitioned, schema);
+        if (NoPgUtils.isObjectNotArray(field)) {
+            return query;
+        }
         let colname = NoPgUtils.parse_predicate_key(ObjType, {'epoch':false}, field);
-        let query = NoPgUtils.pg_create_index_query_internal_v2(ObjType, type, field, typefield, is_unique);
         let params = colname.getParams();
         if (params.length !== 0) {
             throw new TypeError("pg_create_index_query_v2() does not support params!");
@@ -1034,6 +2896,107 @@ export class NoPgUtils {
         return query;
     }
 
+    /** Returns the names of the indexes which `declareIndexes()` creates for documents of the type
+     *
+     * @param type {NoPg.Type}
+     * @param data {object} The declaration with `indexes`, `uniqueIndexes`, `fullTextIndexes` and `arrayIndexes`.
+     *             Defaults to the type.
+     * @returns {Array.<string>}
+     */
+    static get_type_index_names (type, data) {
+
+        data = data || type;
+
+        const uniqueIndexes = data.uniqueIndexes || [];
+
+        const indexes = _.uniq( [].concat(data.indexes || [], uniqueIndexes, ['$id', '$created', '$modified']) );
+
+        let names = _.flatten(_.map(indexes, index => {
+
+            const composite = NoPgUtils.parse_index(index, uniqueIndexes.indexOf(index) >= 0);
+
+            if (composite) {
+                return [NoPgUtils.pg_create_composite_index_name(NoPg.Document, type, composite)];
+            }
+
+            if (NoPgUtils.is_partitioned_type(type)) {
+                return [NoPgUtils.pg_create_index_name(NoPg.Document, type, index)];
+            }
+
+            return _.map([undefined, 'types_id', 'type'], typefield => NoPgUtils.pg_create_index_name(NoPg.Document, type, index, typefield));
+
+        }));
+
+        if ( data.fullTextIndexes !== undefined ) {
+            names.push( NoPgUtils.pg_create_full_text_index_name(NoPg.Document, NoPgUtils.parse_full_text_index(data.fullTextIndexes)) );
+        }
+
+        return _.uniq( names.concat( _.map(data.arrayIndexes || [], index => NoPgUtils.pg_create_array_index_name(NoPg.Document, index)) ) );
+
+    }
+
+    /** Parses an index definition from `pg_indexes`, eg. `CREATE UNIQUE INDEX foo ON public.documents USING btree
+     * (type, ((content ->> 'email'::text))) WHERE (type = 'User'::text)`.
+     *
+     * @param indexdef {string}
+     * @returns {{name: string, table: string, unique: boolean, method: string, columns: Array.<string>, where: string|undefined}}
+     */
+    static parse_indexdef (indexdef) {
+
+        AssertUtils.isString(indexdef);
+
+        const match = /^CREATE (UNIQUE )?INDEX (\S+) ON (?:ONLY )?(\S+) USING (\S+) \(/.exec(indexdef);
+
+        if (!match) {
+            throw new TypeError("Invalid index definition: " + indexdef);
+        }
+
+        // Split the columns at commas which are not inside parenthesis or quotes
+        let columns = [];
+        let column = '';
+        let depth = 0;
+        let quote;
+        let i = match[0].length;
+
+        for (; i < indexdef.length; i += 1) {
+
+            const c = indexdef.charAt(i);
+
+            if (quote) {
+                quote = (c === quote) ? undefined : quote;
+            } else if ( (c === "'") || (c === '"') ) {
+                quote = c;
+            } else if (c === '(') {
+                depth += 1;
+            } else if ( (c === ')') && (depth === 0) ) {
+                break;
+            } else if (c === ')') {
+                depth -= 1;
+            } else if ( (c === ',') && (depth === 0) ) {
+                columns.push(column.trim());
+                column = '';
+                continue;
+            }
+
+            column += c;
+
+        }
+
+        columns.push(column.trim());
+
+        const where = /^\s+WHERE\s+(.+)$/.exec(indexdef.substr(i + 1));
+
+        return {
+            'name': match[2],
+            'table': match[3].replace(/^.*\./, ''),
+            'unique': !!match[1],
+            'method': match[4],
+            columns,
+            'where': where ? where[1] : undefined
+        };
+
+    }
+
     /** Run query on the PostgreSQL server
      * @param query
      * @param params
@@ -1178,6 +3141,70 @@ export class NoPgUtils {
         FUNCTION(builders.push).apply(builders, require(file) );
     }
 
+    /** Returns the steps of a database schema version from `schema/vNNNN.js`. A step is either a function which
+     * upgrades the database, or an object `{"up": function(db) {...}, "down": function(db) {...}}` where the optional
+     * `down` reverts the step.
+     *
+     * @param version {number}
+     * @returns {Array.<{up: function, down: function|undefined}>}
+     */
+    static load_schema_steps (version) {
+
+        const file = './schema/v' + NoPgUtils.pad(version, 4) + '.js';
+
+        let steps = [];
+
+        try {
+            NoPgUtils.push_file(steps, file);
+        } catch(err) {
+            nrLog.error("Exception: ", err);
+            throw new TypeError("Failed to load: "+ file + ": " + err);
+        }
+
+        return _.map(steps, step => {
+
+            if (_.isFunction(step)) {
+                return {'up': step};
+            }
+
+            if (!( NoPgUtils.isObjectNotArray(step) && _.isFunction(step.up) && ( (step.down === undefined) || _.isFunction(step.down) ) )) {
+                throw new TypeError("Invalid schema step in " + file + ": " + LogUtils.getAsString(step));
+            }
+
+            return step;
+
+        });
+
+    }
+
+    /** Returns an object which can be passed to schema steps instead of the database connection. It saves the
+     * queries to `queries` instead of executing them. Queries return no rows, so queries which depend on the results
+     * of earlier queries are not saved.
+     *
+     * @param queries {Array.<string>}
+     * @returns {object}
+     */
+    static create_query_recorder (queries) {
+
+        const recorder = {
+            'query': (query, params) => {
+                queries.push( (params && params.length) ? query.replace(/\$([0-9]+)/g, (match, n) => pg_escape.literal('' + params[n - 1])) : query );
+                return chain;
+            },
+            'fetch': () => [],
+            'fetchAll': () => []
+        };
+
+        // Like the promises of the connection, so steps can chain `.query()` calls and `.then()`
+        const chain = {
+            'query': recorder.query,
+            'then': (resolve, reject) => Promise.resolve(recorder).then(resolve, reject)
+        };
+
+        return recorder;
+
+    }
+
     /** Returns the latest database server version
      * @param self
      * @return {Promise}
@@ -1208,11 +3235,13 @@ export class NoPgUtils {
      * @param events {EventEmitter} The event emitter where we should trigger matching events.
      * @param when {object} We should only trigger events that match this specification. Object with optional properties
      *     `type`, `id` and `name`.
+     * @param tenant {string} If defined, events of other tenants are not triggered.
      */
-    static create_tcn_listener (events, when) {
+    static create_tcn_listener (events, when, tenant = undefined) {
 
         AssertUtils.isObject(events);
         AssertUtils.isObject(when);
+        if ( tenant !== undefined ) AssertUtils.isString(tenant);
 
         // Normalize event object back to event name
         let when_str = NoPg.stringifyEventName(when);
@@ -1228,6 +3257,11 @@ export class NoPgUtils {
                 return;
             }
 
+            // Verify we don't emit changes of other tenants
+            if ( (tenant !== undefined) && (payload.keys.tenant !== tenant) ) {
+                return;
+            }
+
             // Verify we don't emit, if matching id enabled and does not match
             if ( when.hasOwnProperty('id') && (payload.keys.id !== when.id) ) {
                 return;
@@ -1316,12 +3350,212 @@ export class NoPgUtils {
 
             return {
                 'type': type_name,
-                'prop': get_predicate_datakey(ObjType) + '.' + prop,
+                'prop': NoPgUtils.get_predicate_datakey(ObjType) + '.' + prop,
                 'fields': fields
             };
         }).valueOf();
     }
 
+    /** Returns the `$documents` of the rows like `get_documents()` does, but with set-based SQL for databases
+     * initialized without PLv8. Related documents are read by the ids in the row or, for expressions like
+     * `users{User#group}`, by the id of the row in a property of the related documents.
+     *
+     * @param ObjType
+     * @param relations {Array.<object>} The result from `parse_predicate_document_relations()`
+     * @param key {string}
+     * @returns {Predicate}
+     */
+    static parse_documents_predicate (ObjType, relations, key) {
+
+        const table = ObjType.meta.table;
+
+        // The related document `d` with the fields like `get_documents()` returns it
+        const get_document = fields => {
+
+            const all = _.some(fields, f => f.query === '*');
+
+            const keys = _.filter(fields, f => _.isString(f.key) && !_.isString(f.datakey));
+
+            const datakeys = _.groupBy(_.filter(fields, f => _.isString(f.key) && _.isString(f.datakey)), 'datakey');
+
+            const build = list => 'jsonb_build_object(' + _.map(list, f => pg_escape.literal(f.key) + ', ' + f.query).join(', ') + ')';
+
+            let parts = [all ? 'to_jsonb(d.*)' : "'{}'::jsonb"];
+
+            if (keys.length !== 0) {
+                parts.push(build(keys));
+            }
+
+            _.forEach(Object.keys(datakeys), datakey => {
+                const base = all ? "COALESCE(to_jsonb(d.*) -> " + pg_escape.literal(datakey) + ", '{}'::jsonb)" : "'{}'::jsonb";
+                parts.push('jsonb_build_object(' + pg_escape.literal(datakey) + ', ' + base + ' || ' + build(datakeys[datakey]) + ')');
+            });
+
+            return parts.join(' || ');
+
+        };
+
+        // The property of related documents like `get_documents()` reads it
+        const get_property = name => {
+
+            if (name[0] === '$') {
+                return 'd.' + name.substr(1);
+            }
+
+            return "(d.content #>> " + pg_escape.literal('{' + name.split('.').join(',') + '}') + ")";
+
+        };
+
+        let rows = [];
+        let expressions = [];
+
+        _.forEach(relations, relation => {
+
+            const fields = relation.fields || [{'query':'*'}];
+
+            const exp_start = relation.prop.indexOf('{');
+
+            if ( (exp_start >= 0) && (relation.prop[relation.prop.length - 1] === '}') ) {
+
+                const prop = relation.prop.substr(0, exp_start).trim();
+
+                const expression = relation.prop.substr(exp_start + 1, relation.prop.length - exp_start - 2).trim();
+
+                const type_start = expression.indexOf('#');
+
+                if (type_start < 0) {
+                    throw new TypeError("No property name in expression: {" + expression + "}");
+                }
+
+                const where = new Predicate(
+                    "d.type = $ AND " + get_property(expression.substr(type_start + 1).trim()) + "::text = " + table + ".id::text AND d.deleted IS NULL AND (d.expires IS NULL OR d.expires > now())",
+                    [expression.substr(0, type_start).trim()]
+                );
+
+                rows.push( new Predicate("SELECT d.id, " + get_document(fields) + " AS doc FROM documents AS d WHERE " + where.getString(), where.getParams()) );
+
+                expressions.push( new Predicate("$::text, (SELECT COALESCE(jsonb_agg(d.id), '[]'::jsonb) FROM documents AS d WHERE " + where.getString() + ")", [prop].concat(where.getParams())) );
+
+                return;
+
+            }
+
+            // UUIDs in the property of the row, either as a string or as an array of strings
+            const ids = "SELECT x.id::uuid FROM (SELECT to_jsonb(" + table + ".*) #> $::text[] AS v) AS p," +
+                " jsonb_array_elements_text(CASE WHEN jsonb_typeof(p.v) = 'array' THEN p.v ELSE jsonb_build_array(p.v) END) AS x(id)" +
+                " WHERE x.id ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}'";
+
+            rows.push( new Predicate(
+                "SELECT d.id, " + get_document(fields) + " AS doc FROM documents AS d WHERE d.id = ANY(ARRAY(" + ids + ")) AND d.deleted IS NULL AND (d.expires IS NULL OR d.expires > now())" + (relation.type ? " AND d.type = $" : ""),
+                ['{' + relation.prop.split('.').join(',') + '}'].concat(relation.type ? [relation.type] : [])
+            ) );
+
+        });
+
+        let query = "'{}'::jsonb";
+        let params = [];
+
+        if (rows.length !== 0) {
+            query = "(SELECT COALESCE(jsonb_object_agg(r.id, r.doc), '{}'::jsonb) FROM (" + _.map(rows, row => row.getString()).join(' UNION ALL ') + ") AS r)";
+            params = _.flatten(_.map(rows, row => row.getParams()));
+        }
+
+        if (expressions.length !== 0) {
+            query += " || jsonb_build_object('expressions', jsonb_build_object(" + _.map(expressions, e => e.getString()).join(', ') + "))";
+            params = params.concat( _.flatten(_.map(expressions, e => e.getParams())) );
+        }
+
+        return new Predicate(query, params, {'key': key});
+
+    }
+
+    /** Checks the content of a document against the JSON schema and the validator of the type like the `check_type()`
+     * constraint does with PLv8. Throws `TypeError` if the document is not valid.
+     *
+     * @param type {{id: string, name: string, schema: object|null, validator: string|null}} The row from `types`
+     * @param data {object} The content of the document
+     */
+    static validate_document (type, data) {
+
+        if (type.schema) {
+
+            const result = tv4.validateResult(data, type.schema);
+
+            if ( result.error || (result.valid === false) ) {
+                throw new TypeError('Document ' + JSON.stringify(data, null, 2) +
+                    ' failed JSON schema type check [type# ' + type.id + '/' + type.name + ']: ' + (result.error && result.error.message));
+            }
+
+        }
+
+        if (type.validator) {
+
+            const validator = (new Function("return (" + type.validator + ")"))();
+
+            if (validator(data) !== true) {
+                throw new TypeError('Document ' + JSON.stringify(data, null, 2) +
+                    ' failed custom type check [type# ' + type.id + '/' + type.name + ']');
+            }
+
+        }
+
+    }
+
+    /** Returns the query for a database initialized without PLv8. PLv8 functions are created with the SQL bodies from
+     * `NO_PLV8_FUNCTIONS`, or as functions which raise an error. Other queries are returned as they are.
+     *
+     * @param query {string}
+     * @returns {string}
+     */
+    static pg_no_plv8_query (query) {
+
+        const match = /^CREATE (?:OR REPLACE )?FUNCTION ([a-zA-Z0-9_.]+)\(([^)]*)\) RETURNS ([a-z]+) LANGUAGE plv8 ([A-Z]+) AS /.exec(query);
+
+        if (!match) {
+            return query;
+        }
+
+        const name = match[1];
+
+        const head = "CREATE OR REPLACE FUNCTION " + name + "(" + match[2] + ") RETURNS " + match[3];
+
+        if (NO_PLV8_FUNCTIONS.hasOwnProperty(name)) {
+            return head + " LANGUAGE sql " + match[4] + " AS $$ " + NO_PLV8_FUNCTIONS[name] + " $$";
+        }
+
+        return head + " LANGUAGE plpgsql " + match[4] + " AS $$ BEGIN RAISE EXCEPTION '" + name + "() requires PLv8' USING ERRCODE = 'feature_not_supported'; END; $$";
+
+    }
+
+    /** Returns an object which can be passed to schema steps instead of the database connection. Queries are passed
+     * through `filter` before they are executed on `db`.
+     *
+     * @param db {object} The database connection, or the result from `create_query_recorder()`
+     * @param filter {function(string): string}
+     * @returns {object}
+     */
+    static create_query_filter (db, filter) {
+
+        let promise = Promise.resolve();
+
+        const wrapper = {
+            'query': (query, params) => {
+                promise = promise.then(() => db.query(filter(query), params));
+                return chain;
+            },
+            'fetch': () => db.fetch(),
+            'fetchAll': () => db.fetchAll()
+        };
+
+        const chain = {
+            'query': wrapper.query,
+            'then': (resolve, reject) => promise.then(() => wrapper).then(resolve, reject)
+        };
+
+        return wrapper;
+
+    }
+
     /**
      * Workaround until code is refactored not to use this function
      *
@@ -1333,6 +3567,65 @@ export class NoPgUtils {
         return value;
     }
 
+    /** Returns the search options and traits of a view with `:name` placeholder strings replaced by values from
+     * `params`, eg. `{"age": {"$gte": ":minAge"}}` with `{"minAge": 18}` is `{"age": {"$gte": 18}}`. A placeholder
+     * is the whole string and the name is an identifier. Strings starting with `::` are used as is without the first
+     * colon, eg. `"::minAge"` is `":minAge"`.
+     *
+     * The view meta may also have `fields` and `documents`, which are used as traits.
+     *
+     * @param view {NoPg.View}
+     * @param params {object}
+     * @returns {{opts: *, traits: object}}
+     */
+    static parse_view_search (view, params) {
+
+        if ( params !== undefined ) AssertUtils.isObject(params);
+
+        params = params || {};
+
+        const replace = value => {
+
+            if ( _.isString(value) && /^::/.test(value) ) {
+                return value.substr(1);
+            }
+
+            if ( _.isString(value) && /^:[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(value) ) {
+                const name = value.substr(1);
+                if (!params.hasOwnProperty(name)) {
+                    throw new TypeError("Missing view parameter: " + name);
+                }
+                return params[name];
+            }
+
+            if (_.isArray(value)) {
+                return _.map(value, replace);
+            }
+
+            if (_.isObject(value)) {
+                return _.mapValues(value, replace);
+            }
+
+            return value;
+        };
+
+        const meta = view.$meta || {};
+
+        if (!_.isObject(meta.search)) {
+            throw new TypeError("View " + view.$name + " has no search");
+        }
+
+        return {
+            'opts': replace(meta.search),
+            'traits': _.assign(
+                replace(meta.traits || {}),
+                meta.fields ? {'fields': meta.fields} : {},
+                meta.documents ? {'documents': meta.documents} : {}
+            )
+        };
+
+    }
+
     /** Returns the keyword name without first letter */
     static parse_keyword_name (key) {
         return key.substr(1);
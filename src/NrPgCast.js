@@ -32,6 +32,25 @@ export class NrPgCast {
         return '((' + x + ')::text)::numeric';
     }
 
+    /**
+     *
+     * @param x {string}
+     * @returns {string}
+     */
+    static castInteger (x) {
+        return '((' + x + ')::text)::bigint';
+    }
+
+    /** Casts JSON strings in ISO 8601 format (`format: date-time` in the schema) to timestamps. The function
+     * `nopg_to_timestamptz()` does not depend on session settings, so it can be used in indexes.
+     *
+     * @param x {string}
+     * @returns {string}
+     */
+    static castTimestamp (x) {
+        return 'nopg_to_timestamptz(' + NrPgCast.castText(x) + ')';
+    }
+
     /**
      *
      * @param x {string}
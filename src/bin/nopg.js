@@ -17,6 +17,8 @@ NOPG.defaults.timeout = 0;
 
 let PGCONFIG = ARGUMENTS.pg || process.env.PGCONFIG || 'postgres://localhost:5432/test';
 
+let PGOPTIONS = ARGUMENTS.schema ? {"schema": ARGUMENTS.schema} : {};
+
 if (ARGUMENTS.v) {
 	// Q.longStackSupport = true;
 	// debug.setNodeENV('development');
@@ -34,7 +36,11 @@ let actions = {
 
 	types : async () => await NoPgCommandActions.types(),
 
-	test  : async () => await NoPgCommandActions.test()
+	test  : async () => await NoPgCommandActions.test(),
+
+	expire : async () => await NoPgCommandActions.expire(),
+
+	migrate : async () => await NoPgCommandActions.migrate()
 
 };
 
@@ -44,13 +50,15 @@ class NoPgCommandActions {
 	static async help () {
 
 		//nrLog.trace("Executing");
-		console.log("USAGE: nopg [--pg='psql://localhost:5432/test'] help|test|init");
+		console.log("USAGE: nopg [--pg='psql://localhost:5432/test'] [--schema=NAME] help|test|init|types|expire|migrate");
 		console.log('where:');
 		console.log('  help      -- print this help');
 		console.log('  test      -- test server features');
 		console.log('  init      -- initialize database');
 		console.log('  types     -- list types');
 		console.log('  documents -- list documents');
+		console.log('  expire    -- delete expired documents, optionally only of --type=NAME, in batches of --batch-size=N');
+		console.log('  migrate   -- migrate database to the latest version or to --to=N, or print the queries with --plan');
 
 	}
 
@@ -59,7 +67,7 @@ class NoPgCommandActions {
 
 		//nrLog.trace("actions.init(): Executing");
 
-		const db = await NOPG.start(PGCONFIG);
+		const db = await NOPG.start(PGCONFIG, PGOPTIONS);
 
 		try {
 
@@ -101,7 +109,7 @@ class NoPgCommandActions {
 		}
 
 		//nrLog.trace('opts = ', opts);
-		const db = await NOPG.start(PGCONFIG);
+		const db = await NOPG.start(PGCONFIG, PGOPTIONS);
 		try {
 
 			await db.searchTypes(opts);
@@ -128,11 +136,13 @@ class NoPgCommandActions {
 	static async test () {
 
 		//nrLog.trace("Executing");
-		const db = NOPG.start(PGCONFIG);
+		const db = NOPG.start(PGCONFIG, PGOPTIONS);
+
+		let mode;
 
 		try {
 
-			await db.test();
+			mode = (await db.test()).fetch();
 
 			await db.commit();
 
@@ -144,7 +154,99 @@ class NoPgCommandActions {
 
 		}
 
-		console.log("test: OK");
+		console.log("test: OK (mode: " + mode + ")");
+
+	}
+
+	/** Delete expired documents. Each batch is deleted in its own transaction. */
+	static async expire () {
+
+		const type = ARGUMENTS.type;
+
+		const batchSize = ARGUMENTS['batch-size'] !== undefined ? parseInt(ARGUMENTS['batch-size'], 10) : 1000;
+
+		if (!(batchSize >= 1)) {
+			throw new TypeError("--batch-size invalid: " + ARGUMENTS['batch-size']);
+		}
+
+		let total = 0;
+		let count;
+
+		do {
+
+			const db = await NOPG.start(PGCONFIG, PGOPTIONS);
+
+			try {
+
+				await db.expire(type)({'batchSize': batchSize});
+
+				await db.commit();
+
+			} catch (err) {
+
+				await db.rollback();
+
+				throw err;
+
+			}
+
+			count = db.fetch();
+
+			total += count;
+
+		} while (count === batchSize);
+
+		console.log('expire: Deleted ' + total + ' expired documents');
+
+	}
+
+	/** Migrate database schema up or down */
+	static async migrate () {
+
+		const to = ARGUMENTS.to !== undefined ? parseInt(ARGUMENTS.to, 10) : undefined;
+
+		if ( (to !== undefined) && !(to >= 0) ) {
+			throw new TypeError("--to invalid: " + ARGUMENTS.to);
+		}
+
+		const dryRun = !!ARGUMENTS.plan;
+
+		const db = await NOPG.start(PGCONFIG, PGOPTIONS);
+
+		try {
+
+			await db.migrate({to, dryRun});
+
+			if (dryRun) {
+				await db.rollback();
+			} else {
+				await db.commit();
+			}
+
+		} catch (err) {
+
+			await db.rollback();
+
+			throw err;
+
+		}
+
+		const plan = db.fetch();
+
+		if (plan.length === 0) {
+			console.log('migrate: Database is already at the requested version');
+			return;
+		}
+
+		if (dryRun) {
+			_.forEach(plan, item => {
+				console.log('-- Version ' + item.version + ' (' + item.direction + ')');
+				_.forEach(item.queries, query => console.log(query + ';'));
+			});
+			return;
+		}
+
+		console.log('migrate: Successfully migrated database ' + _.first(plan).direction + ' to version ' + (to !== undefined ? to : _.last(plan).version));
 
 	}
 
@@ -1,2 +1,4 @@
 export * from './nopg.js';
 export {default} from './nopg.js';
+export { NoPgConflictError } from './NoPgConflictError.js';
+export { NoPgPermissionError } from './NoPgPermissionError.js';
@@ -1,7 +1,7 @@
 import { NOPG_TIMEOUT, NOPG_TYPE_AWARENESS, PGCONFIG } from "./nopg-env";
 
 /**
- * Maps `<table>,<I|U|D>` into NoPg event name
+ * Maps `<table>,<I|U|D>` into NoPg event name. Documents also have `T` and `R` for soft delete and restore.
  *
  * @type {Object<string, string>}
  */
@@ -9,6 +9,8 @@ export const TCN_EVENT_MAPPING = {
     'documents,I': 'create',
     'documents,U': 'update',
     'documents,D': 'delete',
+    'documents,T': 'trash',
+    'documents,R': 'restore',
     'types,I': 'createType',
     'types,U': 'updateType',
     'types,D': 'deleteType',
@@ -59,6 +61,16 @@ export const NOPG_DEFAULTS = {
      * @type {boolean}
      */
 
-    enableTypeAwareness: NOPG_TYPE_AWARENESS !== undefined ? NOPG_TYPE_AWARENESS : false
+    enableTypeAwareness: NOPG_TYPE_AWARENESS !== undefined ? NOPG_TYPE_AWARENESS : false,
+
+    /** The number of rows fetched at once from the server-side cursor in `db.stream()` and by `db.migrateType()`
+     * @type {number}
+     */
+    streamBatchSize: 1000,
+
+    /** The default language of `fullTextIndexes` in types
+     * @type {string}
+     */
+    fullTextLanguage: 'english'
 
 };
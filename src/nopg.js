@@ -11,6 +11,7 @@ import orm from './orm';
 import merge from 'merge';
 import pghelpers from './pghelpers.js';
 import EventEmitter from 'events';
+import { Readable } from 'stream';
 import pg_escape from 'pg-escape';
 import { DEBUG_NOPG } from "./nopg-env";
 import NoPgUtils from "./NoPgUtils";
@@ -20,6 +21,9 @@ import { NOPG_DEFAULTS } from "./nopg-constants";
 import InsertQuery from "./insert_query";
 import Query from "./query";
 import NoPgParsers from "./NoPgParsers";
+import NoPgQueryBuilder from "./NoPgQueryBuilder";
+import NoPgConflictError from "./NoPgConflictError";
+import NoPgPermissionError from "./NoPgPermissionError";
 import first_letter_is_dollar from "./first_letter_is_dollar";
 
 const nrLog = LogUtils.getLogger('@norjs/nopg');
@@ -61,6 +65,21 @@ export class NoPg {
 
 		this._watchdog = undefined;
 
+		/** Counter for unique names of server-side cursors */
+		this._cursorCount = 0;
+
+		/** The tenant of the session, if any */
+		this._tenant = undefined;
+
+		/** The principals of the session for document access control, if any */
+		this._principals = undefined;
+
+		/** `false` if the database was initialized without PLv8, or `undefined` until it has been checked */
+		this._plv8 = undefined;
+
+		/** The PostgreSQL schema of the NoPg tables and functions */
+		this._schema = 'public';
+
 	}
 
 	/** Record internal timing statistic object
@@ -275,6 +294,20 @@ export class NoPg {
 
 		let start_time = new Date();
 
+		// The connection returns to the pool, so the tenant, principals and schema of the session must not stay on it
+		if (this._tenant !== undefined) {
+			await this._doQuery("RESET nopg.tenant");
+		}
+
+		if (this._principals !== undefined) {
+			await this._doQuery("RESET nopg.principals");
+		}
+
+		if (this._schema !== 'public') {
+			await this._doQuery("RESET search_path");
+			this._schema = 'public';
+		}
+
 		await this._db.disconnect();
 
 		let end_time = new Date();
@@ -318,6 +351,72 @@ export class NoPg {
 
 	}
 
+	/** Set the tenant of the session. Row level security policies limit queries, relation fetches and
+	 * events to this tenant.
+	 *
+	 * @param tenant {string}
+	 * @param is_local {boolean} If `true`, the tenant is set only for the current transaction.
+	 * @returns {NoPg}
+	 */
+	async _setTenant (tenant, is_local) {
+
+		if (!(_.isString(tenant) && tenant)) {
+			throw new TypeError("tenant invalid: " + LogUtils.getAsString(tenant) );
+		}
+
+		await this._doQuery("SELECT set_config('nopg.tenant', $1, $2)", [tenant, !!is_local]);
+
+		this._tenant = tenant;
+
+		return this;
+
+	}
+
+	/** Set the PostgreSQL schema of the session. Tables and functions are looked up from this schema first and then
+	 * from `public`, where the extensions are installed. `init()` creates the schema if it does not exist.
+	 *
+	 * @param schema {string} A lowercase name, eg. `"app1"`
+	 * @param is_local {boolean} If `true`, the schema is set only for the current transaction.
+	 * @returns {NoPg}
+	 */
+	async _setSchema (schema, is_local) {
+
+		if (!( _.isString(schema) && /^[a-z_][a-z0-9_]*$/.test(schema) )) {
+			throw new TypeError("schema invalid: " + LogUtils.getAsString(schema) );
+		}
+
+		const search_path = (schema === 'public') ? 'public' : pg_escape('%I, public', schema);
+
+		await this._doQuery("SELECT set_config('search_path', $1, $2)", [search_path, !!is_local]);
+
+		this._schema = schema;
+
+		return this;
+
+	}
+
+	/** Set the principals of the session, eg. `["user:1", "group:admins"]`. Documents with an owner can only be
+	 * read by the owner, readers and writers, and changed by the owner and writers. New documents are owned by the
+	 * first principal.
+	 *
+	 * @param principals {Array.<string>}
+	 * @param is_local {boolean} If `true`, the principals are set only for the current transaction.
+	 * @returns {NoPg}
+	 */
+	async _setPrincipals (principals, is_local) {
+
+		if (!( _.isArray(principals) && (principals.length >= 1) && _.every(principals, p => _.isString(p) && p) )) {
+			throw new TypeError("principals invalid: " + LogUtils.getAsString(principals) );
+		}
+
+		await this._doQuery("SELECT set_config('nopg.principals', $1, $2)", [JSON.stringify(principals), !!is_local]);
+
+		this._principals = principals;
+
+		return this;
+
+	}
+
 	/** Perform generic query
 	 *
 	 * @param query
@@ -340,7 +439,16 @@ export class NoPg {
 
 		let start_time = new Date();
 
-		const res = await this._db[pg.query](query, values);
+		let res;
+		try {
+			res = await this._db[pg.query](query, values);
+		} catch (err) {
+			// SQLSTATE `insufficient_privilege`, eg. from document access control
+			if (err && (err.code === '42501')) {
+				throw new NoPgPermissionError(err.message);
+			}
+			throw err;
+		}
 
 		let end_time = new Date();
 
@@ -394,7 +502,7 @@ export class NoPg {
 			// Stringifying back the event normalizes the original event name
 			let event_name = NoPg.stringifyEventName(event);
 
-			let channel_name = NoPg.parseTCNChannelName(event);
+			let channel_name = NoPg.parseTCNChannelName(event, this._schema);
 
 			// If we are already listening, just increase the counter.
 			if (counter.hasOwnProperty(event_name)) {
@@ -405,7 +513,7 @@ export class NoPg {
 			// Create the listener if necessary
 			let tcn_listener;
 			if (!tcn_listeners.hasOwnProperty(event_name)) {
-				tcn_listener = tcn_listeners[event_name] = NoPgUtils.create_tcn_listener(this._events, event);
+				tcn_listener = tcn_listeners[event_name] = NoPgUtils.create_tcn_listener(this._events, event, this._tenant);
 			} else {
 				tcn_listener = tcn_listeners[event_name];
 			}
@@ -431,7 +539,7 @@ export class NoPg {
 			// Stringifying back the event normalizes the original event name
 			let event_name = NoPg.stringifyEventName(event);
 
-			let channel_name = NoPg.parseTCNChannelName(event);
+			let channel_name = NoPg.parseTCNChannelName(event, this._schema);
 
 			counter[event_name] -= 1;
 
@@ -492,98 +600,290 @@ export class NoPg {
 
 	}
 
-	/** Tests if the server is compatible
-	 * @return {*}
+	/** Tests if the server is compatible and saves the mode of the database, `"plv8"` or `"no-plv8"`, to the queue.
+	 * A database which has not been initialized is tested for the default `"plv8"` mode.
+	 *
+	 * @return {Promise.<NoPg>}
 	 */
 	async test () {
 
+		this._save_result_to_queue( await this._test() );
+
+		return this;
+
+	}
+
+	/** Tests if the server is compatible and returns the mode of the database
+	 *
+	 * @param plv8 {boolean|undefined} The mode for a database which has not been initialized. Defaults to `true`.
+	 * @return {Promise.<string>} `"plv8"` or `"no-plv8"`
+	 */
+	async _test (plv8) {
+
 		await this.testServerVersion();
-		await this.testExtension('plv8');
+
+		const installed = await this._getPlv8Mode();
+
+		if ( (installed !== undefined) && (plv8 !== undefined) && (installed !== plv8) ) {
+			throw new TypeError("Database has been initialized " + (installed ? "with" : "without") + " PLv8");
+		}
+
+		const mode = (installed !== undefined) ? installed : (plv8 !== false);
+
+		if (mode) {
+			await this.testExtension('plv8');
+		}
+
 		await this.testExtension('uuid-ossp');
 		await this.testExtension('moddatetime');
 		await this.testExtension('tcn');
 
+		return mode ? 'plv8' : 'no-plv8';
+
+	}
+
+	/** Returns `true` if the database has been initialized with PLv8, `false` if it has been initialized without it,
+	 * or `undefined` if it has not been initialized. The `plv8_init()` function is created in both modes, but only
+	 * with PLv8 in its language.
+	 *
+	 * @return {Promise.<boolean|undefined>}
+	 */
+	async _getPlv8Mode () {
+
+		if (this._plv8 !== undefined) {
+			return this._plv8;
+		}
+
+		const rows = await this._doQuery("SELECT l.lanname FROM pg_proc AS p JOIN pg_language AS l ON l.oid = p.prolang WHERE p.proname = 'plv8_init' AND p.pronamespace = (SELECT oid FROM pg_namespace WHERE nspname = current_schema()) LIMIT 1");
+
+		if (!rows) { throw new TypeError("Unexpected result from query: " + LogUtils.getAsString(rows)); }
+
+		if (rows.length === 0) {
+			return;
+		}
+
+		this._plv8 = (rows[0].lanname === 'plv8');
+
+		return this._plv8;
+
 	}
 
-	/** Initialize the database
+	/** Initialize the database. Use `db.init({"plv8": false})` to initialize a new database without the PLv8
+	 * extension. Then documents are validated in Node, `$documents` are read with SQL and `BIND` predicates cannot
+	 * be used.
+	 *
+	 * @param opts {{plv8: boolean|undefined}|undefined}
 	 * @return {*}
 	 */
-	async init () {
+	async init (opts) {
+
+		if ( opts !== undefined ) AssertUtils.isObject(opts);
+
+		opts = opts || {};
+
+		if ( opts.plv8 !== undefined ) AssertUtils.isBoolean(opts.plv8);
+
+		if (this._schema !== 'public') {
+			await this._doQuery(pg_escape('CREATE SCHEMA IF NOT EXISTS %I', this._schema));
+		}
+
+		const mode = await this._test(opts.plv8);
+
+		await this._migrate({'plv8': mode === 'plv8'});
+
+		return this;
+
+	}
+
+	/** Returns the version of the database schema, or `-1` if the database has not been initialized
+	 *
+	 * @returns {Promise.<number>}
+	 */
+	async _getDBVersion () {
+
+		const table = NoPg.DBVersion.meta.table;
+
+		const exists = await this._pg_relation_exists(table);
+
+		if (!exists) {
+			return -1;
+		}
+
+		const rows = await this._doQuery('SELECT COALESCE(MAX(version), 0) AS version FROM ' + table);
+
+		if (!rows) { throw new TypeError("Unexpected result from query: " + LogUtils.getAsString(rows)); }
+
+		return parseInt(rows[0].version, 10);
+
+	}
+
+	/** Migrate the database schema up or down to the version `opts.to`, which defaults to the latest version.
+	 *
+	 * Returns the plan as an array of `{version, direction}` for each version, in the order they are applied. Every
+	 * applied version is recorded in `dbversions` and reverted versions are removed from it. With `opts.dryRun` the
+	 * database is not changed, and each version has `queries` which would be executed.
+	 *
+	 * Without PLv8 the functions which would use it are created with `NoPgUtils.pg_no_plv8_query()`.
+	 *
+	 * @param opts {{to: number|undefined, dryRun: boolean|undefined, plv8: boolean|undefined}} The `plv8` defaults to
+	 * the mode of the database.
+	 * @returns {Promise.<Array.<object>>}
+	 */
+	async _migrate (opts) {
 
-		await this.test();
+		const plv8 = (opts.plv8 !== undefined) ? opts.plv8 : ((await this._getPlv8Mode()) !== false);
 
-		const db = await this.latestDBVersion();
+		const filter = plv8 ? (query => query) : NoPgUtils.pg_no_plv8_query;
 
-		let code_version = require('./schema/latest.js');
+		const code_version = require('./schema/latest.js');
 
-		let db_version = db.fetch();
+		const db_version = await this._getDBVersion();
 
 		if (! ((db_version >= -1) && (db_version <= code_version)) ) {
 			throw new TypeError("Database version " + db_version + " is not between accepted range (-1 .. " + code_version + ")");
 		}
 
-		let builders = [];
+		const to = (opts.to !== undefined) ? opts.to : code_version;
+
+		if (! (_.isInteger(to) && (to >= 0) && (to <= code_version)) ) {
+			throw new TypeError("Target version " + LogUtils.getAsString(opts.to) + " is not between accepted range (0 .. " + code_version + ")");
+		}
+
+		const direction = (to < db_version) ? 'down' : 'up';
+
+		const versions = (direction === 'up') ? _.range(db_version + 1, to + 1) : _.range(db_version, to, -1);
+
+		// Check every step can be reverted before changing anything
+		const plan = _.map(versions, version => {
+
+			const steps = NoPgUtils.load_schema_steps(version);
+
+			if ( (direction === 'down') && _.some(steps, step => step.down === undefined) ) {
+				throw new TypeError("Database version " + version + " cannot be migrated down");
+			}
+
+			return {
+				version,
+				direction,
+				'steps': _.map( (direction === 'up') ? steps : steps.reverse(), step => step[direction] )
+			};
+
+		});
 
-		let i = db_version;
+		if (opts.dryRun === true) {
 
-		let file;
+			for (const item of plan) {
 
-		while (i < code_version) {
+				item.queries = [];
 
-			i += 1;
+				const recorder = NoPgUtils.create_query_filter(NoPgUtils.create_query_recorder(item.queries), filter);
 
-			file = './schema/v' + NoPgUtils.pad(i, 4) + '.js';
+				for (const step of item.steps) {
+					await step(recorder);
+				}
 
-			try {
-				NoPgUtils.push_file(builders, file);
-			} catch(err) {
-				nrLog.error("Exception: ", err);
-				throw new TypeError("Failed to load: "+ file + ": " + err);
 			}
 
+			return _.map(plan, item => _.omit(item, ['steps']));
+
 		}
 
-		// Skip upgrade if we have nothing to do
-		if (builders.length === 0) {
-			return this;
+		for (const item of plan) {
+
+			for (const step of item.steps) {
+
+				this._db.fetchAll();
+
+				await step( plv8 ? this._db : NoPgUtils.create_query_filter(this._db, filter) );
+
+			}
+
+			if (direction === 'up') {
+				await this._addDBVersion({'$version': item.version});
+			} else {
+				await this._doQuery('DELETE FROM ' + NoPg.DBVersion.meta.table + ' WHERE version >= $1', [item.version]);
+			}
+
 		}
 
-		// Call upgrade steps
-		await _.reduce(
-			builders,
-			async (so_far, f) => {
+		// Earlier versions did not record every version, so the previous version may be missing
+		if ( (direction === 'down') && (plan.length !== 0) && ((await this._getDBVersion()) !== to) ) {
+			await this._addDBVersion({'$version': to});
+		}
 
-				/**
-				 * @type {NrPostgreSQL}
-				 */
-				const db = await so_far;
+		this._plv8 = plv8;
 
-				db.fetchAll();
+		if ( plv8 && (direction === 'up') && (plan.length !== 0) ) {
 
-				return f(db);
-			},
-			Promise.resolve(this._db)
-		);
+			await this._importLib(require.resolve('tv4'));
+
+			await NoPgUtils.pg_query("SET plv8.start_proc = 'plv8_init'")(this);
+
+		}
+
+		return _.map(plan, item => _.omit(item, ['steps']));
 
-		await db._addDBVersion({'$version': code_version});
+	}
+
+	/** Migrate the database schema up or down to a version and save the plan to the queue. Use like
+	 * `db.migrate({"to": 40})` or `db.migrate({"dryRun": true})` to see the queries without executing them.
+	 *
+	 * Steps of the version in `src/schema/vNNNN.js` must have a `down` function to be migrated down.
+	 *
+	 * @param opts {{to: number|undefined, dryRun: boolean|undefined}}
+	 * @returns {Promise.<NoPg>}
+	 */
+	async migrate (opts) {
+
+		if ( opts !== undefined ) AssertUtils.isObject(opts);
+
+		opts = opts || {};
 
-		await this._importLib(require.resolve('tv4'));
+		if ( opts.to !== undefined ) AssertUtils.isNumber(opts.to);
 
-		await NoPgUtils.pg_query("SET plv8.start_proc = 'plv8_init'")(db);
+		if ( opts.dryRun !== undefined ) AssertUtils.isBoolean(opts.dryRun);
+
+		this._save_result_to_queue( await this._migrate(opts) );
 
 		return this;
 
 	}
 
 	/** Internal INSERT query */
-	_prepare_insert_query (self, ObjType, data) {
+	_prepare_insert_query (ObjType, data) {
 		return new InsertQuery({'ObjType': ObjType, 'data':data});
 	}
 
+	/** Checks the content of a document against its type in a database initialized without PLv8, where the
+	 * `check_type()` constraint does not do it.
+	 *
+	 * @param data {{content: object, types_id: string|undefined}} The document as PostgreSQL columns
+	 * @returns {Promise}
+	 */
+	async _validateDocument (data) {
+
+		if ( !data.types_id || ((await this._getPlv8Mode()) !== false) ) {
+			return;
+		}
+
+		const rows = await this._doQuery("SELECT id, name, schema, validator FROM types WHERE id = $1", [data.types_id]);
+
+		if (!rows) { throw new TypeError("Unexpected result from query: " + LogUtils.getAsString(rows)); }
+
+		if (rows.length !== 0) {
+			NoPgUtils.validate_document(rows[0], data.content);
+		}
+
+	}
+
 	/** Internal INSERT query */
-	async _doInsert (self, ObjType, data) {
+	async _doInsert (ObjType, data) {
+
+		if (ObjType === NoPg.Document) {
+			await this._validateDocument( (new ObjType(data)).valueOf() );
+		}
 
-		const q = this._prepare_insert_query(self, ObjType, data);
+		const q = this._prepare_insert_query(ObjType, data);
 
 		const result = q.compile();
 
@@ -605,6 +905,10 @@ export class NoPg {
 				data.$types_id = type.$id;
 				data.$type = type.$name;
 
+				if (type.schemaVersion !== undefined) {
+					data.$schema_version = type.schemaVersion;
+				}
+
 			} else if (type) {
 
 				const t = await this._getType(type);
@@ -719,23 +1023,66 @@ export class NoPg {
 			ObjType = types;
 		}
 
+		// Traits for search operation
+		traits = NoPgUtils.parse_search_traits(traits);
+
+		// Without PLv8 `$documents` are read with SQL and `BIND` predicates are rejected
+		if ((await this._getPlv8Mode()) === false) {
+			traits._plv8 = false;
+		}
+
+		// Search options for documents
+		search_opts = NoPgUtils.parse_search_opts(search_opts, traits);
+
+		// Query for full text search
+		const text_query = NoPgUtils.get_text_query(search_opts);
+
+		if ( (traits.rank || traits.highlight) && (text_query === undefined) ) {
+			throw new TypeError("traits.rank and traits.highlight require a $text predicate");
+		}
+
+		if ( traits.rank && traits.keyset ) {
+			throw new TypeError("traits.rank cannot be used with traits.after or traits.before");
+		}
+
+		if ( traits.withTotal && traits.keyset ) {
+			throw new TypeError("traits.withTotal cannot be used with traits.after or traits.before");
+		}
+
+		if ( NoPgUtils.isObjectNotArray(document_type) && (document_type instanceof NoPg.Type) ) {
+			document_type_obj = document_type;
+		}
+
+		// Do not search type if recursive call
+		if ( !(_recursive || document_type_obj || !_.isString(document_type)) ) {
+
+			let order_enabled = !!(traits.order && NoPgUtils.has_property_names(traits.order));
+
+			let group_enabled = !!(traits.group && NoPgUtils.has_property_names(traits.group));
+
+			let comparison_enabled = NoPgUtils.has_comparison_predicates(search_opts);
+
+			// Only search type if the schema is needed for casting, full text search is used or traits.typeAwareness enabled
+			if ( group_enabled || order_enabled || comparison_enabled || (text_query !== undefined) || traits.typeAwareness ) {
+
+				document_type_obj = await this._get_type_by_name(document_type);
+
+			}
+
+		}
+
 		// Create the initial query object
 		let q = new Query({
 			'method': 'select',
 			'ObjType': ObjType,
-			'document_type': document_type
+			'document_type': document_type,
+			'document_type_obj': document_type_obj
 		});
 
-		// Traits for search operation
-		traits = NoPgUtils.parse_search_traits(traits);
-
 		if (traits.hasOwnProperty('count')) {
 			q.count(traits.count);
 		}
 
-		// Search options for documents
-		search_opts = NoPgUtils.parse_search_opts(search_opts, traits);
-
 		/* Build `type_condition` */
 
 		// If we have the document_type we can limit the results with it
@@ -743,6 +1090,10 @@ export class NoPg {
 			NoPgUtils.parse_where_type_condition(q, document_type);
 		}
 
+		NoPgUtils.parse_where_deleted_condition(q, ObjType, traits);
+
+		NoPgUtils.parse_where_expired_condition(q, ObjType, traits);
+
 		/* Parse `opts_condition` */
 
 		let type_predicate = search_opts ? NoPgParsers.recursive_parse_predicates(ObjType, q, ((traits.match === 'any') ? 'OR' : 'AND'), traits, search_opts) : undefined;
@@ -751,36 +1102,45 @@ export class NoPg {
 			q.where(type_predicate);
 		}
 
+		// Keyset pagination fetches one extra row to know if there are more pages
+		const page_size = (traits.limit && (traits.limit !== 'ALL')) ? parseInt(traits.limit, 10) : undefined;
+
 		if (traits.limit) {
-			q.limit(traits.limit);
+			q.limit( (traits.keyset && (page_size !== undefined)) ? '' + (page_size + 1) : traits.limit );
 		}
 
 		if (traits.offset) {
 			q.offset(traits.offset);
 		}
 
-		if ( NoPgUtils.isObjectNotArray(document_type) && (document_type instanceof NoPg.Type) ) {
-			document_type_obj = document_type;
-		}
+		if (traits.keyset) {
 
-		// Do not search type if recursive call
-		if ( !(_recursive || document_type_obj || !_.isString(document_type)) ) {
+			const keys = NoPgUtils.parse_keyset_keys(ObjType, document_type_obj, traits.order, q, traits);
 
-			let order_enabled = !!(traits.order && NoPgUtils.has_property_names(traits.order));
+			if (traits.keyset.values !== undefined) {
+				q.where( NoPgUtils.parse_keyset_condition(keys, traits.keyset.direction, traits.keyset.values) );
+			}
 
-			let group_enabled = !!(traits.group && NoPgUtils.has_property_names(traits.group));
+			q.orders( NoPgUtils.parse_keyset_orders(keys, traits.keyset.direction) );
 
-			// Only search type if order has been enabled or traits.typeAwareness enabled
-			if ( group_enabled || order_enabled || traits.typeAwareness ) {
+			q.fields( NoPgUtils.parse_keyset_fields(keys) );
 
-				document_type_obj = await this._get_type_by_name(document_type);
+			q.keyset({
+				'direction': traits.keyset.direction,
+				'values': traits.keyset.values,
+				'order': traits.order,
+				'limit': page_size
+			});
 
-			}
+		} else if (traits.order) {
 
-		}
+			// Best full text matches first, then by traits.order
+			if (traits.rank) {
+				q.order( NoPgUtils.parse_text_rank_order(ObjType, document_type_obj, text_query) );
+			}
 
-		if (traits.order) {
 			q.orders( NoPgUtils.parse_select_order(ObjType, document_type_obj, traits.order, q, traits) );
+
 		}
 
 		if (traits.group) {
@@ -808,61 +1168,301 @@ export class NoPg {
 
 		q.fields(fields);
 
+		if (traits.highlight && !traits.count) {
+			q.field( NoPgUtils.parse_text_highlight_field(ObjType, document_type_obj, text_query, traits.highlight) );
+		}
+
+		// The total number of rows is counted before `limit` and `offset`
+		if (traits.withTotal && !traits.count) {
+			q.field( NoPgUtils.parse_total_field() );
+		}
+
 		return q;
 
 	}
 
-	/** Generic SELECT query
-	 * @param self {object} The NoPg connection/transaction object
-	 * @param types
-	 * @param search_opts
-	 * @param traits {object}
+	/** Migrates documents to the current schema version of their types. The migrated documents are not saved.
+	 *
+	 * @param ObjType
+	 * @param data {Array.<NoPg.Document>}
+	 * @returns {Promise.<Array.<NoPg.Document>>}
+	 * @private
 	 */
-	async _doSelect(self, types, search_opts, traits) {
+	async _migrateDocuments (ObjType, data) {
 
-		const q = await this._prepare_select_query(types, search_opts, traits);
+		if (ObjType !== NoPg.Document) {
+			return data;
+		}
 
-		let result = q.compile();
+		const names = _.uniq(_.filter(_.map(data, doc => doc.$type), _.isString));
 
-		// Unnecessary since do_query() does it too
-		//if (NoPg.debug) {
-		//	nrLog.debug('query = ', result.query);
-		//	nrLog.debug('params = ', result.params);
-		//}
+		if (names.length === 0) {
+			return data;
+		}
 
-		AssertUtils.isObject(result);
-		AssertUtils.isString(result.query);
-		AssertUtils.isArray(result.params);
+		const types = {};
 
-		let builder;
-		let type = result.documentType;
+		for (const name of names) {
+			types[name] = await this._getType(name);
+		}
+
+		return _.map(data, doc => NoPgUtils.migrate_document(types[doc.$type], doc));
+
+	}
+
+	/** Returns the document builder for the compiled SELECT query, if one has been initialized for the type.
+	 *
+	 * @param result {object} The compiled query from `Query.compile()`
+	 * @returns {function|undefined}
+	 * @private
+	 */
+	_getSelectBuilder (result) {
+
+		let builder;
+		let type = result.documentType;
 
 		if ( (result.ObjType === NoPg.Document) &&
 			_.isString(type) &&
-			self._documentBuilders &&
-			self._documentBuilders.hasOwnProperty(type) &&
-			_.isFunction(self._documentBuilders[type])
+			this._documentBuilders &&
+			this._documentBuilders.hasOwnProperty(type) &&
+			_.isFunction(this._documentBuilders[type])
 		) {
-			builder = self._documentBuilders[type];
+			builder = this._documentBuilders[type];
 		}
 
 		if (builder !== undefined) AssertUtils.isFunction(builder);
 
+		return builder;
+
+	}
+
+	/** Generic SELECT query
+	 * @param types
+	 * @param search_opts
+	 * @param traits {object}
+	 */
+	async _doSelect(types, search_opts, traits) {
+
+		// Traits to count the total when the page is empty, since then there are no rows to read it from
+		const count_traits = (traits && traits.withTotal && traits.offset) ? _.omit(traits, ['fields', 'order', 'limit', 'offset', 'withTotal', 'highlight', 'rank']) : undefined;
+
+		const q = await this._prepare_select_query(types, search_opts, traits);
+
+		let result = q.compile();
+
+		// Unnecessary since do_query() does it too
+		//if (NoPg.debug) {
+		//	nrLog.debug('query = ', result.query);
+		//	nrLog.debug('params = ', result.params);
+		//}
+
+		AssertUtils.isObject(result);
+		AssertUtils.isString(result.query);
+		AssertUtils.isArray(result.params);
+
+		if (traits && traits.prepareOnly) {
+			return {'query': result.query, 'params': result.params};
+		}
+
+		if (traits && traits.explain) {
+			return await this._doExplain(q, result, search_opts);
+		}
+
+		const builder = this._getSelectBuilder(result);
+
 		const fetchData = NoPgUtils.get_results(result.ObjType, {
 			'fieldMap': result.fieldMap
 		});
 
-		const rows = await this._doQuery(result.query, result.params);
+		let rows = await this._doQuery(result.query, result.params);
 
-		const data = await fetchData(rows);
+		let cursors;
+
+		if (result.keyset) {
+			cursors = NoPgUtils.parse_keyset_results(result.keyset, rows);
+			rows = cursors.rows;
+		}
+
+		const highlights = NoPgUtils.parse_highlight_results(rows);
+
+		const deleted = (traits && traits.withDeleted) ? NoPgUtils.parse_deleted_results(rows) : undefined;
+
+		let total;
+
+		if (traits && traits.withTotal) {
+			total = NoPgUtils.parse_total_results(rows);
+			if (total === undefined) {
+				total = count_traits ? await this._doCount(types, search_opts, _.assign(count_traits, {'count': true})) : 0;
+			}
+		}
+
+		let data = await fetchData(rows);
+
+		// Documents are migrated to the current schema version of their types unless `traits.migrate` is `false`
+		if (!(traits && (traits.migrate === false))) {
+			data = await this._migrateDocuments(result.ObjType, data);
+		}
+
+		// Highlighted snippets from full text search are saved as `$highlight` in the documents
+		if (highlights) {
+			_.forEach(data, (doc, i) => { doc.$highlight = highlights[i]; });
+		}
+
+		// The time of soft delete is saved as `$deleted` in the documents which are in the trash
+		if (deleted) {
+			_.forEach(data, (doc, i) => {
+				if (deleted[i]) {
+					doc.$deleted = deleted[i];
+				}
+			});
+		}
+
+		if (builder) {
+			nrLog.debug('data = ', data);
+			data = await builder(data);
+		}
+
+		// The total number of rows for `traits.withTotal` is saved as a property of the result array
+		if (total !== undefined) {
+			data.total = total;
+		}
+
+		// Cursors for keyset pagination are saved as properties of the result array
+		if (cursors) {
+			data.nextCursor = cursors.nextCursor;
+			data.prevCursor = cursors.prevCursor;
+		}
+
+		return data;
+
+	}
+
+	/** Run the compiled SELECT query with `EXPLAIN (ANALYZE, FORMAT JSON)` for `traits.explain`
+	 *
+	 * @param q {Query}
+	 * @param result {object} The compiled query from `Query.compile()`
+	 * @param search_opts
+	 * @returns {Promise.<{query: string, params: Array, plan: object, seqScans: Array.<object>}>}
+	 */
+	async _doExplain (q, result, search_opts) {
+
+		let document_type_obj = q.document_type_obj;
+
+		// The type is needed to look up the declared indexes
+		if ( !document_type_obj && _.isString(q.document_type) ) {
+			document_type_obj = await this._get_type_by_name(q.document_type);
+		}
+
+		const rows = await this._doQuery('EXPLAIN (ANALYZE, FORMAT JSON) ' + result.query, result.params);
+
+		return NoPgUtils.parse_explain_results(result.ObjType, document_type_obj, search_opts, result, rows);
+
+	}
+
+	/** Generic SELECT query which fetches the results in batches using a server-side cursor.
+	 *
+	 * The cursor only lives inside the transaction, so the stream must be consumed before commit or rollback.
+	 *
+	 * @param types
+	 * @param search_opts
+	 * @param traits {object}
+	 * @param traits.batchSize {number} The number of rows to fetch at once, default is from
+	 * `NoPg.defaults.streamBatchSize`.
+	 * @returns {AsyncIterableIterator<*>}
+	 */
+	async * _doSelectStream (types, search_opts, traits) {
+
+		traits = traits || {};
+
+		if (traits.hasOwnProperty('after') || traits.hasOwnProperty('before')) {
+			throw new TypeError("traits.after and traits.before are not supported when streaming");
+		}
+
+		const batch_size = traits.batchSize || NoPg.defaults.streamBatchSize;
+
+		AssertUtils.isNumber(batch_size);
+
+		if (!(batch_size >= 1)) {
+			throw new TypeError("traits.batchSize invalid: " + LogUtils.getAsString(batch_size) );
+		}
+
+		const q = await this._prepare_select_query(types, search_opts, traits);
+
+		const result = q.compile();
+
+		AssertUtils.isObject(result);
+		AssertUtils.isString(result.query);
+		AssertUtils.isArray(result.params);
+
+		const builder = this._getSelectBuilder(result);
+
+		const fetchData = NoPgUtils.get_results(result.ObjType, {
+			'fieldMap': result.fieldMap
+		});
+
+		this._cursorCount += 1;
+
+		const name = 'nopg_stream_' + this._cursorCount;
+
+		await this._doQuery('DECLARE ' + name + ' NO SCROLL CURSOR FOR ' + result.query, result.params);
+
+		try {
+
+			while (true) {
+
+				const rows = await this._doQuery('FETCH FORWARD ' + batch_size + ' FROM ' + name);
+
+				if (rows.length === 0) {
+					return;
+				}
+
+				const highlights = NoPgUtils.parse_highlight_results(rows);
+
+				let data = await fetchData(rows);
+
+				if (traits.migrate !== false) {
+					data = await this._migrateDocuments(result.ObjType, data);
+				}
+
+				if (highlights) {
+					_.forEach(data, (doc, i) => { doc.$highlight = highlights[i]; });
+				}
+
+				if (builder) {
+					data = await builder(data);
+				}
+
+				yield * data;
+
+				if (rows.length < batch_size) {
+					return;
+				}
+
+			}
+
+		} finally {
+
+			// The cursor is already gone if the transaction has ended
+			if (this._tr_state === 'open') {
+				await this._doQuery('CLOSE ' + name);
+			}
 
-		if (!builder) {
-			return data;
 		}
 
-		nrLog.debug('data = ', data);
+	}
+
+	/** Stream documents. Use like `for await (const doc of db.stream([TYPE])([OPT(S)], [TRAITS])) { ... }`.
+	 *
+	 * The documents are fetched in batches using a server-side cursor inside the transaction, so the stream must be
+	 * consumed before `.commit()` or `.rollback()`.
+	 *
+	 * @param type
+	 * @return {function(*, *): Readable} Function which returns a Node.js `Readable` stream in object mode, which is
+	 * also an async iterator.
+	 */
+	stream (type) {
 
-		return builder(data);
+		return (opts, traits) => Readable.from( this._doSelectStream([NoPg.Document, type], opts, traits) );
 
 	}
 
@@ -896,6 +1496,16 @@ export class NoPg {
 
 	}
 
+	/** Start a fluent query for documents. Use like
+	 * `db.find([TYPE]).where('age').gt(18).orderBy('name', 'desc').limit(20).fetch()`.
+	 *
+	 * @param type
+	 * @return {NoPgQueryBuilder}
+	 */
+	find (type) {
+		return new NoPgQueryBuilder(this, [NoPg.Document, type]);
+	}
+
 	/** Generic SELECT COUNT(*) query
 	 *
 	 * @param types
@@ -912,6 +1522,14 @@ export class NoPg {
 		nrLog.trace('query = ', result.query);
 		nrLog.trace('params = ', result.params);
 
+		if (traits && traits.prepareOnly) {
+			return {'query': result.query, 'params': result.params};
+		}
+
+		if (traits && traits.explain) {
+			return await this._doExplain(q, result, search_opts);
+		}
+
 		const rows = await this._doQuery(result.query, result.params );
 
 		if (!rows) { throw new TypeError("failed to parse result"); }
@@ -946,6 +1564,125 @@ export class NoPg {
 
 	}
 
+	/** Prepare SELECT query for aggregates
+	 *
+	 * @param types
+	 * @param search_opts
+	 * @param traits {object} Traits normalized by `NoPgUtils.parse_aggregate_traits()`
+	 * @returns {Promise.<{q: Query, columns: Array}>}
+	 */
+	async _prepare_aggregate_query (types, search_opts, traits) {
+
+		let ObjType, document_type, document_type_obj;
+
+		if (_.isArray(types)) {
+			types = [].concat(types);
+			ObjType = types.shift();
+			document_type = types.shift();
+		} else {
+			ObjType = types;
+		}
+
+		// The type is needed for casting properties by the schema
+		if ( NoPgUtils.isObjectNotArray(document_type) && (document_type instanceof NoPg.Type) ) {
+			document_type_obj = document_type;
+		} else if ( _.isString(document_type) ) {
+			document_type_obj = await this._get_type_by_name(document_type);
+		}
+
+		let q = new Query({
+			'method': 'select',
+			'ObjType': ObjType,
+			'document_type': document_type,
+			'document_type_obj': document_type_obj
+		});
+
+		search_opts = NoPgUtils.parse_search_opts(search_opts, traits);
+
+		if (document_type) {
+			NoPgUtils.parse_where_type_condition(q, document_type);
+		}
+
+		NoPgUtils.parse_where_deleted_condition(q, ObjType, traits);
+
+		NoPgUtils.parse_where_expired_condition(q, ObjType, traits);
+
+		let type_predicate = search_opts ? NoPgParsers.recursive_parse_predicates(ObjType, q, ((traits.match === 'any') ? 'OR' : 'AND'), traits, search_opts) : undefined;
+
+		if (type_predicate) {
+			q.where(type_predicate);
+		}
+
+		const columns = NoPgUtils.parse_aggregate_columns(ObjType, document_type_obj, traits);
+
+		q.fields( NoPgUtils.parse_aggregate_fields(columns) );
+
+		const groups = _.map(_.filter(columns, column => column.name === 'group'), column => column.predicate);
+
+		if (groups.length) {
+			q.group(groups);
+			q.orders(groups);
+		}
+
+		if (traits.having !== undefined) {
+			q.having( NoPgUtils.parse_aggregate_having(ObjType, document_type_obj, traits, traits.having) );
+		}
+
+		return {q, columns};
+
+	}
+
+	/** Generic SELECT query for aggregates
+	 *
+	 * @param types
+	 * @param search_opts
+	 * @param traits {object}
+	 * @returns {Promise.<Array.<object>>}
+	 */
+	async _doAggregate (types, search_opts, traits) {
+
+		traits = NoPgUtils.parse_aggregate_traits(traits);
+
+		if ((await this._getPlv8Mode()) === false) {
+			traits._plv8 = false;
+		}
+
+		const {q, columns} = await this._prepare_aggregate_query(types, search_opts, traits);
+
+		const result = q.compile();
+
+		AssertUtils.isObject(result);
+		AssertUtils.isString(result.query);
+		AssertUtils.isArray(result.params);
+
+		const rows = await this._doQuery(result.query, result.params);
+
+		return NoPgUtils.parse_aggregate_results(columns, rows);
+
+	}
+
+	/** Calculate aggregates of documents. Use like
+	 * `db.aggregate([TYPE])([OPT(S)], {"group": ["category"], "sum": ["price"], "count": true})`.
+	 *
+	 * The result is an array of plain objects like `{"category": "foo", "sum": {"price": 10}, "count": 2}`.
+	 *
+	 * @param type
+	 * @return {function(*, *): NoPg}
+	 */
+	aggregate (type) {
+
+		return async (opts, traits) => {
+
+			const rows = await this._doAggregate([NoPg.Document, type], opts, traits);
+
+			this._save_result_to_queue(rows);
+
+			return this;
+
+		};
+
+	}
+
 	/** Search single document
 	 * @param type
 	 * @return {function(*,*): NoPg}
@@ -960,7 +1697,8 @@ export class NoPg {
 
 			const rows = await this._doSelect([ObjType, type], opts, traits);
 
-			const result = getResult(rows);
+			// The compiled query or the query plan is returned as it is
+			const result = (traits && (traits.prepareOnly || traits.explain)) ? rows : getResult(rows);
 
 			this._save_result_to_queue(result);
 
@@ -972,13 +1710,16 @@ export class NoPg {
 
 	/** Internal UPDATE query
 	 *
-	 * @param self
+	 * If `traits.versionCheck` is `true`, or it is not defined and the document is of a type with `versionCheck`
+	 * enabled, the row is updated only if it still has the `obj.$version`. Otherwise `NoPgConflictError` is thrown.
+	 *
 	 * @param ObjType
 	 * @param obj
 	 * @param orig_data
+	 * @param traits {object|undefined}
 	 * @returns {*}
 	 */
-	async _doUpdate (self, ObjType, obj, orig_data) {
+	async _doUpdate (ObjType, obj, orig_data, traits) {
 
 		let query;
 		let params;
@@ -1012,9 +1753,15 @@ export class NoPg {
 		// 4. Ignore keys that were not changed
 		let keys = _.filter(ObjType.meta.keys, first_letter_is_dollar)
 			.map( NoPgUtils.parse_keyword_name )
+			.filter( key => key !== 'version' )
 			.filter( key => data.hasOwnProperty(key) )
 			.filter( key => !json_cmp(data[key], obj['$' + key]) );
 
+		// The schema version is always saved with the content, since the content may have been migrated on read
+		if ( (keys.indexOf('content') >= 0) && (keys.indexOf('schema_version') < 0) && (data.schema_version !== undefined) ) {
+			keys.push('schema_version');
+		}
+
 		//nrLog.debug('keys = ', keys.valueOf());
 
 		// Return with the current object if there is no keys to update
@@ -1024,6 +1771,13 @@ export class NoPg {
 			return await this._doSelect(ObjType, where);
 		}
 
+		if ( (ObjType === NoPg.Document) && ( (keys.indexOf('content') >= 0) || (keys.indexOf('types_id') >= 0) ) ) {
+			await this._validateDocument({
+				'content': data.content,
+				'types_id': (data.types_id !== undefined) ? data.types_id : obj.$types_id
+			});
+		}
+
 		// FIXME: Implement binary content support
 		query = "UPDATE " + (ObjType.meta.table) + " SET "+ keys.map((k, i) => k + ' = $' + (i + 1)).join(', ') +" WHERE ";
 
@@ -1035,6 +1789,12 @@ export class NoPg {
 			throw new TypeError("Cannot know what to update!");
 		}
 
+		const versionCheck = NoPgUtils.parse_version_check(ObjType, obj, traits, keysLength + 2);
+
+		if (versionCheck) {
+			query += " AND " + versionCheck;
+		}
+
 		query += " RETURNING *";
 
 		params = keys.map(key => data[key]).valueOf();
@@ -1045,23 +1805,37 @@ export class NoPg {
 			params.push(where.$name);
 		}
 
-		return await this._doQuery(query, params);
+		if (versionCheck) {
+			params.push(obj.$version);
+		}
+
+		const rows = await this._doQuery(query, params);
+
+		if ( versionCheck && (rows.length === 0) ) {
+			const current = _.first(await this._doSelect(ObjType, where, {'withDeleted': true, 'withExpired': true}));
+			if (current) {
+				throw new NoPgConflictError("Conflict: " + LogUtils.getAsString(where) + " has been changed since version " + obj.$version, current);
+			}
+		}
+
+		return rows;
 
 	}
 
 	/** Update document
 	 * @param obj
 	 * @param data
+	 * @param traits {object|undefined} `versionCheck`
 	 * @return {Promise}
 	 * @fixme Maybe this should also be a factory function
 	 */
-	async _update (obj, data) {
+	async _update (obj, data, traits) {
 
 		const ObjType = NoPg._getObjectType(obj) || NoPg.Document;
 
 		const getResult = NoPgUtils.get_result(ObjType);
 
-		const rows = await this._doUpdate(ObjType, obj, data);
+		const rows = await this._doUpdate(ObjType, obj, data, traits);
 
 		return getResult(rows);
 
@@ -1070,10 +1844,12 @@ export class NoPg {
 	/** Update document
 	 * @param obj
 	 * @param data
+	 * @param traits {object|undefined} Use `{"versionCheck": true}` to throw `NoPgConflictError` if `obj.$version` is
+	 * not the current version
 	 * @return {*}
 	 * @fixme This probably should be a async function
 	 */
-	async update (obj, data) {
+	async update (obj, data, traits) {
 
 		let self = this;
 
@@ -1094,7 +1870,7 @@ export class NoPg {
 
 		const getResult = NoPgUtils.get_result(ObjType);
 
-		const rows = await this._doUpdate(ObjType, obj, data);
+		const rows = await this._doUpdate(ObjType, obj, data, traits);
 
 		let result = getResult(rows);
 
@@ -1110,13 +1886,12 @@ export class NoPg {
 
 	/** Internal DELETE query
 	 *
-	 * @param self
 	 * @param ObjType
 	 * @param obj
 	 * @returns {*}
 	 * @private
 	 */
-	async _doDelete (self, ObjType, obj) {
+	async _doDelete (ObjType, obj) {
 
 		if (!(obj && obj.$id)) {
 			throw new TypeError("opts.$id invalid: " + LogUtils.getAsString(obj) );
@@ -1130,25 +1905,291 @@ export class NoPg {
 
 	}
 
-	/** Delete resource
+	/** Internal query to move a document to the trash. Documents already in the trash keep their original time.
+	 *
 	 * @param obj
-	 * @return {*}
-	 * @fixme This probably should be a factory function
+	 * @returns {*}
+	 * @private
 	 */
-	async del (obj) {
+	async _doTrash (obj) {
 
-		if (!obj.$id) {
+		if (!(obj && obj.$id)) {
+			throw new TypeError("opts.$id invalid: " + LogUtils.getAsString(obj) );
+		}
+
+		return await this._doQuery("UPDATE documents SET deleted = now() WHERE id = $1 AND deleted IS NULL", [obj.$id]);
+
+	}
+
+	/** Returns `true` if the document is of a type which has enabled soft delete with `softDelete: true`
+	 *
+	 * @param obj {NoPg.Document}
+	 * @returns {Promise.<boolean>}
+	 * @private
+	 */
+	async _isSoftDelete (obj) {
+
+		if (!_.isString(obj.$type)) {
+			return false;
+		}
+
+		const type = await this._get_type_by_name(obj.$type);
+
+		return type.softDelete === true;
+
+	}
+
+	/** Delete resource. Documents of types which have `softDelete` enabled are moved to the trash instead.
+	 *
+	 * @param obj
+	 * @return {*}
+	 * @fixme This probably should be a factory function
+	 */
+	async del (obj) {
+
+		if (!obj.$id) {
 			throw new TypeError("opts.$id invalid: " + LogUtils.getAsString(obj) );
 		}
 
 		const ObjType = NoPg._getObjectType(obj) || NoPg.Document;
 
-		await this._doDelete(ObjType, obj);
+		if ( (ObjType === NoPg.Document) && (await this._isSoftDelete(obj)) ) {
+			await this._doTrash(obj);
+		} else {
+			await this._doDelete(ObjType, obj);
+		}
+
+		return this;
+
+	}
+
+	/** Restore a soft deleted document from the trash. The restored document is saved to the queue.
+	 *
+	 * @param obj {NoPg.Document}
+	 * @return {NoPg}
+	 */
+	async restore (obj) {
+
+		if (!(obj && obj.$id)) {
+			throw new TypeError("opts.$id invalid: " + LogUtils.getAsString(obj) );
+		}
+
+		const rows = await this._doQuery("UPDATE documents SET deleted = NULL WHERE id = $1 RETURNING *", [obj.$id]);
+
+		if (rows.length !== 1) {
+			throw new TypeError("Document not found: " + obj.$id);
+		}
+
+		this._save_result_to_queue( NoPgUtils.get_result(NoPg.Document)(rows) );
+
+		return this;
+
+	}
+
+	/** Permanently delete documents of the type from the trash. Use like `db.purge(type)({olderThan: date})`.
+	 *
+	 * The number of deleted documents is saved to the queue.
+	 *
+	 * @param type {string}
+	 * @return {function(*=): NoPg}
+	 */
+	purge (type) {
+
+		AssertUtils.isString(type);
+
+		return async opts => {
+
+			if ( opts !== undefined ) AssertUtils.isObject(opts);
+
+			opts = opts || {};
+
+			let query = "DELETE FROM documents WHERE type = $1 AND deleted IS NOT NULL";
+			let params = [type];
+
+			if (opts.olderThan !== undefined) {
+
+				const olderThan = _.isDate(opts.olderThan) ? opts.olderThan : new Date(opts.olderThan);
+
+				if (isNaN(olderThan.getTime())) {
+					throw new TypeError("opts.olderThan invalid: " + LogUtils.getAsString(opts.olderThan) );
+				}
+
+				query += " AND deleted < $2";
+				params.push(olderThan);
+
+			}
+
+			const rows = await this._doQuery(query + " RETURNING id", params);
+
+			this._save_result_to_queue(rows.length);
+
+			return this;
+
+		};
+
+	}
+
+	/** Permanently delete one batch of expired documents. Use like `db.expire(type)({batchSize: 1000})`, or
+	 * `db.expire()()` for documents of all types. Deleted documents emit the normal `delete` events.
+	 *
+	 * The deleted rows stay locked until the transaction ends, so delete each batch in its own transaction and call
+	 * it again while the count is `batchSize`.
+	 *
+	 * The number of deleted documents is saved to the queue.
+	 *
+	 * @param type {string|undefined}
+	 * @return {function(*=): NoPg}
+	 */
+	expire (type) {
+
+		if ( type !== undefined ) AssertUtils.isString(type);
+
+		return async opts => {
+
+			if ( opts !== undefined ) AssertUtils.isObject(opts);
+
+			opts = opts || {};
+
+			const batchSize = (opts.batchSize !== undefined) ? opts.batchSize : 1000;
+
+			if (!( _.isInteger(batchSize) && (batchSize >= 1) )) {
+				throw new TypeError("opts.batchSize invalid: " + LogUtils.getAsString(opts.batchSize) );
+			}
+
+			// Concurrent cleanup jobs skip the rows which the other is deleting
+			const query = "DELETE FROM documents WHERE id IN (" +
+				"SELECT id FROM documents WHERE expires <= now()" + (type !== undefined ? " AND type = $2" : "") +
+				" LIMIT $1 FOR UPDATE SKIP LOCKED) RETURNING id";
+
+			const rows = await this._doQuery(query, (type !== undefined) ? [batchSize, type] : [batchSize]);
+
+			this._save_result_to_queue(rows.length);
+
+			return this;
+
+		};
+
+	}
+
+	/** Search revisions of the document. The revisions are `NoPg.Document` objects with `$revision` and `$txid`, and
+	 * `$modified` is the time of the revision.
+	 *
+	 * @param obj {NoPg.Document}
+	 * @param revision {number|undefined} Only this revision if defined
+	 * @param traits {object} `limit` and `offset`
+	 * @returns {Promise.<Array.<NoPg.Document>>}
+	 * @private
+	 */
+	async _searchRevisions (obj, revision, traits) {
+
+		if (!(obj && obj.$id)) {
+			throw new TypeError("opts.$id invalid: " + LogUtils.getAsString(obj) );
+		}
+
+		if ( traits !== undefined ) AssertUtils.isObject(traits);
+
+		traits = traits || {};
+
+		let query = "SELECT d.id, d.type, d.types_id, r.content, d.created, r.modified, r.revision, r.txid" +
+			" FROM document_revisions AS r JOIN documents AS d ON d.id = r.documents_id WHERE r.documents_id = $1";
+
+		let params = [obj.$id];
+
+		if (revision !== undefined) {
+			AssertUtils.isNumber(revision);
+			query += " AND r.revision = $2";
+			params.push(revision);
+		}
+
+		query += " ORDER BY r.revision DESC";
+
+		if (traits.limit) {
+			query += " LIMIT " + parseInt(traits.limit, 10);
+		}
+
+		if (traits.offset) {
+			query += " OFFSET " + parseInt(traits.offset, 10);
+		}
+
+		const rows = await this._doQuery(query, params);
+
+		const revisions = _.map(rows, row => {
+			const value = {'revision': row.revision, 'txid': row.txid};
+			delete row.revision;
+			delete row.txid;
+			return value;
+		});
+
+		const data = await NoPgUtils.get_results(NoPg.Document)(rows);
+
+		_.forEach(data, (doc, i) => {
+			doc.$revision = revisions[i].revision;
+			doc.$txid = revisions[i].txid;
+		});
+
+		return data;
+
+	}
+
+	/** List revisions of the document, newest first. Use like `db.history(doc)([TRAITS])`.
+	 *
+	 * The document must be of a type which has enabled history with `history: true`.
+	 *
+	 * @param obj {NoPg.Document}
+	 * @returns {function(*=): NoPg}
+	 */
+	history (obj) {
+
+		return async traits => {
+
+			const result = await this._searchRevisions(obj, undefined, traits);
+
+			this._save_result_to_queue(result);
+
+			return this;
+
+		};
+
+	}
+
+	/** Get revision `revision` of the document. The first version of the document is revision `1`.
+	 *
+	 * @param obj {NoPg.Document}
+	 * @param revision {number}
+	 * @returns {NoPg}
+	 */
+	async getRevision (obj, revision) {
+
+		const result = await this._searchRevisions(obj, revision);
+
+		this._save_result_to_queue(_.first(result));
 
 		return this;
 
 	}
 
+	/** Write the content of revision `revision` back to the document as a new update. The updated document is saved
+	 * to the queue.
+	 *
+	 * @param obj {NoPg.Document}
+	 * @param revision {number}
+	 * @returns {NoPg}
+	 */
+	async revert (obj, revision) {
+
+		const doc = _.first(await this._searchRevisions(obj, revision));
+
+		if (!(doc instanceof NoPg.Document)) {
+			throw new TypeError("Document " + obj.$id + " has no revision " + revision);
+		}
+
+		// The update is compared to an empty document, so that the properties missing from the revision are removed
+		const target = new NoPg.Document({'$id': doc.$id, '$type': doc.$type, '$types_id': doc.$types_id});
+
+		return await this.update(target, doc.$content);
+
+	}
+
 	/** Alias for `.del(obj)`
 	 * @param obj
 	 * @return {*}
@@ -1195,7 +2236,7 @@ export class NoPg {
 
 		return async data => {
 
-			data = data || {};
+			data = NoPgUtils.stringify_type_migrations(data || {});
 
 			if ( name !== undefined ) {
 				data.$name = '' + name;
@@ -1237,12 +2278,12 @@ export class NoPg {
 	}
 
 	/**
-	 * Returns `true` if PostgreSQL database relation exists.
+	 * Returns `true` if PostgreSQL database relation exists in the schema of the session.
 	 * @todo Implement this in nor-pg and use here.
 	 */
 	async _pg_relation_exists (name) {
 
-		const rows = await this._doQuery('SELECT * FROM pg_class WHERE relname = $1 LIMIT 1', [name]);
+		const rows = await this._doQuery('SELECT * FROM pg_class WHERE relname = $1 AND relnamespace = (SELECT oid FROM pg_namespace WHERE nspname = current_schema()) LIMIT 1', [name]);
 
 		if (!rows) { throw new TypeError("Unexpected result from query: " + LogUtils.getAsString(rows)); }
 
@@ -1250,6 +2291,52 @@ export class NoPg {
 
 	}
 
+	/** Returns `true` if PostgreSQL table is partitioned
+	 *
+	 * @param name {string}
+	 * @returns {Promise.<boolean>}
+	 */
+	async _pg_is_partitioned (name) {
+
+		const rows = await this._doQuery("SELECT relkind FROM pg_class WHERE relname = $1 AND relnamespace = (SELECT oid FROM pg_namespace WHERE nspname = current_schema()) LIMIT 1", [name]);
+
+		if (!rows) { throw new TypeError("Unexpected result from query: " + LogUtils.getAsString(rows)); }
+
+		return (rows.length !== 0) && (rows[0].relkind === 'p');
+
+	}
+
+	/** Move documents of the type into their own partition of `documents`. The `documents` table is partitioned by
+	 * `type` when this is called the first time.
+	 *
+	 * @param type {NoPg.Type}
+	 * @returns {Promise}
+	 */
+	async _pg_declare_partition (type) {
+
+		// Documents of other tenants or principals must be moved, too
+		if ( (this._tenant !== undefined) || (this._principals !== undefined) ) {
+			throw new TypeError("Partitioned types cannot be declared with a tenant or principals");
+		}
+
+		const partitioned = await this._pg_is_partitioned(NoPg.Document.meta.table);
+
+		// Type specific triggers of events are dropped when `documents` is partitioned, so they are created again.
+		// See `NoPg.createTriggerQueriesForType()` for the names of the triggers.
+		const rows = partitioned ? [] : await this._doQuery(
+			"SELECT DISTINCT name FROM types WHERE EXISTS (SELECT 1 FROM pg_trigger WHERE tgrelid = 'documents'::regclass AND tgname = ('documents_insert_' || types.name || '_tcn_trigger')::name)"
+		);
+
+		await this._doQuery("SELECT nopg_create_documents_partition($1, $2)", [type.$name, NoPgUtils.pg_partition_name(type.$name)]);
+
+		await _.reduce(
+			_.map(rows, row => () => this.setupTriggersForType(row.name)),
+			(a, b) => a.then(b),
+			Promise.resolve(undefined)
+		);
+
+	}
+
 	/**
 	 * Returns `true` if PostgreSQL database table has index like this one.
 	 * @todo Implement this in nor-pg and use here.
@@ -1257,7 +2344,7 @@ export class NoPg {
 	 */
 	async _pg_get_indexdef (name) {
 
-		const rows = await this._doQuery('SELECT indexdef FROM pg_indexes WHERE indexname = $1 LIMIT 1', [name]);
+		const rows = await this._doQuery('SELECT indexdef FROM pg_indexes WHERE schemaname = current_schema() AND indexname = $1 LIMIT 1', [name]);
 
 		if (!rows) { throw new TypeError("Unexpected result from query: " + LogUtils.getAsString(rows)); }
 
@@ -1276,17 +2363,23 @@ export class NoPg {
 	 * @param field
 	 * @param typefield
 	 * @param is_unique
+	 * @param partitioned {boolean} `true` if the `documents` table is partitioned
 	 * @return {*}
 	 */
-	async _pg_create_index (ObjType, type, field, typefield, is_unique) {
-
-		const colName = NoPgUtils.parse_predicate_key(ObjType, {'epoch':false}, field);
+	async _pg_create_index (ObjType, type, field, typefield, is_unique, partitioned) {
 
 		const name = NoPgUtils.pg_create_index_name(ObjType, type, field, typefield);
 
-		let query = NoPgUtils.pg_create_index_query_internal_v1( ObjType, type, field, typefield, is_unique);
+		let query = NoPgUtils.pg_create_index_query_internal_v1( ObjType, type, field, typefield, is_unique, partitioned);
+
+		const query_v2 = NoPgUtils.pg_create_index_query_internal_v2( ObjType, type, field, typefield, is_unique, partitioned, this._schema);
+
+		// Composite indexes are identified by their name, since PostgreSQL rewrites the expressions of the definition
+		if (NoPgUtils.isObjectNotArray(field)) {
+			return await this._doQuery(query);
+		}
 
-		const query_v2 = NoPgUtils.pg_create_index_query_internal_v2( ObjType, type, field, typefield, is_unique);
+		const colName = NoPgUtils.parse_predicate_key(ObjType, {'epoch':false}, field);
 
 		query = Query.numerifyPlaceHolders(query);
 
@@ -1337,34 +2430,35 @@ export class NoPg {
 	 *
 	 * @param ObjType
 	 * @param type
-	 * @param field
+	 * @param field {string|object} The property name, or a composite index from `NoPgUtils.parse_index()`
 	 * @param typefield
 	 * @param is_unique
 	 * @return {Promise.<*>}
 	 */
 	async _pg_declare_index (ObjType, type, field, typefield, is_unique) {
 
-		const colName = NoPgUtils.parse_predicate_key(ObjType, {'epoch':false}, field);
-
-		const dataKey = colName.getMeta('dataKey');
-
-		const field_name = (dataKey ? dataKey + '.' : '' ) + colName.getMeta('key');
-
 		const name = NoPgUtils.pg_create_index_name(ObjType, type, field, typefield, is_unique);
 
+		const partitioned = (ObjType === NoPg.Document) && await this._pg_is_partitioned(ObjType.meta.table);
+
 		const exists = await this._pg_relation_exists(name);
 
 		if (!exists) {
-			return this._pg_create_index(ObjType, type, field, typefield, is_unique);
+			return this._pg_create_index(ObjType, type, field, typefield, is_unique, partitioned);
+		}
+
+		// The name of a composite index has a hash of the declaration, so an existing index is the same index
+		if (NoPgUtils.isObjectNotArray(field)) {
+			return this;
 		}
 
 		const old_indexdef = await this._pg_get_indexdef(name);
 
-		const new_indexdef_v1 = NoPgUtils.pg_create_index_query_v1(ObjType, type, field, typefield, is_unique);
-		if (new_indexdef_v1 === old_indexdef) return self;
+		const new_indexdef_v1 = NoPgUtils.pg_create_index_query_v1(ObjType, type, field, typefield, is_unique, partitioned);
+		if (new_indexdef_v1 === old_indexdef) return this;
 
-		const new_indexdef_v2 = NoPgUtils.pg_create_index_query_v2(ObjType, type, field, typefield, is_unique);
-		if (new_indexdef_v2 === old_indexdef) return self;
+		const new_indexdef_v2 = NoPgUtils.pg_create_index_query_v2(ObjType, type, field, typefield, is_unique, partitioned, this._schema);
+		if (new_indexdef_v2 === old_indexdef) return this;
 
 		if (NoPg.debug) {
 			nrLog.info('Rebuilding index...');
@@ -1372,110 +2466,349 @@ export class NoPg {
 			nrLog.debug('new index is: ', new_indexdef_v1);
 		}
 
-		await self._pg_drop_index(ObjType, type, field, typefield);
+		await this._pg_drop_index(ObjType, type, field, typefield);
 
-		return await self._pg_create_index(ObjType, type, field, typefield, is_unique);
+		return await this._pg_create_index(ObjType, type, field, typefield, is_unique, partitioned);
 
 	}
 
-	/** Create a new type or replace existing type with the new values. Use like `db.declareType([TYPE-NAME])([OPT(S)])`.
+	/** Internal CREATE INDEX query for indexes which are identified by their name only, like full text and array
+	 * indexes. The index name is built from the declaration, so a changed declaration creates a new index.
 	 *
-	 * @param name
-	 * @param opts
-	 * @returns {function(*): NoPg}
+	 * @param name {string} The index name
+	 * @param query {string} The CREATE INDEX query
+	 * @return {Promise.<*>}
 	 */
-	declareType (name, opts) {
-
-		opts = opts || {};
-
-		AssertUtils.isObject(opts);
+	async _pg_declare_named_index (name, query) {
 
-		const opts_declare_indexes = opts.hasOwnProperty('declareIndexes') ? (opts.declareIndexes === true) : true;
+		const exists = await this._pg_relation_exists(name);
 
-		return async data => {
+		if (exists) {
+			return;
+		}
 
-			data = data || {};
+		return await this._doQuery(query);
 
-			AssertUtils.isObject(data);
+	}
 
-			if ( data.indexes !== undefined ) AssertUtils.isArray(data.indexes);
+	/** Internal DROP INDEX query for an index by its name
+	 *
+	 * @param name {string} The index name
+	 * @return {Promise.<*>}
+	 */
+	async _pg_drop_named_index (name) {
 
-			if ( data.uniqueIndexes !== undefined ) AssertUtils.isArray(data.uniqueIndexes);
+		return await this._doQuery(pg_escape('DROP INDEX IF EXISTS %I', name));
 
-			let indexes = data.indexes || [];
+	}
 
-			let uniqueIndexes = data.uniqueIndexes || [];
+	/** Returns the NoPg-managed indexes of documents of the type with their size and scan statistics.
+	 *
+	 * An index is managed if `declareIndexes()` created it for the type: it is declared for the type in `data`, it
+	 * is limited to documents of the type, or it is in the partition of the type. Single property, full text and
+	 * array indexes without the type are shared by every type which declares the same property, so they are
+	 * returned only when no type declares them any more. That is skipped when the session has a tenant, since the
+	 * types of other tenants are not visible.
+	 *
+	 * @param type {NoPg.Type}
+	 * @param data {object} The declaration of indexes. Defaults to the type.
+	 * @returns {Promise.<Array.<object>>}
+	 */
+	async _listIndexes (type, data) {
 
-			let where = {};
+		const partitioned = await this._pg_is_partitioned(NoPg.Document.meta.table);
 
-			if ( name !== undefined ) {
-				if ( name instanceof NoPg.Type ) {
-					where.$types_id = name.$id;
-				} else {
-					where.$name = '' + name;
-				}
-			}
+		const table = NoPgUtils.pg_index_table(NoPg.Document, type, partitioned);
 
-			let type = await this._getType(where);
+		const declared = NoPgUtils.get_type_index_names(type, data);
 
-			if ( type ) {
-				type = await this._updateTypeCache(type.$name, this._update(type, data));
-			} else {
-				type = await this._updateTypeCache(name, this._createType(name)(data));
-			}
+		const type_filter = "(type = " + pg_escape.literal(type.$name) + "::text)";
 
-			if ( !opts_declare_indexes ) {
+		let others;
 
-				this._save_result_to_queue(type);
+		if ( !NoPgUtils.is_partitioned_type(type) && (this._tenant === undefined) ) {
+			const types = NoPgUtils.get_results(NoPg.Type)(await this._doQuery("SELECT * FROM types WHERE name <> $1", [type.$name]));
+			others = _.flatten(_.map(types, t => NoPgUtils.get_type_index_names(t)));
+		}
 
-				return this;
+		const rows = await this._doQuery([
+			'SELECT i.indexname, i.indexdef,',
+			"  pg_relation_size((quote_ident(i.schemaname) || '.' || quote_ident(i.indexname))::regclass) AS size,",
+			'  s.idx_scan, s.idx_tup_read, s.idx_tup_fetch',
+			'FROM pg_indexes AS i',
+			'LEFT JOIN pg_stat_user_indexes AS s ON s.schemaname = i.schemaname AND s.indexrelname = i.indexname',
+			'WHERE i.schemaname = current_schema() AND i.tablename = $1',
+			'ORDER BY i.indexname'
+		].join('\n'), [table]);
 
-			}
+		if (!rows) { throw new TypeError("Unexpected result from query: " + LogUtils.getAsString(rows)); }
 
-			if ( uniqueIndexes.length >= 1 ) {
+		const names = _.map(rows, row => row.indexname);
 
-				_.forEach(uniqueIndexes, i => {
-					if ( indexes.indexOf(i) < 0 ) {
-						indexes.push(i);
-					}
-				});
+		/** Returns `true` if the index is shared and no other type declares it */
+		const is_unused_shared_index = name => {
 
+			if ( (others === undefined) || (others.indexOf(name) >= 0) || (declared.indexOf(name) >= 0) ) {
+				return false;
 			}
 
-			if ( indexes.indexOf('$id') < 0 ) {
-				indexes.push('$id');
+			if ( /^documents_(type|types_id|array)_.+_index$/.test(name) || /^documents_fulltext_/.test(name) ) {
+				return true;
 			}
 
-			if ( indexes.indexOf('$created') < 0 ) {
-				indexes.push('$created');
-			}
+			// The single property index without the type is created together with the one with `type`
+			const typed = name.replace(/^documents_/, 'documents_type_');
+			return (names.indexOf(typed) >= 0) && is_unused_shared_index(typed);
 
-			if ( indexes.indexOf('$modified') < 0 ) {
-				indexes.push('$modified');
-			}
+		};
 
-			if ( indexes.length === 0 ) {
+		const to_number = value => (value === null || value === undefined) ? 0 : parseInt(value, 10);
 
-				this._save_result_to_queue(type);
+		return _.map(
+			_.filter(rows, row => {
 
-				return this;
+				if (declared.indexOf(row.indexname) >= 0) {
+					return true;
+				}
 
-			}
+				if (NoPgUtils.is_partitioned_type(type)) {
+					return (row.indexname.indexOf(table + '_') === 0) && /_index$/.test(row.indexname);
+				}
 
-			await _.reduce(
-				_.map(indexes, index => async () => {
+				if ( /_[0-9a-f]{8}_index$/.test(row.indexname) && (row.indexdef.indexOf(type_filter) >= 0) ) {
+					return true;
+				}
 
-					await this._pg_declare_index(NoPg.Document, type, index);
+				return is_unused_shared_index(row.indexname);
 
-					await this._pg_declare_index(NoPg.Document, type, index, "types_id", uniqueIndexes.indexOf(index) >= 0);
+			}),
+			row => _.merge(NoPgUtils.parse_indexdef(row.indexdef), {
+				'declared': declared.indexOf(row.indexname) >= 0,
+				'size': to_number(row.size),
+				'scans': to_number(row.idx_scan),
+				'tuplesRead': to_number(row.idx_tup_read),
+				'tuplesFetched': to_number(row.idx_tup_fetch)
+			})
+		);
+
+	}
+
+	/** Declare indexes of documents for the type from `indexes`, `uniqueIndexes`, `fullTextIndexes` and
+	 * `arrayIndexes` in `data`.
+	 *
+	 * @param type {NoPg.Type}
+	 * @param data {object}
+	 * @return {Promise}
+	 */
+	async _declareIndexes (type, data) {
+
+		let indexes = [].concat(data.indexes || []);
+
+		const uniqueIndexes = data.uniqueIndexes || [];
+
+		const arrayIndexes = data.arrayIndexes || [];
+
+		_.forEach(uniqueIndexes, i => {
+			if ( indexes.indexOf(i) < 0 ) {
+				indexes.push(i);
+			}
+		});
+
+		_.forEach(['$id', '$created', '$modified'], i => {
+			if ( indexes.indexOf(i) < 0 ) {
+				indexes.push(i);
+			}
+		});
+
+		await _.reduce(
+			_.map(indexes, index => async () => {
+
+				const composite = NoPgUtils.parse_index(index, uniqueIndexes.indexOf(index) >= 0);
+
+				if (composite) {
+					await this._pg_declare_index(NoPg.Document, type, composite);
+					return;
+				}
+
+				// The partition of a partitioned type has only documents of the type
+				if (NoPgUtils.is_partitioned_type(type)) {
+					await this._pg_declare_index(NoPg.Document, type, index, undefined, uniqueIndexes.indexOf(index) >= 0);
+					return;
+				}
+
+				await this._pg_declare_index(NoPg.Document, type, index);
+
+				await this._pg_declare_index(NoPg.Document, type, index, "types_id", uniqueIndexes.indexOf(index) >= 0);
+
+				await this._pg_declare_index(NoPg.Document, type, index, "type", uniqueIndexes.indexOf(index) >= 0);
+
+			}),
+			(a, b) => a.then(b),
+			Promise.resolve(undefined)
+		);
 
-					await this._pg_declare_index(NoPg.Document, type, index, "type", uniqueIndexes.indexOf(index) >= 0);
+		if ( data.fullTextIndexes !== undefined ) {
 
-				}),
-				(a, b) => a.then(b),
-				Promise.resolve(undefined)
+			const fulltext = NoPgUtils.parse_full_text_index(data.fullTextIndexes);
+
+			await this._pg_declare_named_index(
+				NoPgUtils.pg_create_full_text_index_name(NoPg.Document, fulltext),
+				NoPgUtils.pg_create_full_text_index_query(NoPg.Document, fulltext)
 			);
 
+		}
+
+		await _.reduce(
+			_.map(arrayIndexes, index => () => this._pg_declare_named_index(
+				NoPgUtils.pg_create_array_index_name(NoPg.Document, index),
+				NoPgUtils.pg_create_array_index_query(NoPg.Document, index)
+			)),
+			(a, b) => a.then(b),
+			Promise.resolve(undefined)
+		);
+
+	}
+
+	/** Migrate all documents of the type to the current schema version of the type and save them. Use like
+	 * `db.migrateType([TYPE-NAME])()`. The number of migrated documents is saved to the queue.
+	 *
+	 * Documents are read in batches of `NoPg.defaults.streamBatchSize` documents.
+	 *
+	 * @param name {string}
+	 * @returns {function(): NoPg}
+	 */
+	migrateType (name) {
+
+		AssertUtils.isString(name);
+
+		return async () => {
+
+			const type = await this._getType(name);
+
+			if (!(type instanceof NoPg.Type)) {
+				throw new TypeError("invalid type received: " + LogUtils.getAsString(type) );
+			}
+
+			let count = 0;
+
+			if (_.isNumber(type.schemaVersion)) {
+
+				// Documents are read in batches using keyset pagination, so all of them are not kept in memory at once
+				let cursor = null;
+
+				do {
+
+					const docs = await this._doSelect([NoPg.Document, name], {'$schema_version': {'$lt': type.schemaVersion}}, {
+						'order': ['$id'],
+						'limit': NoPg.defaults.streamBatchSize,
+						'after': cursor,
+						'withDeleted': true,
+						'withExpired': true,
+						'migrate': false
+					});
+
+					for (const doc of docs) {
+
+						const migrated = NoPgUtils.migrate_document(type, doc);
+
+						if (migrated === doc) {
+							continue;
+						}
+
+						// The update is compared to an empty document, so that the properties removed by migrations are removed
+						const target = new NoPg.Document({'$id': doc.$id, '$type': doc.$type, '$types_id': doc.$types_id});
+
+						await this._doUpdate(NoPg.Document, target, _.assign({}, migrated.$content, {'$schema_version': migrated.$schema_version}), {'versionCheck': false});
+
+						count += 1;
+
+					}
+
+					cursor = docs.nextCursor;
+
+				} while (cursor);
+
+			}
+
+			this._save_result_to_queue(count);
+
+			return this;
+
+		};
+
+	}
+
+	/** Create a new type or replace existing type with the new values. Use like `db.declareType([TYPE-NAME])([OPT(S)])`.
+	 *
+	 * @param name
+	 * @param opts
+	 * @returns {function(*): NoPg}
+	 */
+	declareType (name, opts) {
+
+		opts = opts || {};
+
+		AssertUtils.isObject(opts);
+
+		const opts_declare_indexes = opts.hasOwnProperty('declareIndexes') ? (opts.declareIndexes === true) : true;
+
+		if ( opts.partitioned !== undefined ) AssertUtils.isBoolean(opts.partitioned);
+
+		return async data => {
+
+			data = data || {};
+
+			AssertUtils.isObject(data);
+
+			data = NoPgUtils.stringify_type_migrations(data);
+
+			if ( (data.ttl !== undefined) && !(_.isNumber(data.ttl) || _.isString(data.ttl)) ) {
+				throw new TypeError("ttl invalid: " + LogUtils.getAsString(data.ttl) );
+			}
+
+			if ( data.indexes !== undefined ) AssertUtils.isArray(data.indexes);
+
+			if ( data.uniqueIndexes !== undefined ) AssertUtils.isArray(data.uniqueIndexes);
+
+			if ( data.arrayIndexes !== undefined ) AssertUtils.isArray(data.arrayIndexes);
+
+			let where = {};
+
+			if ( name !== undefined ) {
+				if ( name instanceof NoPg.Type ) {
+					where.$types_id = name.$id;
+				} else {
+					where.$name = '' + name;
+				}
+			}
+
+			let type = await this._getType(where);
+
+			// Partitioned types cannot be moved back to the default partition
+			if ( (opts.partitioned === true) || (type && (type.partitioned === true)) ) {
+				data = _.assign({}, data, {'partitioned': true});
+			}
+
+			if ( type ) {
+				type = await this._updateTypeCache(type.$name, this._update(type, data));
+			} else {
+				type = await this._updateTypeCache(name, this._createType(name)(data));
+			}
+
+			if ( NoPgUtils.is_partitioned_type(type) ) {
+				await this._pg_declare_partition(type);
+			}
+
+			if ( !opts_declare_indexes ) {
+
+				this._save_result_to_queue(type);
+
+				return this;
+
+			}
+
+			await this._declareIndexes(type, data);
+
 			this._save_result_to_queue(type);
 
 			return this;
@@ -1640,37 +2973,407 @@ export class NoPg {
 
 			if ( body !== undefined ) AssertUtils.isString(body);
 
-			body = body || "";
+			body = body || "";
+
+			data.$type = '' + type;
+			data.$name = '' + name;
+			data.$body = '' + body;
+
+			// FIXME: Could this started before here?
+			const type_obj = await this._getType(type);
+
+			data.$types_id = type_obj.$id;
+
+			const rows = await this._doInsert(NoPg.Method, data);
+
+			return getMethodResult(rows);
+
+		};
+
+	}
+
+	/** Create a new method. We recommend using `.declareMethod()` instead unless you want an error if the type exists already. Use like `db.createMethod([TYPE-NAME])(METHOD-NAME, METHOD-BODY, [OPT(S)])`.
+	 *
+	 * @param type {string}
+	 * @returns {function(*,*,*): NoPg}
+	 */
+	createMethod (type) {
+
+		let createMethodFunc = this._createMethod(type);
+
+		return async (name, body, data) => {
+
+			const result = await createMethodFunc(name, body, data);
+
+			this._save_result_to_queue(result);
+
+			return this;
+
+		};
+
+	}
+
+	// noinspection JSUnusedGlobalSymbols
+	/** Create a new method or replace existing with new values. Use like `db.declareMethod([TYPE-NAME])(METHOD-NAME, METHOD-BODY, [OPT(S)])`.
+	 *
+	 * @param type {string}
+	 * @returns {function(*=, *=, *=): NoPg}
+	 */
+	declareMethod (type) {
+
+		const myGetMethod = this._getMethod(type);
+
+		const myCreateMethod = this._createMethod(type);
+
+		return async (name, body, data) => {
+
+			AssertUtils.isString(type);
+
+			AssertUtils.isString(name);
+
+			if ( data !== undefined ) AssertUtils.isObject(data);
+
+			data = data || {};
+
+			if ( !data.hasOwnProperty('$active') ) {
+				data.$active = true;
+			} else if ( data.$active !== true ) {
+				data.$active = null;
+			}
+
+			let method = await myGetMethod(name);
+
+			if ( method && (body === method.$body) ) {
+				method = await this._update(method, merge({}, data, {'$body': body}));
+			} else {
+				method = await myCreateMethod(name, body, data);
+			}
+
+			this._save_result_to_queue(method);
+
+			return this;
+
+		};
+
+	}
+
+	/** Returns a document builder function */
+	_createDocumentBuilder (type) {
+
+		let self = this;
+
+		AssertUtils.isString(type);
+
+		let self_search_methods = self._searchMethods(type);
+
+		return function () {
+
+			return self_search_methods({'$active': true}).then(function(methods) {
+
+				/** Appends methods to doc */
+				function _doc_builder(doc) {
+					if (NoPgUtils.isObjectNotArray(doc)) {
+						_.forEach(methods, method => {
+							doc[method.$name] = FUNCTION.parse(method.$body).bind(doc);
+						});
+					}
+					return doc;
+				}
+
+				/** Appends methods to doc */
+				function doc_builder(doc) {
+					if (_.isArray(doc)) {
+						return ARRAY(doc).map(_doc_builder).valueOf();
+					}
+					return _doc_builder(doc);
+				}
+
+				/** Removes methods from doc */
+				function reset_methods(doc) {
+
+					if (_.isArray(doc)) {
+						return _.map(doc).map(reset_methods);
+					}
+
+					if (NoPgUtils.isObjectNotArray(doc)) {
+						_.forEach(methods, method => {
+							delete doc[method.$name];
+						});
+					}
+
+					return doc;
+				}
+
+				doc_builder.reset = reset_methods;
+
+				return doc_builder;
+
+			});
+
+		};
+	}
+
+	/** Returns a document builder function
+	 *
+	 * @param type {string}
+	 * @returns {function(): NoPg}
+	 */
+	createDocumentBuilder(type) {
+
+		AssertUtils.isString(type);
+
+		const myCreateDocumentBuilder = this._createDocumentBuilder(type);
+
+		return async () => {
+
+			const rows = await myCreateDocumentBuilder();
+
+			this._save_result_to_queue(rows);
+
+			return this;
+
+		};
+
+	}
+
+	/** Setups a document builder function in session cache */
+	_initDocumentBuilder(type) {
+		let self = this;
+		AssertUtils.isString(type);
+		if (!self._documentBuilders) {
+			self._documentBuilders = {};
+		}
+		let create_document_builder = self._createDocumentBuilder(type);
+		return function nopg_prototype_init_document_builder_() {
+			if (self._documentBuilders.hasOwnProperty(type)) {
+				return self;
+			}
+			return create_document_builder().then(function(builder) {
+				self._documentBuilders[type] = builder;
+				return self;
+			});
+		};
+	}
+
+	/** Setups a document builder function in session cache */
+	initDocumentBuilder(type) {
+		let self = this;
+		AssertUtils.isString(type);
+		let self_init_document_builder = self._initDocumentBuilder(type);
+		return function nopg_prototype_init_document_builder_() {
+			return NoPgUtils.extendPromise( [NoPg], NoPgUtils.nr_fcall("nopg:initDocumentBuilder", function() {
+				return self_init_document_builder();
+			}));
+		};
+	}
+
+	/** Delete the active view
+	 *
+	 * @param type {string}
+	 * @returns {function(*=): NoPg}
+	 */
+	delView (type) {
+
+		AssertUtils.isString(type);
+
+		const myGetView = this._getView(type);
+
+		return async name => {
+
+			AssertUtils.isString(name);
+
+			const view = await myGetView(name);
+
+			if (!(view instanceof NoPg.View)) {
+				throw new TypeError("invalid view received: " + LogUtils.getAsString(view) );
+			}
+
+			await this._doDelete(NoPg.View, view);
+
+			return this;
+
+		};
+
+	}
+
+	/**
+	 * Alias for .delView(type)
+	 *
+	 * @param type
+	 * @returns {function(*=): *}
+	 */
+	deleteView (type) {
+		return this.delView(type);
+	}
+
+	/** Search views
+	 *
+	 * @param type {string}
+	 * @returns {function(*=, *=): Object}
+	 * @private
+	 */
+	_searchViews (type) {
+
+		AssertUtils.isString(type);
+
+		const ObjType = NoPg.View;
+
+		const myGetViewResults = NoPgUtils.get_results(ObjType);
+
+		return async (opts, traits) => {
+
+			if ( opts !== undefined) AssertUtils.isObject(opts);
+
+			opts = opts || {};
+
+			opts.$type = type;
+
+			if (!opts.hasOwnProperty('$active')) {
+				opts.$active = true;
+			}
+
+			const rows = await this._doSelect(ObjType, opts, traits);
+
+			return myGetViewResults(rows);
+
+		};
+
+	}
+
+	// noinspection JSUnusedGlobalSymbols
+	/** Search views
+	 *
+	 * @param type {string}
+	 * @returns {function(*=, *=): NoPg}
+	 */
+	searchViews (type) {
+
+		AssertUtils.isString(type);
+
+		const mySearchViews = this._searchViews(type);
+
+		return async (opts, traits) => {
+
+			const result = await mySearchViews(opts, traits);
+
+			this._save_result_to_queue(result);
+
+			return this;
+
+		};
+
+	}
+
+	/** Get the active view
+	 *
+	 * @param type {string}
+	 * @returns {function(*=): NoPg}
+	 */
+	getView (type) {
+
+		AssertUtils.isString(type);
+
+		const myGetView = this._getView(type);
+
+		return async name => {
+
+			const result = await myGetView(name);
+
+			this._save_result_to_queue(result);
+
+			return this;
+
+		};
+
+	}
+
+	/** Get active view if it exists
+	 *
+	 * @param type {string}
+	 * @returns {function(*=): Promise<*>}
+	 * @private
+	 */
+	_getView (type) {
+
+		AssertUtils.isString(type);
+
+		const myGetViewResult = NoPgUtils.get_result(NoPg.View);
+
+		return async name => {
+
+			AssertUtils.isString(name);
+
+			let where = {
+				'$type': type,
+				'$name': name,
+				'$active': true
+			};
+
+			let traits = {
+				'order': ['$created']
+			};
+
+			const rows = await this._doSelect(NoPg.View, where, traits);
+
+			return myGetViewResult(rows);
+
+		};
+
+	}
+
+	/** Create a new view. We recommend using `._declareView()` instead of this unless you want an error if the view
+	 * exists already. Use like `db._createView([TYPE-NAME])(VIEW-NAME, [OPT(S)])`. Returns the result instead of
+	 * saving it to `self` queue.
+	 *
+	 * @param type {string}
+	 * @returns {function(*=, *=): Promise<*>}
+	 * @private
+	 */
+	_createView (type) {
+
+		AssertUtils.isString(type);
+
+		const getViewResult = NoPgUtils.get_result(NoPg.View);
+
+		return async (name, data) => {
+
+			if ( data !== undefined ) AssertUtils.isObject(data);
+
+			data = data || {};
+
+			AssertUtils.isStringWithMinLength(name, 1);
 
 			data.$type = '' + type;
 			data.$name = '' + name;
-			data.$body = '' + body;
 
-			// FIXME: Could this started before here?
 			const type_obj = await this._getType(type);
 
+			AssertUtils.isObject(type_obj);
+			AssertUtils.isUuidString(type_obj.$id);
+
 			data.$types_id = type_obj.$id;
 
-			const rows = await this._doInsert(NoPg.Method, data);
+			const rows = await this._doInsert(NoPg.View, data);
 
-			return getMethodResult(rows);
+			return getViewResult(rows);
 
 		};
 
 	}
 
-	/** Create a new method. We recommend using `.declareMethod()` instead unless you want an error if the type exists already. Use like `db.createMethod([TYPE-NAME])(METHOD-NAME, METHOD-BODY, [OPT(S)])`.
+	/** Create a new view. We recommend using `.declareView()` instead unless you want an error if the view exists
+	 * already. Use like `db.createView([TYPE-NAME])(VIEW-NAME, [OPT(S)])`.
 	 *
 	 * @param type {string}
-	 * @returns {function(*,*,*): NoPg}
+	 * @returns {function(*, *): NoPg}
 	 */
-	createMethod (type) {
+	createView (type) {
 
-		let createMethodFunc = this._createMethod(type);
+		const myCreateView = this._createView(type);
 
-		return async (name, body, data) => {
+		return async (name, data) => {
 
-			const result = await createMethodFunc(name, body, data);
+			const result = await myCreateView(name, data);
 
 			this._save_result_to_queue(result);
 
@@ -1681,18 +3384,21 @@ export class NoPg {
 	}
 
 	// noinspection JSUnusedGlobalSymbols
-	/** Create a new method or replace existing with new values. Use like `db.declareMethod([TYPE-NAME])(METHOD-NAME, METHOD-BODY, [OPT(S)])`.
+	/** Create a new view or a new version of it. Use like `db.declareView([TYPE-NAME])(VIEW-NAME, [OPT(S)])`.
+	 *
+	 * If the definition of the active view has changed, a new version is created and activated like with methods.
+	 * Otherwise the active view is updated.
 	 *
 	 * @param type {string}
-	 * @returns {function(*=, *=, *=): NoPg}
+	 * @returns {function(*=, *=): NoPg}
 	 */
-	declareMethod (type) {
+	declareView (type) {
 
-		const myGetMethod = this._getMethod(type);
+		const myGetView = this._getView(type);
 
-		const myCreateMethod = this._createMethod(type);
+		const myCreateView = this._createView(type);
 
-		return async (name, body, data) => {
+		return async (name, data) => {
 
 			AssertUtils.isString(type);
 
@@ -1708,15 +3414,15 @@ export class NoPg {
 				data.$active = null;
 			}
 
-			let method = await myGetMethod(name);
+			let view = await myGetView(name);
 
-			if ( method && (body === method.$body) ) {
-				method = await this._update(method, merge({}, data, {'$body': body}));
+			if ( view && _.isEqual(view.$meta, _.omitBy(data, (value, key) => first_letter_is_dollar(key))) ) {
+				view = await this._update(view, data);
 			} else {
-				method = await myCreateMethod(name, body, data);
+				view = await myCreateView(name, data);
 			}
 
-			this._save_result_to_queue(method);
+			this._save_result_to_queue(view);
 
 			return this;
 
@@ -1724,338 +3430,127 @@ export class NoPg {
 
 	}
 
-	/** Returns a document builder function */
-	_createDocumentBuilder (type) {
-
-		let self = this;
-
-		AssertUtils.isString(type);
-
-		let self_search_methods = self._searchMethods(type);
-
-		return function () {
-
-			return self_search_methods({'$active': true}).then(function(methods) {
-
-				/** Appends methods to doc */
-				function _doc_builder(doc) {
-					if (NoPgUtils.isObjectNotArray(doc)) {
-						_.forEach(methods, method => {
-							doc[method.$name] = FUNCTION.parse(method.$body).bind(doc);
-						});
-					}
-					return doc;
-				}
-
-				/** Appends methods to doc */
-				function doc_builder(doc) {
-					if (_.isArray(doc)) {
-						return ARRAY(doc).map(_doc_builder).valueOf();
-					}
-					return _doc_builder(doc);
-				}
-
-				/** Removes methods from doc */
-				function reset_methods(doc) {
-
-					if (_.isArray(doc)) {
-						return _.map(doc).map(reset_methods);
-					}
-
-					if (NoPgUtils.isObjectNotArray(doc)) {
-						_.forEach(methods, method => {
-							delete doc[method.$name];
-						});
-					}
-
-					return doc;
-				}
-
-				doc_builder.reset = reset_methods;
-
-				return doc_builder;
-
-			});
-
-		};
-	}
-
-	/** Returns a document builder function
+	/** Run a stored search of the active view. Use like `db.runView([TYPE-NAME])(VIEW-NAME, [PARAMS])`.
+	 *
+	 * The view must have a `search` definition like
+	 * `{"search": {"age": {"$gte": ":minAge"}}, "traits": {"order": ["name"]}}`, where `:name` strings are replaced
+	 * with values from `params`.
 	 *
 	 * @param type {string}
-	 * @returns {function(): NoPg}
+	 * @returns {function(*, *=): NoPg}
 	 */
-	createDocumentBuilder(type) {
+	runView (type) {
 
 		AssertUtils.isString(type);
 
-		const myCreateDocumentBuilder = this._createDocumentBuilder(type);
+		const myGetView = this._getView(type);
 
-		return async () => {
+		return async (name, params) => {
 
-			const rows = await myCreateDocumentBuilder();
+			const view = await myGetView(name);
 
-			this._save_result_to_queue(rows);
+			if (!(view instanceof NoPg.View)) {
+				throw new TypeError("No active view " + name + " for type " + type);
+			}
 
-			return this;
+			const search = NoPgUtils.parse_view_search(view, params);
 
-		};
+			const result = await this._doSelect([NoPg.Document, type], search.opts, search.traits);
 
-	}
+			this._save_result_to_queue(result);
 
-	/** Setups a document builder function in session cache */
-	_initDocumentBuilder(type) {
-		let self = this;
-		AssertUtils.isString(type);
-		if (!self._documentBuilders) {
-			self._documentBuilders = {};
-		}
-		let create_document_builder = self._createDocumentBuilder(type);
-		return function nopg_prototype_init_document_builder_() {
-			if (self._documentBuilders.hasOwnProperty(type)) {
-				return self;
-			}
-			return create_document_builder().then(function(builder) {
-				self._documentBuilders[type] = builder;
-				return self;
-			});
-		};
-	}
+			return this;
 
-	/** Setups a document builder function in session cache */
-	initDocumentBuilder(type) {
-		let self = this;
-		AssertUtils.isString(type);
-		let self_init_document_builder = self._initDocumentBuilder(type);
-		return function nopg_prototype_init_document_builder_() {
-			return NoPgUtils.extendPromise( [NoPg], NoPgUtils.nr_fcall("nopg:initDocumentBuilder", function() {
-				return self_init_document_builder();
-			}));
 		};
-	}
 
-	/** Delete view */
-	delView(type) {
-		AssertUtils.isString(type);
-		let self = this;
-		let self_get_view = self._getView(type);
-		return function(name) {
-			AssertUtils.isString(name);
-			return NoPgUtils.extendPromise( [NoPg], NoPgUtils.nr_fcall("nopg:delView", function() {
-				return self_get_view(name).then(function(view) {
-					if (!(view instanceof NoPg.View)) {
-						throw new TypeError("invalid view received: " + LogUtils.getAsString(view) );
-					}
-					return do_delete(self, NoPg.View, view).then(function() { return self; });
-				});
-			}));
-		};
 	}
 
-	/**
-	 * Alias for .delView(type)
+	/** Declare indexes for an existing type. Use like `db.declareIndexes([TYPE-NAME])({"indexes": [...], "arrayIndexes": [...]})`.
 	 *
-	 * @param type
-	 * @returns {function(*=): *}
+	 * With `{"prune": true}` managed indexes of the type which are not declared any more are dropped. Index keys
+	 * which are not given, like `uniqueIndexes`, keep the declaration of the type. The declaration is saved to the
+	 * type. See `.listIndexes()`.
+	 *
+	 * @param name
+	 * @returns {function(*): NoPg}
 	 */
-	deleteView (type) {
-		return this.delView(type);
-	}
-
-	/** Search views */
-	_searchViews(type) {
-		let self = this;
-		let ObjType = NoPg.View;
-		AssertUtils.isString(type);
-		return function nopg_prototype_search_views_(opts, traits) {
-			if ( opts !== undefined) AssertUtils.isObject(opts);
-			opts = opts || {};
-			opts.$type = type;
-			return do_select(self, ObjType, opts, traits).then(get_results(NoPg.View));
-		};
-	}
-
-	// noinspection JSUnusedGlobalSymbols
-	/** Search views */
-	searchViews(type) {
-		let self = this;
-		AssertUtils.isString(type);
-		let self_search_views = self._searchViews(type);
-		return function nopg_prototype_search_views_(opts, traits) {
-			return NoPgUtils.extendPromise( [NoPg], NoPgUtils.nr_fcall("nopg:searchViews", function() {
-				return self_search_views(opts, traits).then(save_result_to_queue(self)).then(function() { return self; });
-			}));
-		};
-	}
-
-	/** Get view */
-	getView(type) {
-		let self = this;
-		AssertUtils.isString(type);
-		let self_get_view = self._getView(type);
-		return function nopg_prototype_get_view_(opts, traits) {
-			return NoPgUtils.extendPromise( [NoPg], NoPgUtils.nr_fcall("nopg:getView", function() {
-				return self_get_view(opts, traits).then(save_result_to_queue(self)).then(function() { return self; });
-			}));
-		};
-	}
+	declareIndexes (name) {
 
-	/** Get active view if it exists */
-	_getView(type) {
-		let self = this;
-		AssertUtils.isString(type);
-		return function nopg_prototype_get_view_(name) {
-			AssertUtils.isString(name);
-			let where = {
-				'$type': type,
-				'$name': name
-			};
-			let traits = {
-				'order': ['$created']
-			};
-			return do_select(self, NoPg.View, where, traits).then(NoPgUtils.get_result(NoPg.View));
-		};
-	}
+		return async data => {
 
-	/** Create a new view. We recommend using `._declareView()` instead of this unless you want an error if the view exists already. Use like `db._createView([TYPE-NAME])(METHOD-NAME, METHOD-BODY, [OPT(S)])`. Returns the result instead of saving it to `self` queue. */
-	_createView(type) {
-		let self = this;
-		AssertUtils.isString(type);
+			data = data || {};
 
-		function createView2(name, data) {
-			return NoPgUtils.extendPromise( [NoPg], NoPgUtils.nr_fcall("nopg:_createView", function() {
+			AssertUtils.isObject(data);
 
-				if ( data !== undefined) AssertUtils.isObject(data);
-				data = data || {};
+			if ( data.indexes !== undefined ) AssertUtils.isArray(data.indexes);
 
-				AssertUtils.isStringWithMinLength(name, 1);
+			if ( data.uniqueIndexes !== undefined ) AssertUtils.isArray(data.uniqueIndexes);
 
-				data.$type = ''+type;
-				data.$name = ''+name;
+			if ( data.arrayIndexes !== undefined ) AssertUtils.isArray(data.arrayIndexes);
 
-				return self._getType(type).then(function(type_obj) {
-					AssertUtils.isObject(type_obj);
-					AssertUtils.isUuidString(type_obj.$id);
-					data.$types_id = type_obj.$id;
-					return self._doInsert(NoPg.View, data).then(NoPgUtils.get_result(NoPg.View));
-				});
-			}));
-		}
+			if ( data.prune !== undefined ) AssertUtils.isBoolean(data.prune);
 
-		return createView2;
-	}
+			let where = {};
 
-	/** Create a new view. We recommend using `.declareView()` instead unless you want an error if the type exists already. Use like `db.createView([TYPE-NAME])(METHOD-NAME, METHOD-BODY, [OPT(S)])`. */
-	createView(type) {
-		let self = this;
-		let self_create_view = self._createView(type);
+			if ( name !== undefined ) {
+				if ( name instanceof NoPg.Type ) {
+					where.$types_id = name.$id;
+				} else {
+					where.$name = '' + name;
+				}
+			}
 
-		function createView2(name, data) {
-			return NoPgUtils.extendPromise( [NoPg], NoPgUtils.nr_fcall("nopg:createView", function() {
-				return self_create_view(name, data).then(save_result_to(self));
-			}));
-		}
+			let type = await this._getType(where);
 
-		return createView2;
-	}
+			await this._declareIndexes(type, data);
 
-	// noinspection JSUnusedGlobalSymbols
-	/** Create a new view or replace existing with new values. Use like `db.declareView([TYPE-NAME])(METHOD-NAME, METHOD-BODY, [OPT(S)])`. */
-	declareView(type) {
-		let self = this;
+			if (data.prune === true) {
 
-		function declareView2(name, data) {
-			return NoPgUtils.extendPromise( [NoPg], NoPgUtils.nr_fcall("nopg:declareView", function() {
+				// Indexes which are not given keep the declaration of the type. The declaration is saved to the type,
+				// so the pruned indexes are not declared again from the type.
+				const keys = ['indexes', 'uniqueIndexes', 'fullTextIndexes', 'arrayIndexes'];
+				const declaration = _.omitBy(_.assign(_.pick(type, keys), _.pick(data, keys)), _.isUndefined);
 
-				AssertUtils.isString(type);
-				AssertUtils.isString(name);
-				if ( data !== undefined) AssertUtils.isObject(data);
-				data = data || {};
+				type = await this._updateTypeCache(type.$name, this._update(type, declaration));
 
-				if (!data.hasOwnProperty('$active')) {
-					data.$active = true;
-				} else if (data.$active !== true) {
-					data.$active = false;
-				}
+				const indexes = await this._listIndexes(type, declaration);
 
-				return self._getView(type)(name).then(function(view) {
-					if (view) {
-						return self._update(view, data);
+				for (const index of indexes) {
+					if (!index.declared) {
+						await this._pg_drop_named_index(index.name);
 					}
-					return self._createView(type)(name, data);
-				}).then(function(view) {
-					return self.push(view);
-				});
-			}));
-		}
-
-		return declareView2;
-	}
-
-	/** Create a new type or replace existing type with the new values. Use like `db.declareType([TYPE-NAME])([OPT(S)])`. */
-	declareIndexes(name) {
-		let self = this;
+				}
 
-		function declareIndexes2(data) {
-			return NoPgUtils.extendPromise( [NoPg], NoPgUtils.nr_fcall("nopg:declareIndexes", function() {
-				data = data || {};
-				AssertUtils.isObject(data);
-				if ( indexes !== undefined) AssertUtils.isArray(data.indexes);
-				if ( uniqueIndexes !== undefined) AssertUtils.isArray(data.uniqueIndexes);
+			}
 
-				let indexes = data.indexes || [];
-				let uniqueIndexes = data.uniqueIndexes || [];
+			return this;
 
-				if (uniqueIndexes.length >= 1) {
-					ARRAY(uniqueIndexes).forEach(function(i) {
-						if (indexes.indexOf(i) < 0) {
-							indexes.push(i);
-						}
-					});
-				}
+		};
 
-				if (indexes.indexOf('$id') < 0) {
-					indexes.push('$id');
-				}
+	}
 
-				if (indexes.indexOf('$created') < 0) {
-					indexes.push('$created');
-				}
+	/** Returns the NoPg-managed indexes of documents of the type with their size and scan statistics, and saves
+	 * them to the queue. Use like `db.listIndexes([TYPE-NAME])`.
+	 *
+	 * Each index has `name`, `table`, `unique`, `method`, `columns` and `where` parsed from the index definition,
+	 * `declared` which is `false` if the type does not declare the index any more, `size` in bytes, and `scans`,
+	 * `tuplesRead` and `tuplesFetched` from `pg_stat_user_indexes`.
+	 *
+	 * @param name {string|NoPg.Type}
+	 * @returns {Promise.<NoPg>}
+	 */
+	async listIndexes (name) {
 
-				if (indexes.indexOf('$modified') < 0) {
-					indexes.push('$modified');
-				}
+		const type = await this._getType( (name instanceof NoPg.Type) ? name.$name : '' + name );
 
-				if (indexes.length === 0) {
-					return self;
-				}
+		if (!(type instanceof NoPg.Type)) {
+			throw new TypeError("invalid type received: " + LogUtils.getAsString(type) );
+		}
 
-				let where = {};
-				if (name !== undefined) {
-					if (name instanceof NoPg.Type) {
-						where.$types_id = name.$id;
-					} else {
-						where.$name = ''+name;
-					}
-				}
+		this._save_result_to_queue( await this._listIndexes(type) );
 
-				return self._getType(where).then(function(type) {
-					return indexes.map(function build_step(index) {
-						return function step() {
-							return self._pg_declare_index(NoPg.Document, type, index).then(function() {
-								return self._pg_declare_index(NoPg.Document, type, index, "types_id", uniqueIndexes.indexOf(index) >= 0);
-							}).then(function() {
-								return self._pg_declare_index(NoPg.Document, type, index, "type", uniqueIndexes.indexOf(index) >= 0);
-							});
-						};
-					}).reduce(Q.when, Q()).then(function() {
-						return self;
-					});
-				});
-			}));
-		}
+		return this;
 
-		return declareIndexes2;
 	}
 
 	/** This is an alias for `.declareType()`. */
@@ -2416,6 +3911,9 @@ export class NoPg {
 	 * @param opts.timeout {number} The timeout, default is
 	 from `NoPg.defaults.timeout`.
 	 * @param opts.pgconfig {string} See param `pgconfig`.
+	 * @param opts.schema {string} Optional PostgreSQL schema of the NoPg tables, eg. `"app1"`. Default is `"public"`.
+	 * @param opts.tenant {string} Optional tenant. The transaction will only see and change rows of this tenant.
+	 * @param opts.principals {Array.<string>} Optional principals for document access control, eg. `["user:1"]`.
 	 * @return {*}
 	 */
 	static start(pgconfig, opts = undefined) {
@@ -2463,7 +3961,13 @@ export class NoPg {
 					w.reset(db);
 					db._watchdog = w;
 				}
+				return (opts.schema !== undefined) ? db._setSchema(opts.schema, true) : db;
+			}).then(function(db) {
 				return pg_query("SET plv8.start_proc = 'plv8_init'")(db);
+			}).then(function(db) {
+				return (opts.tenant !== undefined) ? db._setTenant(opts.tenant, true) : db;
+			}).then(function(db) {
+				return (opts.principals !== undefined) ? db._setPrincipals(opts.principals, true) : db;
 			});
 		}));
 	}
@@ -2473,6 +3977,9 @@ export class NoPg {
 	 `"postgres://user:pw@localhost:5432/test"`
 	 * @param opts {object} Optional options.
 	 * @param opts.pgconfig {string} See param `pgconfig`.
+	 * @param opts.schema {string} Optional PostgreSQL schema of the NoPg tables, eg. `"app1"`. Default is `"public"`.
+	 * @param opts.tenant {string} Optional tenant. The connection will only see and change rows of this tenant.
+	 * @param opts.principals {Array.<string>} Optional principals for document access control, eg. `["user:1"]`.
 	 * @return {*}
 	 */
 	static connect(pgconfig, opts) {
@@ -2505,8 +4012,14 @@ export class NoPg {
 					'end': end_time
 				});
 				return nopg_db;
+			}).then(function(db) {
+				return (opts.schema !== undefined) ? db._setSchema(opts.schema, false) : db;
 			}).then(function(db) {
 				return pg_query("SET plv8.start_proc = 'plv8_init'")(db);
+			}).then(function(db) {
+				return (opts.tenant !== undefined) ? db._setTenant(opts.tenant, false) : db;
+			}).then(function(db) {
+				return (opts.principals !== undefined) ? db._setPrincipals(opts.principals, false) : db;
 			});
 		}));
 	}
@@ -2518,6 +4031,9 @@ export class NoPg {
 	 * @param opts.timeout {number} The timeout, default is
 	 from `NoPg.defaults.timeout`
 	 * @param opts.pgconfig {string} See param `pgconfig`.
+	 * @param opts.schema {string} See `NoPg.start()`.
+	 * @param opts.tenant {string} See `NoPg.start()`.
+	 * @param opts.principals {Array.<string>} See `NoPg.start()`.
 	 * @param fn {function} The function to be called.
 	 * @return {*}
 	 */
@@ -2569,12 +4085,13 @@ export class NoPg {
 		if ( op !== undefined) AssertUtils.isString(op);
 
 		if (op === undefined) {
-			return [].concat(create_tcn_queries(type, "insert"))
-				.concat(create_tcn_queries(type, "update"))
-				.concat(create_tcn_queries(type, "delete"));
+			return [].concat(NoPg.createTriggerQueriesForType(type, "insert"))
+				.concat(NoPg.createTriggerQueriesForType(type, "update"))
+				.concat(NoPg.createTriggerQueriesForType(type, "delete"))
+				.concat(NoPg.createTriggerQueriesForType(type, "trash"));
 		}
 
-		if (['insert', 'delete', 'update'].indexOf(op) < 0) {
+		if (['insert', 'delete', 'update', 'trash'].indexOf(op) < 0) {
 			throw new TypeError("op is invalid: " + op);
 		}
 		op = op.toLowerCase();
@@ -2590,7 +4107,7 @@ export class NoPg {
 					'CREATE TRIGGER %I'+
 					' AFTER '+op.toUpperCase()+' ON %I FOR EACH ROW'+
 					' WHEN (NEW.type = %L)'+
-					' EXECUTE PROCEDURE triggered_change_notification(%L)',
+					' EXECUTE PROCEDURE nopg_tcn_notification(%L)',
 					trigger_name,
 					table_name,
 					type,
@@ -2606,7 +4123,7 @@ export class NoPg {
 					'CREATE TRIGGER %I'+
 					' AFTER '+op.toUpperCase()+' ON %I FOR EACH ROW'+
 					' WHEN (NEW.type = %L OR OLD.type = %L)'+
-					' EXECUTE PROCEDURE triggered_change_notification(%L)',
+					' EXECUTE PROCEDURE nopg_tcn_notification(%L)',
 					trigger_name,
 					table_name,
 					type,
@@ -2616,6 +4133,23 @@ export class NoPg {
 			];
 		}
 
+		// Soft delete and restore are sent as `T` and `R` operations
+		if (op === 'trash') {
+			return [
+				pg_escape('DROP TRIGGER IF EXISTS %I ON %I', trigger_name, table_name),
+				pg_escape(
+					'CREATE TRIGGER %I'+
+					' AFTER UPDATE OF deleted ON %I FOR EACH ROW'+
+					' WHEN (NEW.type = %L AND OLD.deleted IS DISTINCT FROM NEW.deleted)'+
+					' EXECUTE PROCEDURE nopg_trash_notification(%L)',
+					trigger_name,
+					table_name,
+					type,
+					channel_name
+				)
+			];
+		}
+
 		if (op === 'delete') {
 			return [
 				pg_escape('DROP TRIGGER IF EXISTS %I ON %I', trigger_name, table_name),
@@ -2623,7 +4157,7 @@ export class NoPg {
 					'CREATE TRIGGER %I'+
 					' AFTER '+op.toUpperCase()+' ON %I FOR EACH ROW'+
 					' WHEN (OLD.type = %L)'+
-					' EXECUTE PROCEDURE triggered_change_notification(%L)',
+					' EXECUTE PROCEDURE nopg_tcn_notification(%L)',
 					trigger_name,
 					table_name,
 					type,
@@ -2734,18 +4268,21 @@ export class NoPg {
 	/** Parse tcn channel name to listen from NoPg event name
 	 * @param event {string|object} The name of an event, eg. `[(type_id|type)#][id@][(eventName|id|type)]`. [See
 	 *     more](https://trello.com/c/qrSpMOfk/6-event-support).
-	 * @returns {string} Channel name for TCN, eg. `tcn_User` or `tcn` for non-typed events.
+	 * @param schema {string} Optional PostgreSQL schema. Channels of other schemas than `public` are prefixed with it.
+	 * @returns {string} Channel name for TCN, eg. `tcn_User` or `tcn` for non-typed events, or `app1_tcn` in schema
+	 *     `app1`.
 	 * @todo Hmm, should we throw an exception if it isn't TCN event?
 	 */
-	static parseTCNChannelName(event) {
+	static parseTCNChannelName(event, schema = undefined) {
 		if (_.isString(event)) {
 			event = NoPg.parseEventName(event);
 		}
 		AssertUtils.isObject(event);
+		const prefix = (schema && (schema !== 'public')) ? schema + '_' : '';
 		if (event.hasOwnProperty('type')) {
-			return 'tcn' + event.type.toLowerCase();
+			return prefix + 'tcn' + event.type.toLowerCase();
 		}
-		return 'tcn';
+		return prefix + 'tcn';
 	}
 
 	/** Parse TCN payload string
@@ -2771,21 +4308,31 @@ export class NoPg {
 		let i = opts.indexOf('=');
 		if (i < 0) { throw new TypeError("No primary key!"); }
 
-		let key = opts.substr(0, i); // eg. `"id"`
-		AssertUtils.isStringWithMinLength(key, 2);
-		AssertUtils.isEqual(key.charAt(0), '"');
-		AssertUtils.isEqual(key.charAt(key.length-1), '"');
-		key = key.substr(1, key.length-2);
+		// Additional keys, like `,"tenant"='acme'`, may follow the primary key
+		let keys = {};
+		while (i >= 0) {
+
+			let key = opts.substr(0, i); // eg. `"id"`
+			AssertUtils.isStringWithMinLength(key, 2);
+			AssertUtils.isEqual(key.charAt(0), '"');
+			AssertUtils.isEqual(key.charAt(key.length-1), '"');
+			key = key.substr(1, key.length-2);
+
+			let value = opts.substr(i+1); // eg. `'b6913d79-d37a-5977-94b5-95bdfe5cccda'...`
+			AssertUtils.isStringWithMinLength(value, 2);
+			AssertUtils.isEqual(value.charAt(0), "'");
+			i = value.indexOf("'", 1);
+			while ( (i >= 0) && (value.charAt(i+1) === "'") ) {
+				i = value.indexOf("'", i+2);
+			}
+			if (i < 0) { throw new TypeError("Parse error! Could not find end of input."); }
+
+			keys[key] = value.substr(1, i-1).replace(/''/g, "'");
 
-		let value = opts.substr(i+1); // eg. `'b6913d79-d37a-5977-94b5-95bdfe5cccda'...`
-		AssertUtils.isStringWithMinLength(value, 2);
-		AssertUtils.isEqual(value.charAt(0), "'");
-		i = value.indexOf("'", 1);
-		if (i < 0) { throw new TypeError("Parse error! Could not find end of input."); }
-		value = value.substr(1, i-1);
+			opts = (value.charAt(i+1) === ',') ? value.substr(i+2) : '';
+			i = opts.indexOf('=');
 
-		let keys = {};
-		keys[key] = value;
+		}
 
 		return {
 			'table': table,
@@ -2825,6 +4372,8 @@ NoPg.Lib = orm.Lib;
 NoPg.Method = orm.Method;
 NoPg.View = orm.View;
 NoPg.DBVersion = orm.DBVersion;
+NoPg.ConflictError = NoPgConflictError;
+NoPg.PermissionError = NoPgPermissionError;
 
 // Aliases
 NoPg.fcall = NoPg.transaction;
@@ -7,7 +7,7 @@ var NoPgORM = require("./ORM.js");
 var meta = require('./meta.js')({
 	"table": "documents",
 	"datakey": '$content',
-	"keys":['$id', '$type', '$content', '$types_id', '$created', '$modified', '$documents']
+	"keys":['$id', '$type', '$content', '$types_id', '$created', '$modified', '$documents', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires']
 });
 
 /** The constructor */
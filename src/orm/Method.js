@@ -9,7 +9,7 @@ var NoPgORM = require("./ORM.js");
 var meta = require('./meta.js')({
 	"table": "methods",
 	"datakey": '$meta',
-	"keys": ['$id', '$types_id', '$name', '$type', '$body', '$meta', '$active', '$created', '$modified']
+	"keys": ['$id', '$types_id', '$name', '$type', '$body', '$meta', '$active', '$created', '$modified', '$version']
 });
 
 /** The constructor */
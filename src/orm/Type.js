@@ -9,7 +9,7 @@ var NoPgORM = require("./ORM.js");
 var meta = require('./meta.js')({
 	"table": "types",
 	"datakey": '$meta',
-	"keys": ['$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'],
+	"keys": ['$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'],
 	"parsers": {
 		"$validator": "function"
 	}
@@ -13,15 +13,18 @@ function Query(opts) {
 	debug.assert(opts.ObjType).is('function');
 	debug.assert(opts.table).ignore(undefined).is('string');
 	debug.assert(opts.method).ignore(undefined).is('string');
+	debug.assert(opts.document_type_obj).ignore(undefined).is('object');
 
 	this.ObjType = opts.ObjType;
 	this.document_type = opts.document_type;
+	this.document_type_obj = opts.document_type_obj;
 	this._table = opts.table || (this.ObjType && this.ObjType.meta.table);
 	this._method = opts.method || 'select';
 
 	this._fields = [];
 	this._where = [];
 	this._group = [];
+	this._having = [];
 	this._order = [];
 	this._count = false;
 
@@ -88,6 +91,21 @@ Query.prototype.group = function(group) {
 	this._group = this._group.concat(group);
 };
 
+/** Setup HAVING condition
+ */
+Query.prototype.having = function(condition) {
+	debug.assert(condition).is('object').instanceOf(Predicate);
+	this._having.push(condition);
+};
+
+/** Setup keyset pagination
+ * @param keyset {object} Keyset options, which are passed on to the compiled query for parsing results
+ */
+Query.prototype.keyset = function(keyset) {
+	debug.assert(keyset).is('object');
+	this._keyset = keyset;
+};
+
 /** 
  * @returns {} 
  */
@@ -112,7 +130,7 @@ Query.prototype.compile = function() {
 	}
 
 	// Get params
-	var params = ARRAY( ARRAY([this._fields, this._where, this._group, this._order]).reduce(array_concat)).map(function(p) {
+	var params = ARRAY( ARRAY([this._fields, this._where, this._group, this._having, this._order]).reduce(array_concat)).map(function(p) {
 		return p.getParams();
 	}).reduce(array_concat);
 
@@ -167,6 +185,10 @@ Query.prototype.compile = function() {
 		query += ' GROUP BY ' + get_string(this._group, ', ');
 	}
 
+	if(this._having.length >= 1) {
+		query += " HAVING (" + get_string(this._having, ') AND (') + ')';
+	}
+
 	if(this._order.length >= 1) {
 		query += ' ORDER BY ' + get_string(this._order, ', ');
 	}
@@ -183,7 +205,7 @@ Query.prototype.compile = function() {
 	query = Query.numerifyPlaceHolders(query);
 
 	// Return results
-	return {'query':query, 'params':params, 'fieldMap': field_map, 'ObjType': this.ObjType, 'documentType': this.document_type};
+	return {'query':query, 'params':params, 'fieldMap': field_map, 'ObjType': this.ObjType, 'documentType': this.document_type, 'keyset': this._keyset};
 };
 
 // Exports
@@ -1,2 +1,2 @@
 "use strict";
-module.exports = 33;
+module.exports = 49;
@@ -0,0 +1,33 @@
+/** Database schema creation functions */
+module.exports = [
+
+	/** Casts JSON strings with `format: date-time` to timestamps. It is declared as IMMUTABLE so that it can be used
+	 * in indexes, so it does not depend on the `TimeZone` and `DateStyle` of the session: only ISO 8601 strings are
+	 * accepted, and strings without a time zone are in UTC. Other strings are cast to NULL, so one invalid document
+	 * does not fail the index or the query.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+				'CREATE OR REPLACE FUNCTION nopg_to_timestamptz(value text) RETURNS timestamptz IMMUTABLE STRICT LANGUAGE plpgsql AS $$',
+				'BEGIN',
+				"  IF value !~ '^\\d{4}-\\d{2}-\\d{2}([Tt ]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?([Zz]|[+-]\\d{2}(:?\\d{2})?)?)?$' THEN",
+				'    RETURN NULL;',
+				'  END IF;',
+				"  IF value ~ '([Zz]|[+-]\\d{2}(:?\\d{2})?)$' AND value ~ '[Tt ]' THEN",
+				'    RETURN value::timestamptz;',
+				'  END IF;',
+				"  RETURN value::timestamp AT TIME ZONE 'UTC';",
+				'EXCEPTION WHEN invalid_datetime_format OR datetime_field_overflow THEN',
+				'  RETURN NULL;',
+				'END;',
+				'$$'
+			].join('\n'));
+		},
+		down: function(db) {
+			return db.query('DROP FUNCTION nopg_to_timestamptz(text)');
+		}
+	}
+
+];
+/* EOF */
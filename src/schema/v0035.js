@@ -0,0 +1,48 @@
+/** Database schema creation functions */
+module.exports = [
+
+	/** Views are versioned like methods, so that only one version of a view is active at a time. Views of different
+	 * types may have the same name, so the active row is looked up by `types_id` and `name`.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION ensure_only_one_active_view_trigger() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					"  IF (TG_OP = 'UPDATE') THEN",
+					'    IF (OLD.active = true AND OLD.types_id = NEW.types_id AND OLD.name = NEW.name) THEN',
+					'      RETURN NEW;',
+					'    END IF;',
+					"    EXECUTE format('UPDATE %I.%I SET active = null WHERE active = true AND types_id = %L AND name = %L;', TG_TABLE_SCHEMA, TG_TABLE_NAME, OLD.types_id, OLD.name);",
+					'  END IF;',
+					"  EXECUTE format('UPDATE %I.%I SET active = null WHERE active = true AND types_id = %L AND name = %L;', TG_TABLE_SCHEMA, TG_TABLE_NAME, NEW.types_id, NEW.name);",
+					'  NEW.active := true;',
+					'  RETURN NEW;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query('UPDATE views SET active = NULL WHERE active = false')
+				.query('ALTER TABLE views ALTER COLUMN active DROP NOT NULL')
+				.query('ALTER TABLE views ADD CONSTRAINT active_not_false CHECK(active != false)')
+				.query('DROP INDEX IF EXISTS views_types_id_name_idx')
+				.query('CREATE UNIQUE INDEX views_types_id_name_active_idx ON views USING btree(types_id, name, active nulls LAST)')
+				.query('CREATE TRIGGER views_only_one_active_row'+
+					' BEFORE INSERT OR UPDATE OF active ON views'+
+					' FOR EACH ROW WHEN (NEW.active = true)'+
+					' EXECUTE PROCEDURE ensure_only_one_active_view_trigger()'
+				);
+		},
+		down: function(db) {
+			// Only the active version of each view is kept
+			return db.query('DROP TRIGGER views_only_one_active_row ON views')
+				.query('DROP FUNCTION ensure_only_one_active_view_trigger()')
+				.query('DROP INDEX views_types_id_name_active_idx')
+				.query('DELETE FROM views WHERE active IS NULL')
+				.query('CREATE UNIQUE INDEX views_types_id_name_idx ON views USING btree(types_id, name)')
+				.query('ALTER TABLE views DROP CONSTRAINT active_not_false')
+				.query('ALTER TABLE views ALTER COLUMN active SET NOT NULL');
+		}
+	}
+
+];
+/* EOF */
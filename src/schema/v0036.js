@@ -0,0 +1,73 @@
+/** Database schema creation functions */
+module.exports = [
+
+	/** The `jsonb` type requires PostgreSQL v9.4 or newer */
+	{
+		up: function(db) {
+			return db.query([
+					'DO $$',
+					'BEGIN',
+					"  IF current_setting('server_version_num')::integer < 90400 THEN",
+					"    RAISE EXCEPTION 'PostgreSQL server must be v9.4 or newer for jsonb';",
+					'  END IF;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db;
+		}
+	},
+
+	/** `jsonb` variants of the plv8 functions which take document content as an argument. They convert the arguments
+	 * to `json` and call the original functions, so there is only one implementation of each.
+	 *
+	 * `check_type(content, types_id)` in the CHECK constraint of `documents` uses the `jsonb` variant after the
+	 * columns have been converted. `get_documents()` is called with `row_to_json()` and does not need one.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION check_type(data jsonb, types_id uuid) RETURNS boolean VOLATILE LANGUAGE SQL AS $$',
+					'SELECT check_type($1::json, $2)',
+					'$$'
+				].join('\n'))
+				.query([
+					'CREATE OR REPLACE FUNCTION nopg.merge(a jsonb, b jsonb) RETURNS jsonb STABLE LANGUAGE SQL AS $$',
+					'SELECT nopg.merge($1::json, $2::json)::jsonb',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query('DROP FUNCTION nopg.merge(jsonb, jsonb)')
+				.query('DROP FUNCTION check_type(jsonb, uuid)');
+		}
+	},
+
+	/** Convert `json` columns to `jsonb`. It requires PostgreSQL v9.4, which the first step checks.
+	 *
+	 * Indexes and constraints on the columns are rebuilt by PostgreSQL.
+	 */
+	{
+		up: function(db) {
+			return db.query('ALTER TABLE libs ALTER COLUMN meta TYPE jsonb USING meta::jsonb')
+				.query('ALTER TABLE types ALTER COLUMN schema TYPE jsonb USING schema::jsonb')
+				.query('ALTER TABLE types ALTER COLUMN meta TYPE jsonb USING meta::jsonb')
+				.query('ALTER TABLE documents ALTER COLUMN content TYPE jsonb USING content::jsonb')
+				.query('ALTER TABLE attachments ALTER COLUMN meta TYPE jsonb USING meta::jsonb')
+				.query('ALTER TABLE methods ALTER COLUMN meta TYPE jsonb USING meta::jsonb')
+				.query('ALTER TABLE views ALTER COLUMN meta TYPE jsonb USING meta::jsonb');
+		},
+		down: function(db) {
+			return db.query('ALTER TABLE views ALTER COLUMN meta TYPE json USING meta::json')
+				.query('ALTER TABLE methods ALTER COLUMN meta TYPE json USING meta::json')
+				.query('ALTER TABLE attachments ALTER COLUMN meta TYPE json USING meta::json')
+				.query('ALTER TABLE documents ALTER COLUMN content TYPE json USING content::json')
+				.query('ALTER TABLE types ALTER COLUMN meta TYPE json USING meta::json')
+				.query('ALTER TABLE types ALTER COLUMN schema TYPE json USING schema::json')
+				.query('ALTER TABLE libs ALTER COLUMN meta TYPE json USING meta::json');
+		}
+	}
+
+];
+/* EOF */
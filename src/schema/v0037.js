@@ -0,0 +1,44 @@
+/** Database schema creation functions */
+"use strict";
+module.exports = [
+
+	/** Soft deleted documents have the time of delete in `deleted` */
+	{
+		up: function(db) {
+			return db.query('ALTER TABLE documents ADD COLUMN deleted timestamptz')
+				.query('CREATE INDEX documents_deleted ON documents (deleted) WHERE deleted IS NOT NULL');
+		},
+		down: function(db) {
+			return db.query('ALTER TABLE documents DROP COLUMN deleted');
+		}
+	},
+
+	/** Notify soft delete and restore like [tcn extension](https://www.postgresql.org/docs/9.4/static/tcn.html)
+	 * does, with operations `T` and `R`. The channel is the first argument, or `tcn` by default.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_trash_notification() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					"  PERFORM pg_notify(",
+					"    CASE WHEN TG_NARGS > 0 THEN TG_ARGV[0] ELSE 'tcn' END,",
+					"    format('\"%s\",%s,\"id\"=%L', TG_TABLE_NAME, CASE WHEN NEW.deleted IS NULL THEN 'R' ELSE 'T' END, NEW.id)",
+					'  );',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query('DROP TRIGGER IF EXISTS documents_trash_tcn_trigger ON documents')
+				.query('CREATE TRIGGER documents_trash_tcn_trigger AFTER UPDATE OF deleted ON documents FOR EACH ROW'+
+					' WHEN (OLD.deleted IS DISTINCT FROM NEW.deleted) EXECUTE PROCEDURE nopg_trash_notification()');
+		},
+		down: function(db) {
+			// Type specific triggers of trash events are dropped, too
+			return db.query('DROP TRIGGER documents_trash_tcn_trigger ON documents')
+				.query('DROP FUNCTION nopg_trash_notification() CASCADE');
+		}
+	}
+
+];
+/* EOF */
@@ -0,0 +1,51 @@
+/** Database schema creation functions */
+module.exports = [
+
+	/** Revision history of document content for types which have enabled it with `history: true` */
+	{
+		up: function(db) {
+			return db.query(['CREATE TABLE IF NOT EXISTS document_revisions (',
+					'	documents_id uuid NOT NULL REFERENCES documents ON DELETE CASCADE,',
+					'	revision integer NOT NULL,',
+					'	content jsonb NOT NULL,',
+					'	modified timestamptz NOT NULL,',
+					'	txid bigint NOT NULL default txid_current(),',
+					'	PRIMARY KEY (documents_id, revision)',
+					')'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query('DROP TABLE document_revisions');
+		}
+	},
+
+	/** Save every version of the content when documents are created or their content is changed */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_save_document_revision() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					"  IF NEW.types_id IS NULL OR NOT EXISTS (SELECT 1 FROM types WHERE id = NEW.types_id AND (meta ->> 'history') = 'true') THEN",
+					'    RETURN NULL;',
+					'  END IF;',
+					'  INSERT INTO document_revisions (documents_id, revision, content, modified)',
+					'    SELECT NEW.id, COALESCE(MAX(revision), 0) + 1, NEW.content, NEW.modified',
+					'    FROM document_revisions WHERE documents_id = NEW.id;',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query('CREATE TRIGGER documents_insert_revision AFTER INSERT ON documents FOR EACH ROW'+
+					' EXECUTE PROCEDURE nopg_save_document_revision()')
+				.query('CREATE TRIGGER documents_update_revision AFTER UPDATE OF content ON documents FOR EACH ROW'+
+					' WHEN (OLD.content IS DISTINCT FROM NEW.content) EXECUTE PROCEDURE nopg_save_document_revision()');
+		},
+		down: function(db) {
+			return db.query('DROP TRIGGER documents_update_revision ON documents')
+				.query('DROP TRIGGER documents_insert_revision ON documents')
+				.query('DROP FUNCTION nopg_save_document_revision()');
+		}
+	}
+
+];
+/* EOF */
@@ -0,0 +1,33 @@
+/** Database schema creation functions */
+module.exports = [
+
+	/** Row versions for optimistic concurrency control. The version is increased on every update. */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_increment_version() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					'  NEW.version := OLD.version + 1;',
+					'  RETURN NEW;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query('ALTER TABLE documents ADD COLUMN version integer NOT NULL DEFAULT 1')
+				.query('ALTER TABLE types ADD COLUMN version integer NOT NULL DEFAULT 1')
+				.query('ALTER TABLE methods ADD COLUMN version integer NOT NULL DEFAULT 1')
+				.query('ALTER TABLE views ADD COLUMN version integer NOT NULL DEFAULT 1')
+				.query('CREATE TRIGGER documents_version BEFORE UPDATE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_increment_version()')
+				.query('CREATE TRIGGER types_version BEFORE UPDATE ON types FOR EACH ROW EXECUTE PROCEDURE nopg_increment_version()')
+				.query('CREATE TRIGGER methods_version BEFORE UPDATE ON methods FOR EACH ROW EXECUTE PROCEDURE nopg_increment_version()')
+				.query('CREATE TRIGGER views_version BEFORE UPDATE ON views FOR EACH ROW EXECUTE PROCEDURE nopg_increment_version()');
+		},
+		down: function(db) {
+			return ['documents', 'types', 'methods', 'views'].reduce(function(q, table) {
+				return q.query('DROP TRIGGER ' + table + '_version ON ' + table)
+					.query('ALTER TABLE ' + table + ' DROP COLUMN version');
+			}, db).query('DROP FUNCTION nopg_increment_version()');
+		}
+	}
+
+];
+/* EOF */
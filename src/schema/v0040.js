@@ -0,0 +1,16 @@
+/** Database schema creation functions */
+module.exports = [
+
+	/** The schema version of the type which the document content was saved with */
+	{
+		up: function(db) {
+			return db.query('ALTER TABLE documents ADD COLUMN schema_version integer NOT NULL DEFAULT 1')
+				.query('CREATE INDEX documents_type_schema_version ON documents (type, schema_version)');
+		},
+		down: function(db) {
+			return db.query('ALTER TABLE documents DROP COLUMN schema_version');
+		}
+	}
+
+];
+/* EOF */
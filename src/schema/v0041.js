@@ -0,0 +1,126 @@
+/** Database schema creation functions */
+var v0037 = require('./v0037.js');
+module.exports = [
+
+	/** Returns the tenant of the current session from the `nopg.tenant` setting, or `NULL` if it is not set */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_current_tenant() RETURNS text LANGUAGE plpgsql STABLE AS $$',
+					'BEGIN',
+					"  RETURN NULLIF(current_setting('nopg.tenant'), '');",
+					'EXCEPTION WHEN undefined_object THEN',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query('DROP FUNCTION nopg_current_tenant()');
+		}
+	},
+
+	/** Rows are owned by the tenant of the session which created them. Type names are unique per tenant. */
+	{
+		up: function(db) {
+			return db.query('ALTER TABLE documents ADD COLUMN tenant text DEFAULT nopg_current_tenant()')
+				.query('ALTER TABLE types ADD COLUMN tenant text DEFAULT nopg_current_tenant()')
+				.query('ALTER TABLE attachments ADD COLUMN tenant text DEFAULT nopg_current_tenant()')
+				.query('CREATE INDEX documents_tenant ON documents (tenant)')
+				.query('CREATE INDEX attachments_tenant ON attachments (tenant)')
+				.query('ALTER TABLE types DROP CONSTRAINT types_name_key')
+				.query("CREATE UNIQUE INDEX types_tenant_name_idx ON types (COALESCE(tenant, ''), name)");
+		},
+		down: function(db) {
+			return db.query('DROP INDEX types_tenant_name_idx')
+				.query('ALTER TABLE attachments DROP COLUMN tenant')
+				.query('ALTER TABLE types DROP COLUMN tenant')
+				.query('ALTER TABLE documents DROP COLUMN tenant')
+				.query('ALTER TABLE types ADD CONSTRAINT types_name_key UNIQUE (name)');
+		}
+	},
+
+	/** Sessions with a tenant can only see and change rows of the same tenant. Sessions without a tenant see
+	 * everything. The policies apply to the table owner, too, but not to superusers. Row level security requires
+	 * PostgreSQL v9.5 or newer.
+	 */
+	{
+		up: function(db) {
+			return ['documents', 'types', 'attachments'].reduce(function(q, table) {
+				return q.query('ALTER TABLE ' + table + ' ENABLE ROW LEVEL SECURITY')
+					.query('ALTER TABLE ' + table + ' FORCE ROW LEVEL SECURITY')
+					.query('CREATE POLICY ' + table + '_tenant_policy ON ' + table +
+						' USING (nopg_current_tenant() IS NULL OR tenant = nopg_current_tenant())' +
+						' WITH CHECK (nopg_current_tenant() IS NULL OR tenant = nopg_current_tenant())');
+			}, db.query([
+					'DO $$',
+					'BEGIN',
+					"  IF current_setting('server_version_num')::integer < 90500 THEN",
+					"    RAISE EXCEPTION 'PostgreSQL server must be v9.5 or newer for row level security';",
+					'  END IF;',
+					'END;',
+					'$$'
+				].join('\n')));
+		},
+		down: function(db) {
+			return ['attachments', 'types', 'documents'].reduce(function(q, table) {
+				return q.query('DROP POLICY ' + table + '_tenant_policy ON ' + table)
+					.query('ALTER TABLE ' + table + ' NO FORCE ROW LEVEL SECURITY')
+					.query('ALTER TABLE ' + table + ' DISABLE ROW LEVEL SECURITY');
+			}, db);
+		}
+	},
+
+	/** Notify changes like [tcn extension](https://www.postgresql.org/docs/9.5/static/tcn.html) does, but with
+	 * the tenant of the row as an additional `"tenant"` key, so listeners can skip changes of other tenants.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_tcn_notification() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'DECLARE',
+					'  r record;',
+					'  tenant text;',
+					'BEGIN',
+					"  IF TG_OP = 'DELETE' THEN r := OLD; ELSE r := NEW; END IF;",
+					"  tenant := row_to_json(r) ->> 'tenant';",
+					"  PERFORM pg_notify(",
+					"    CASE WHEN TG_NARGS > 0 THEN TG_ARGV[0] ELSE 'tcn' END,",
+					"    format('\"%s\",%s,\"id\"=%L', TG_TABLE_NAME, left(TG_OP, 1), r.id) ||",
+					"    CASE WHEN tenant IS NULL THEN '' ELSE format(',\"tenant\"=%L', tenant) END",
+					'  );',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query([
+					'CREATE OR REPLACE FUNCTION nopg_trash_notification() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					"  PERFORM pg_notify(",
+					"    CASE WHEN TG_NARGS > 0 THEN TG_ARGV[0] ELSE 'tcn' END,",
+					"    format('\"%s\",%s,\"id\"=%L', TG_TABLE_NAME, CASE WHEN NEW.deleted IS NULL THEN 'R' ELSE 'T' END, NEW.id) ||",
+					"    CASE WHEN NEW.tenant IS NULL THEN '' ELSE format(',\"tenant\"=%L', NEW.tenant) END",
+					'  );',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query('DROP TRIGGER IF EXISTS documents_tcn_trigger ON documents')
+				.query('DROP TRIGGER IF EXISTS types_tcn_trigger ON types')
+				.query('DROP TRIGGER IF EXISTS attachments_tcn_trigger ON attachments')
+				.query('CREATE TRIGGER documents_tcn_trigger AFTER INSERT OR UPDATE OR DELETE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_tcn_notification()')
+				.query('CREATE TRIGGER types_tcn_trigger AFTER INSERT OR UPDATE OR DELETE ON types FOR EACH ROW EXECUTE PROCEDURE nopg_tcn_notification()')
+				.query('CREATE TRIGGER attachments_tcn_trigger AFTER INSERT OR UPDATE OR DELETE ON attachments FOR EACH ROW EXECUTE PROCEDURE nopg_tcn_notification()');
+		},
+		down: function(db) {
+			// Type specific triggers of events are dropped, too. They are created again when events are listened.
+			return ['documents', 'types', 'attachments'].reduce(function(q, table) {
+				return q.query('DROP TRIGGER ' + table + '_tcn_trigger ON ' + table)
+					.query('CREATE TRIGGER ' + table + '_tcn_trigger AFTER INSERT OR UPDATE OR DELETE ON ' + table +
+						' FOR EACH ROW EXECUTE PROCEDURE triggered_change_notification()');
+			}, v0037[1].up(db)).query('DROP FUNCTION nopg_tcn_notification() CASCADE');
+		}
+	}
+
+];
+/* EOF */
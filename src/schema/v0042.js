@@ -0,0 +1,123 @@
+/** Database schema creation functions */
+module.exports = [
+
+	/** Returns the principals of the current session from the `nopg.principals` setting as a JSON array, or `NULL`
+	 * if it is not set.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_current_principals() RETURNS text[] LANGUAGE plpgsql STABLE AS $$',
+					'DECLARE',
+					'  value text;',
+					'BEGIN',
+					"  value := NULLIF(current_setting('nopg.principals'), '');",
+					'  IF value IS NULL THEN',
+					'    RETURN NULL;',
+					'  END IF;',
+					'  RETURN ARRAY(SELECT jsonb_array_elements_text(value::jsonb));',
+					'EXCEPTION WHEN undefined_object THEN',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query('DROP FUNCTION nopg_current_principals()');
+		}
+	},
+
+	/** Documents with an owner can only be read by the owner, readers and writers, and changed by the owner and
+	 * writers. Documents without an owner and sessions without principals are not limited.
+	 */
+	{
+		up: function(db) {
+			return db.query('ALTER TABLE documents ADD COLUMN owner text DEFAULT (nopg_current_principals())[1]')
+				.query('ALTER TABLE documents ADD COLUMN readers text[]')
+				.query('ALTER TABLE documents ADD COLUMN writers text[]')
+				.query('CREATE INDEX documents_owner ON documents (owner)')
+				.query('CREATE INDEX documents_readers ON documents USING gin (readers)')
+				.query('CREATE INDEX documents_writers ON documents USING gin (writers)')
+				.query([
+					'CREATE OR REPLACE FUNCTION nopg_can_read(doc_owner text, doc_readers text[], doc_writers text[])',
+					'RETURNS boolean LANGUAGE sql STABLE AS $$',
+					'  SELECT doc_owner IS NULL',
+					'    OR nopg_current_principals() IS NULL',
+					'    OR doc_owner = ANY(nopg_current_principals())',
+					'    OR COALESCE(doc_readers && nopg_current_principals(), false)',
+					'    OR COALESCE(doc_writers && nopg_current_principals(), false)',
+					'$$'
+				].join('\n'))
+				.query([
+					'CREATE OR REPLACE FUNCTION nopg_can_write(doc_owner text, doc_writers text[])',
+					'RETURNS boolean LANGUAGE sql STABLE AS $$',
+					'  SELECT doc_owner IS NULL',
+					'    OR nopg_current_principals() IS NULL',
+					'    OR doc_owner = ANY(nopg_current_principals())',
+					'    OR COALESCE(doc_writers && nopg_current_principals(), false)',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query('DROP FUNCTION nopg_can_write(text, text[])')
+				.query('DROP FUNCTION nopg_can_read(text, text[], text[])')
+				.query('ALTER TABLE documents DROP COLUMN writers')
+				.query('ALTER TABLE documents DROP COLUMN readers')
+				.query('ALTER TABLE documents DROP COLUMN owner');
+		}
+	},
+
+	/** Searches only see readable documents. Policies of the same command are combined with `OR`, so the tenant
+	 * policy is replaced with command specific policies.
+	 */
+	{
+		up: function(db) {
+			var tenant = '(nopg_current_tenant() IS NULL OR tenant = nopg_current_tenant())';
+			return db.query('DROP POLICY documents_tenant_policy ON documents')
+				.query('CREATE POLICY documents_select_policy ON documents FOR SELECT' +
+					' USING (' + tenant + ' AND nopg_can_read(owner, readers, writers))')
+				.query('CREATE POLICY documents_insert_policy ON documents FOR INSERT WITH CHECK ' + tenant)
+				.query('CREATE POLICY documents_update_policy ON documents FOR UPDATE USING ' + tenant + ' WITH CHECK ' + tenant)
+				.query('CREATE POLICY documents_delete_policy ON documents FOR DELETE USING ' + tenant);
+		},
+		down: function(db) {
+			var tenant = '(nopg_current_tenant() IS NULL OR tenant = nopg_current_tenant())';
+			return ['select', 'insert', 'update', 'delete'].reduce(function(q, cmd) {
+				return q.query('DROP POLICY documents_' + cmd + '_policy ON documents');
+			}, db).query('CREATE POLICY documents_tenant_policy ON documents USING ' + tenant + ' WITH CHECK ' + tenant);
+		}
+	},
+
+	/** Updates and deletes by other than writers fail instead of matching zero rows. Only the owner can change the
+	 * access of a document.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_check_document_acl() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					'  IF NOT nopg_can_write(OLD.owner, OLD.writers) THEN',
+					"    RAISE EXCEPTION 'permission denied to % document %', lower(TG_OP), OLD.id USING ERRCODE = 'insufficient_privilege';",
+					'  END IF;',
+					"  IF TG_OP = 'DELETE' THEN",
+					'    RETURN OLD;',
+					'  END IF;',
+					'  IF (OLD.owner IS NOT NULL) AND (nopg_current_principals() IS NOT NULL)',
+					'    AND (NOT (OLD.owner = ANY(nopg_current_principals())))',
+					'    AND ((NEW.owner, NEW.readers, NEW.writers) IS DISTINCT FROM (OLD.owner, OLD.readers, OLD.writers)) THEN',
+					"    RAISE EXCEPTION 'permission denied to change access of document %', OLD.id USING ERRCODE = 'insufficient_privilege';",
+					'  END IF;',
+					'  RETURN NEW;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query('CREATE TRIGGER documents_acl BEFORE UPDATE OR DELETE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_check_document_acl()');
+		},
+		down: function(db) {
+			return db.query('DROP TRIGGER documents_acl ON documents')
+				.query('DROP FUNCTION nopg_check_document_acl()');
+		}
+	}
+
+];
+/* EOF */
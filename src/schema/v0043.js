@@ -0,0 +1,108 @@
+/** Database schema creation functions */
+module.exports = [
+
+	/** Deletes attachments and revisions of deleted documents. Foreign keys to a partitioned `documents` table would
+	 * have to include the partition key, so this trigger replaces them once the table is partitioned.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_delete_document_children() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					'  DELETE FROM attachments WHERE documents_id = OLD.id;',
+					'  DELETE FROM document_revisions WHERE documents_id = OLD.id;',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query('DROP FUNCTION nopg_delete_document_children()');
+		}
+	},
+
+	/** Converts `documents` into a table partitioned by `type`, unless it is already partitioned. The original table
+	 * becomes the default partition, so documents of other types and their indexes stay where they are. Triggers and
+	 * row level security policies are moved to the partitioned table. Requires PostgreSQL v13 or newer.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_partition_documents() RETURNS void LANGUAGE plpgsql AS $$',
+					'DECLARE',
+					'  r record;',
+					'BEGIN',
+					"  IF (SELECT relkind FROM pg_class WHERE oid = 'documents'::regclass) = 'p' THEN",
+					'    RETURN;',
+					'  END IF;',
+					"  IF current_setting('server_version_num')::integer < 130000 THEN",
+					"    RAISE EXCEPTION 'Partitioned types require PostgreSQL v13 or newer';",
+					'  END IF;',
+					'  ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_documents_id_fkey;',
+					'  ALTER TABLE document_revisions DROP CONSTRAINT IF EXISTS document_revisions_documents_id_fkey;',
+					'  ALTER TABLE documents RENAME TO documents_default;',
+					'  CREATE TABLE documents (LIKE documents_default INCLUDING DEFAULTS INCLUDING CONSTRAINTS) PARTITION BY LIST (type);',
+					'  ALTER TABLE documents ADD FOREIGN KEY (types_id) REFERENCES types;',
+					"  FOR r IN SELECT tgname, pg_get_triggerdef(oid) AS def FROM pg_trigger WHERE tgrelid = 'documents_default'::regclass AND NOT tgisinternal LOOP",
+					"    EXECUTE format('DROP TRIGGER %I ON documents_default', r.tgname);",
+					"    EXECUTE regexp_replace(r.def, ' ON (public\\.)?documents_default ', ' ON documents ');",
+					'  END LOOP;',
+					"  FOR r IN SELECT policyname, cmd, qual, with_check FROM pg_policies WHERE tablename = 'documents_default' LOOP",
+					"    EXECUTE format('DROP POLICY %I ON documents_default', r.policyname);",
+					"    EXECUTE format('CREATE POLICY %I ON documents FOR %s', r.policyname, r.cmd)",
+					"      || COALESCE(' USING (' || r.qual || ')', '')",
+					"      || COALESCE(' WITH CHECK (' || r.with_check || ')', '');",
+					'  END LOOP;',
+					'  ALTER TABLE documents ENABLE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents FORCE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents_default NO FORCE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents_default DISABLE ROW LEVEL SECURITY;',
+					'  CREATE TRIGGER documents_delete_children AFTER DELETE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_delete_document_children();',
+					'  ALTER TABLE documents ATTACH PARTITION documents_default DEFAULT;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query([
+					'DO $$',
+					'BEGIN',
+					"  IF (SELECT relkind FROM pg_class WHERE oid = 'documents'::regclass) = 'p' THEN",
+					"    RAISE EXCEPTION 'Partitioned documents cannot be migrated down';",
+					'  END IF;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query('DROP FUNCTION nopg_partition_documents()');
+		}
+	},
+
+	/** Creates the partition `partition_name` for documents of the type `type_name` and moves existing documents of
+	 * the type into it from the default partition. Triggers are not fired for the moved documents.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_create_documents_partition(type_name text, partition_name text) RETURNS void LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					'  PERFORM nopg_partition_documents();',
+					'  IF EXISTS (SELECT 1 FROM pg_class WHERE relname = partition_name) THEN',
+					'    RETURN;',
+					'  END IF;',
+					"  EXECUTE format('CREATE TABLE %I (LIKE documents INCLUDING DEFAULTS INCLUDING CONSTRAINTS)', partition_name);",
+					"  EXECUTE format('INSERT INTO %I SELECT * FROM documents_default WHERE type = %L', partition_name, type_name);",
+					'  ALTER TABLE documents_default DISABLE TRIGGER USER;',
+					"  EXECUTE format('DELETE FROM documents_default WHERE type = %L', type_name);",
+					'  ALTER TABLE documents_default ENABLE TRIGGER USER;',
+					"  EXECUTE format('ALTER TABLE documents ATTACH PARTITION %I FOR VALUES IN (%L)', partition_name, type_name);",
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query('DROP FUNCTION nopg_create_documents_partition(text, text)');
+		}
+	}
+
+];
+/* EOF */
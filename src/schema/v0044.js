@@ -0,0 +1,53 @@
+/** Database schema creation functions */
+module.exports = [
+
+	/** Expired documents have a time in `expires` which has passed */
+	{
+		up: function(db) {
+			return db.query('ALTER TABLE documents ADD COLUMN expires timestamptz')
+				.query('CREATE INDEX documents_expires ON documents (expires) WHERE expires IS NOT NULL');
+		},
+		down: function(db) {
+			return db.query('ALTER TABLE documents DROP COLUMN expires');
+		}
+	},
+
+	/** Documents of types with `ttl` expire after the `ttl` from the last create or update, unless `expires` is set
+	 * explicitly. The `ttl` is either seconds as a number or a PostgreSQL interval, eg. `"30 minutes"`.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_set_document_expires() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'DECLARE',
+					'  ttl jsonb;',
+					'BEGIN',
+					"  IF (TG_OP = 'UPDATE') AND (NEW.expires IS DISTINCT FROM OLD.expires) THEN",
+					'    RETURN NEW;',
+					'  END IF;',
+					"  IF (TG_OP = 'INSERT') AND (NEW.expires IS NOT NULL) THEN",
+					'    RETURN NEW;',
+					'  END IF;',
+					"  SELECT meta -> 'ttl' INTO ttl FROM types WHERE id = NEW.types_id;",
+					"  IF (ttl IS NULL) OR (jsonb_typeof(ttl) = 'null') THEN",
+					'    RETURN NEW;',
+					'  END IF;',
+					"  IF jsonb_typeof(ttl) = 'number' THEN",
+					"    NEW.expires := now() + make_interval(secs => (ttl #>> '{}')::double precision);",
+					'  ELSE',
+					"    NEW.expires := now() + (ttl #>> '{}')::interval;",
+					'  END IF;',
+					'  RETURN NEW;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query('CREATE TRIGGER documents_expires BEFORE INSERT OR UPDATE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_set_document_expires()');
+		},
+		down: function(db) {
+			return db.query('DROP TRIGGER documents_expires ON documents')
+				.query('DROP FUNCTION nopg_set_document_expires()');
+		}
+	}
+
+];
+/* EOF */
@@ -0,0 +1,155 @@
+/** Database schema creation functions */
+var NoPg = require('../nopg.js');
+var v0008 = require('./v0008.js');
+var v0041 = require('./v0041.js');
+var v0043 = require('./v0043.js');
+module.exports = [
+
+	/** plv8 environment initialization function, which loads libs from the `libs` table of the schema in the
+	 * `search_path` instead of `public.libs`
+	 */
+	{
+		up: function(db) {
+			function plv8_init(plv8, LOG, INFO, WARNING, ERROR) {
+				plv8._modules = {};
+
+				// Require function for loading libs
+				this.require = function(name) {
+
+					// Is the module already loaded?
+					if (plv8._modules[name]) {
+						return plv8._modules[name];
+					}
+
+					// Load the module
+					var module = {'exports':{}};
+					var code = plv8.execute("SELECT content FROM libs WHERE name = $1", [name])[0].content;
+					(new Function("module", "exports", code))(module, module.exports);
+
+					// Store the module
+					plv8._modules[name] = module.exports;
+					return plv8._modules[name];
+				}; // this.require
+
+				// Console logging for the libraries
+				this.console = {
+					"log": plv8.elog.bind(plv8, LOG),
+					"info": plv8.elog.bind(plv8, INFO),
+					"warn": plv8.elog.bind(plv8, WARNING),
+					"error": plv8.elog.bind(plv8, ERROR)
+				};
+
+				return true;
+			} // plv8_init
+
+			return db.query('CREATE OR REPLACE FUNCTION plv8_init() RETURNS boolean LANGUAGE plv8 VOLATILE AS ' + NoPg._escapeFunction(plv8_init, ["plv8", "LOG", "INFO", "WARNING", "ERROR"]));
+		},
+		down: function(db) {
+			return v0008[0](db);
+		}
+	},
+
+	/** Notifications from tables outside the `public` schema are sent to channels prefixed with the schema name,
+	 * eg. `app1_tcn`, so listeners of other datasets in the same database do not receive them.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_tcn_notification() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'DECLARE',
+					'  r record;',
+					'  tenant text;',
+					'BEGIN',
+					"  IF TG_OP = 'DELETE' THEN r := OLD; ELSE r := NEW; END IF;",
+					"  tenant := row_to_json(r) ->> 'tenant';",
+					"  PERFORM pg_notify(",
+					"    CASE WHEN TG_TABLE_SCHEMA = 'public' THEN '' ELSE TG_TABLE_SCHEMA || '_' END ||",
+					"    CASE WHEN TG_NARGS > 0 THEN TG_ARGV[0] ELSE 'tcn' END,",
+					"    format('\"%s\",%s,\"id\"=%L', TG_TABLE_NAME, left(TG_OP, 1), r.id) ||",
+					"    CASE WHEN tenant IS NULL THEN '' ELSE format(',\"tenant\"=%L', tenant) END",
+					'  );',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query([
+					'CREATE OR REPLACE FUNCTION nopg_trash_notification() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					"  PERFORM pg_notify(",
+					"    CASE WHEN TG_TABLE_SCHEMA = 'public' THEN '' ELSE TG_TABLE_SCHEMA || '_' END ||",
+					"    CASE WHEN TG_NARGS > 0 THEN TG_ARGV[0] ELSE 'tcn' END,",
+					"    format('\"%s\",%s,\"id\"=%L', TG_TABLE_NAME, CASE WHEN NEW.deleted IS NULL THEN 'R' ELSE 'T' END, NEW.id) ||",
+					"    CASE WHEN NEW.tenant IS NULL THEN '' ELSE format(',\"tenant\"=%L', NEW.tenant) END",
+					'  );',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return v0041[3].up(db);
+		}
+	},
+
+	/** Partitioning looks up triggers, policies and partitions only in the current schema */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_partition_documents() RETURNS void LANGUAGE plpgsql AS $$',
+					'DECLARE',
+					'  r record;',
+					'BEGIN',
+					"  IF (SELECT relkind FROM pg_class WHERE oid = 'documents'::regclass) = 'p' THEN",
+					'    RETURN;',
+					'  END IF;',
+					"  IF current_setting('server_version_num')::integer < 130000 THEN",
+					"    RAISE EXCEPTION 'Partitioned types require PostgreSQL v13 or newer';",
+					'  END IF;',
+					'  ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_documents_id_fkey;',
+					'  ALTER TABLE document_revisions DROP CONSTRAINT IF EXISTS document_revisions_documents_id_fkey;',
+					'  ALTER TABLE documents RENAME TO documents_default;',
+					'  CREATE TABLE documents (LIKE documents_default INCLUDING DEFAULTS INCLUDING CONSTRAINTS) PARTITION BY LIST (type);',
+					'  ALTER TABLE documents ADD FOREIGN KEY (types_id) REFERENCES types;',
+					"  FOR r IN SELECT tgname, pg_get_triggerdef(oid) AS def FROM pg_trigger WHERE tgrelid = 'documents_default'::regclass AND NOT tgisinternal LOOP",
+					"    EXECUTE format('DROP TRIGGER %I ON documents_default', r.tgname);",
+					"    EXECUTE regexp_replace(r.def, ' ON ([^ ]+\\.)?documents_default ', ' ON documents ');",
+					'  END LOOP;',
+					"  FOR r IN SELECT policyname, cmd, qual, with_check FROM pg_policies WHERE schemaname = current_schema() AND tablename = 'documents_default' LOOP",
+					"    EXECUTE format('DROP POLICY %I ON documents_default', r.policyname);",
+					"    EXECUTE format('CREATE POLICY %I ON documents FOR %s', r.policyname, r.cmd)",
+					"      || COALESCE(' USING (' || r.qual || ')', '')",
+					"      || COALESCE(' WITH CHECK (' || r.with_check || ')', '');",
+					'  END LOOP;',
+					'  ALTER TABLE documents ENABLE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents FORCE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents_default NO FORCE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents_default DISABLE ROW LEVEL SECURITY;',
+					'  CREATE TRIGGER documents_delete_children AFTER DELETE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_delete_document_children();',
+					'  ALTER TABLE documents ATTACH PARTITION documents_default DEFAULT;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query([
+					'CREATE OR REPLACE FUNCTION nopg_create_documents_partition(type_name text, partition_name text) RETURNS void LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					'  PERFORM nopg_partition_documents();',
+					'  IF EXISTS (SELECT 1 FROM pg_class WHERE relname = partition_name AND relnamespace = (SELECT oid FROM pg_namespace WHERE nspname = current_schema())) THEN',
+					'    RETURN;',
+					'  END IF;',
+					"  EXECUTE format('CREATE TABLE %I (LIKE documents INCLUDING DEFAULTS INCLUDING CONSTRAINTS)', partition_name);",
+					"  EXECUTE format('INSERT INTO %I SELECT * FROM documents_default WHERE type = %L', partition_name, type_name);",
+					'  ALTER TABLE documents_default DISABLE TRIGGER USER;',
+					"  EXECUTE format('DELETE FROM documents_default WHERE type = %L', type_name);",
+					'  ALTER TABLE documents_default ENABLE TRIGGER USER;',
+					"  EXECUTE format('ALTER TABLE documents ATTACH PARTITION %I FOR VALUES IN (%L)', partition_name, type_name);",
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return v0043[2].up(v0043[1].up(db));
+		}
+	}
+
+];
+/* EOF */
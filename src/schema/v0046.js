@@ -0,0 +1,38 @@
+/** Database schema creation functions */
+var v0045 = require('./v0045.js');
+module.exports = [
+
+	/** Moving a document to or from the trash is notified only by `nopg_trash_notification()` as `T` or `R`, not as
+	 * an update, too.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_tcn_notification() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'DECLARE',
+					'  r record;',
+					'  tenant text;',
+					'BEGIN',
+					"  IF TG_OP = 'UPDATE' AND (row_to_json(OLD) ->> 'deleted') IS DISTINCT FROM (row_to_json(NEW) ->> 'deleted') THEN",
+					'    RETURN NULL;',
+					'  END IF;',
+					"  IF TG_OP = 'DELETE' THEN r := OLD; ELSE r := NEW; END IF;",
+					"  tenant := row_to_json(r) ->> 'tenant';",
+					"  PERFORM pg_notify(",
+					"    CASE WHEN TG_TABLE_SCHEMA = 'public' THEN '' ELSE TG_TABLE_SCHEMA || '_' END ||",
+					"    CASE WHEN TG_NARGS > 0 THEN TG_ARGV[0] ELSE 'tcn' END,",
+					"    format('\"%s\",%s,\"id\"=%L', TG_TABLE_NAME, left(TG_OP, 1), r.id) ||",
+					"    CASE WHEN tenant IS NULL THEN '' ELSE format(',\"tenant\"=%L', tenant) END",
+					'  );',
+					'  RETURN NULL;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return v0045[1].up(db);
+		}
+	}
+
+];
+/* EOF */
@@ -0,0 +1,65 @@
+/** Database schema creation functions */
+var tenant = '(nopg_current_tenant() IS NULL OR tenant = nopg_current_tenant())';
+module.exports = [
+
+	/** New documents can only be owned by one of the principals of the session, or by nobody */
+	{
+		up: function(db) {
+			return db.query('ALTER POLICY documents_insert_policy ON documents WITH CHECK (' + tenant +
+				' AND (owner IS NULL OR nopg_current_principals() IS NULL OR owner = ANY(nopg_current_principals())))');
+		},
+		down: function(db) {
+			return db.query('ALTER POLICY documents_insert_policy ON documents WITH CHECK ' + tenant);
+		}
+	},
+
+	/** Documents without an owner can only be given to one of the principals of the session */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_check_document_acl() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					'  IF NOT nopg_can_write(OLD.owner, OLD.writers) THEN',
+					"    RAISE EXCEPTION 'permission denied to % document %', lower(TG_OP), OLD.id USING ERRCODE = 'insufficient_privilege';",
+					'  END IF;',
+					"  IF TG_OP = 'DELETE' THEN",
+					'    RETURN OLD;',
+					'  END IF;',
+					'  IF (OLD.owner IS NOT NULL) AND (nopg_current_principals() IS NOT NULL)',
+					'    AND (NOT (OLD.owner = ANY(nopg_current_principals())))',
+					'    AND ((NEW.owner, NEW.readers, NEW.writers) IS DISTINCT FROM (OLD.owner, OLD.readers, OLD.writers)) THEN',
+					"    RAISE EXCEPTION 'permission denied to change access of document %', OLD.id USING ERRCODE = 'insufficient_privilege';",
+					'  END IF;',
+					'  IF (OLD.owner IS NULL) AND (NEW.owner IS NOT NULL) AND (nopg_current_principals() IS NOT NULL)',
+					'    AND (NOT (NEW.owner = ANY(nopg_current_principals()))) THEN',
+					"    RAISE EXCEPTION 'permission denied to change owner of document %', OLD.id USING ERRCODE = 'insufficient_privilege';",
+					'  END IF;',
+					'  RETURN NEW;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_check_document_acl() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					'  IF NOT nopg_can_write(OLD.owner, OLD.writers) THEN',
+					"    RAISE EXCEPTION 'permission denied to % document %', lower(TG_OP), OLD.id USING ERRCODE = 'insufficient_privilege';",
+					'  END IF;',
+					"  IF TG_OP = 'DELETE' THEN",
+					'    RETURN OLD;',
+					'  END IF;',
+					'  IF (OLD.owner IS NOT NULL) AND (nopg_current_principals() IS NOT NULL)',
+					'    AND (NOT (OLD.owner = ANY(nopg_current_principals())))',
+					'    AND ((NEW.owner, NEW.readers, NEW.writers) IS DISTINCT FROM (OLD.owner, OLD.readers, OLD.writers)) THEN',
+					"    RAISE EXCEPTION 'permission denied to change access of document %', OLD.id USING ERRCODE = 'insufficient_privilege';",
+					'  END IF;',
+					'  RETURN NEW;',
+					'END;',
+					'$$'
+				].join('\n'));
+		}
+	}
+
+];
+/* EOF */
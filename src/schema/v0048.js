@@ -0,0 +1,132 @@
+/** Database schema creation functions */
+var v0045 = require('./v0045.js');
+module.exports = [
+
+	/** Checks that attachments and revisions refer to an existing document. Foreign keys to a partitioned `documents`
+	 * table would have to include the partition key, so this trigger replaces them once the table is partitioned.
+	 * The document is locked like a foreign key would, so it cannot be deleted by a concurrent transaction.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_check_document_reference() RETURNS trigger LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					'  PERFORM 1 FROM documents WHERE id = NEW.documents_id FOR KEY SHARE;',
+					'  IF NOT FOUND THEN',
+					"    RAISE EXCEPTION 'document % does not exist', NEW.documents_id USING ERRCODE = 'foreign_key_violation';",
+					'  END IF;',
+					'  RETURN NEW;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			return db.query('DROP TRIGGER IF EXISTS attachments_documents_id_check ON attachments')
+				.query('DROP TRIGGER IF EXISTS document_revisions_documents_id_check ON document_revisions')
+				.query('DROP FUNCTION nopg_check_document_reference()');
+		}
+	},
+
+	/** Partitioning keeps `(id, type)` unique in `documents` and a primary key on `id` in every partition. The
+	 * triggers of `documents` are created again by name instead of parsing their definitions. Type specific triggers
+	 * of events are dropped and created again by NoPg. Partitioning fails if `documents` has any other trigger, so a
+	 * trigger which is not in this list cannot be lost.
+	 */
+	{
+		up: function(db) {
+			return db.query([
+					'CREATE OR REPLACE FUNCTION nopg_partition_documents() RETURNS void LANGUAGE plpgsql AS $$',
+					'DECLARE',
+					'  r record;',
+					'BEGIN',
+					"  IF (SELECT relkind FROM pg_class WHERE oid = 'documents'::regclass) = 'p' THEN",
+					'    RETURN;',
+					'  END IF;',
+					"  IF current_setting('server_version_num')::integer < 130000 THEN",
+					"    RAISE EXCEPTION 'Partitioned types require PostgreSQL v13 or newer';",
+					'  END IF;',
+					"  FOR r IN SELECT tgname FROM pg_trigger WHERE tgrelid = 'documents'::regclass AND NOT tgisinternal",
+					"    AND tgname NOT IN ('documents_tcn_trigger', 'documents_trash_tcn_trigger', 'documents_insert_revision', 'documents_update_revision',",
+					"      'documents_version', 'documents_acl', 'documents_expires')",
+					"    AND tgname !~ '^documents_(insert|update|delete|trash)_.+_tcn_trigger$' LOOP",
+					"    RAISE EXCEPTION 'Trigger % of documents would be lost by partitioning', r.tgname USING ERRCODE = 'feature_not_supported';",
+					'  END LOOP;',
+					'  ALTER TABLE attachments DROP CONSTRAINT IF EXISTS attachments_documents_id_fkey;',
+					'  ALTER TABLE document_revisions DROP CONSTRAINT IF EXISTS document_revisions_documents_id_fkey;',
+					'  CREATE TRIGGER attachments_documents_id_check BEFORE INSERT OR UPDATE OF documents_id ON attachments FOR EACH ROW EXECUTE PROCEDURE nopg_check_document_reference();',
+					'  CREATE TRIGGER document_revisions_documents_id_check BEFORE INSERT OR UPDATE OF documents_id ON document_revisions FOR EACH ROW EXECUTE PROCEDURE nopg_check_document_reference();',
+					'  ALTER TABLE documents RENAME TO documents_default;',
+					'  CREATE TABLE documents (LIKE documents_default INCLUDING DEFAULTS INCLUDING CONSTRAINTS) PARTITION BY LIST (type);',
+					'  ALTER TABLE documents ADD FOREIGN KEY (types_id) REFERENCES types;',
+					'  ALTER TABLE documents ADD CONSTRAINT documents_id_type_key UNIQUE (id, type);',
+					"  FOR r IN SELECT tgname FROM pg_trigger WHERE tgrelid = 'documents_default'::regclass AND NOT tgisinternal LOOP",
+					"    EXECUTE format('DROP TRIGGER %I ON documents_default', r.tgname);",
+					'  END LOOP;',
+					'  CREATE TRIGGER documents_tcn_trigger AFTER INSERT OR UPDATE OR DELETE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_tcn_notification();',
+					'  CREATE TRIGGER documents_trash_tcn_trigger AFTER UPDATE OF deleted ON documents FOR EACH ROW',
+					'    WHEN (OLD.deleted IS DISTINCT FROM NEW.deleted) EXECUTE PROCEDURE nopg_trash_notification();',
+					'  CREATE TRIGGER documents_insert_revision AFTER INSERT ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_save_document_revision();',
+					'  CREATE TRIGGER documents_update_revision AFTER UPDATE OF content ON documents FOR EACH ROW',
+					'    WHEN (OLD.content IS DISTINCT FROM NEW.content) EXECUTE PROCEDURE nopg_save_document_revision();',
+					'  CREATE TRIGGER documents_version BEFORE UPDATE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_increment_version();',
+					'  CREATE TRIGGER documents_acl BEFORE UPDATE OR DELETE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_check_document_acl();',
+					'  CREATE TRIGGER documents_expires BEFORE INSERT OR UPDATE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_set_document_expires();',
+					'  CREATE TRIGGER documents_delete_children AFTER DELETE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_delete_document_children();',
+					"  FOR r IN SELECT policyname, cmd, qual, with_check FROM pg_policies WHERE schemaname = current_schema() AND tablename = 'documents_default' LOOP",
+					"    EXECUTE format('DROP POLICY %I ON documents_default', r.policyname);",
+					"    EXECUTE format('CREATE POLICY %I ON documents FOR %s', r.policyname, r.cmd)",
+					"      || COALESCE(' USING (' || r.qual || ')', '')",
+					"      || COALESCE(' WITH CHECK (' || r.with_check || ')', '');",
+					'  END LOOP;',
+					'  ALTER TABLE documents ENABLE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents FORCE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents_default NO FORCE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents_default DISABLE ROW LEVEL SECURITY;',
+					'  ALTER TABLE documents ATTACH PARTITION documents_default DEFAULT;',
+					'END;',
+					'$$'
+				].join('\n'))
+				.query([
+					'CREATE OR REPLACE FUNCTION nopg_create_documents_partition(type_name text, partition_name text) RETURNS void LANGUAGE plpgsql AS $$',
+					'BEGIN',
+					'  PERFORM nopg_partition_documents();',
+					'  IF EXISTS (SELECT 1 FROM pg_class WHERE relname = partition_name AND relnamespace = (SELECT oid FROM pg_namespace WHERE nspname = current_schema())) THEN',
+					'    RETURN;',
+					'  END IF;',
+					"  EXECUTE format('CREATE TABLE %I (LIKE documents INCLUDING DEFAULTS INCLUDING CONSTRAINTS)', partition_name);",
+					"  EXECUTE format('ALTER TABLE %I ADD PRIMARY KEY (id)', partition_name);",
+					"  EXECUTE format('INSERT INTO %I SELECT * FROM documents_default WHERE type = %L', partition_name, type_name);",
+					'  ALTER TABLE documents_default DISABLE TRIGGER USER;',
+					"  EXECUTE format('DELETE FROM documents_default WHERE type = %L', type_name);",
+					'  ALTER TABLE documents_default ENABLE TRIGGER USER;',
+					"  EXECUTE format('ALTER TABLE documents ATTACH PARTITION %I FOR VALUES IN (%L)', partition_name, type_name);",
+					'END;',
+					'$$'
+				].join('\n'))
+				.query([
+					'DO $$',
+					'DECLARE',
+					'  r record;',
+					'BEGIN',
+					"  IF (SELECT relkind FROM pg_class WHERE oid = 'documents'::regclass) <> 'p' THEN",
+					'    RETURN;',
+					'  END IF;',
+					'  CREATE TRIGGER attachments_documents_id_check BEFORE INSERT OR UPDATE OF documents_id ON attachments FOR EACH ROW EXECUTE PROCEDURE nopg_check_document_reference();',
+					'  CREATE TRIGGER document_revisions_documents_id_check BEFORE INSERT OR UPDATE OF documents_id ON document_revisions FOR EACH ROW EXECUTE PROCEDURE nopg_check_document_reference();',
+					'  ALTER TABLE documents ADD CONSTRAINT documents_id_type_key UNIQUE (id, type);',
+					"  FOR r IN SELECT c.relname FROM pg_inherits i JOIN pg_class c ON c.oid = i.inhrelid WHERE i.inhparent = 'documents'::regclass",
+					"    AND NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conrelid = c.oid AND contype = 'p') LOOP",
+					"    EXECUTE format('ALTER TABLE %I ADD PRIMARY KEY (id)', r.relname);",
+					'  END LOOP;',
+					'END;',
+					'$$'
+				].join('\n'));
+		},
+		down: function(db) {
+			// Primary keys of the partitions are kept
+			return v0045[2].up(db.query('ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_id_type_key'));
+		}
+	}
+
+];
+/* EOF */
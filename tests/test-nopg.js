@@ -10,6 +10,7 @@ import FS from 'fs';
 
 const PGCONFIG = process.env.PGCONFIG || 'pg://postgres@localhost/test';
 const nopg = process.env.ENABLE_COVERAGE ? require('../dist-cov/index.js') : require('../dist/index.js');
+const NoPgUtils = (process.env.ENABLE_COVERAGE ? require('../dist-cov/NoPgUtils.js') : require('../dist/NoPgUtils.js')).default;
 const NOPG_TIMEOUT = process.env.NOPG_TIMEOUT ? parseInt(process.env.NOPG_TIMEOUT, 10) : undefined;
 
 function readFile (file) {
@@ -83,7 +84,7 @@ describe('nopg', function(){
 					debug.assert(doc.$modified).is('date string');
 					debug.assert(doc.$type).is('null');
 
-					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('doc = ', doc);
 					throw e;
@@ -108,7 +109,7 @@ describe('nopg', function(){
 					debug.assert(type.$created).is('date string');
 					debug.assert(type.$modified).is('date string');
 
-					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('type = ', type);
 					throw e;
@@ -127,7 +128,7 @@ describe('nopg', function(){
 					debug.assert(doc.$modified).is('date string');
 					debug.assert(doc.$type).is('string').equals('Test');
 
-					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('doc = ', doc);
 					throw e;
@@ -152,7 +153,7 @@ describe('nopg', function(){
 					debug.assert(doc.$created).is('date string');
 					debug.assert(doc.$modified).is('date string');
 					debug.assert(doc.$type).is('null');
-					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('doc = ', doc);
 					throw e;
@@ -174,7 +175,7 @@ describe('nopg', function(){
 					debug.assert(doc2.$modified).is('date string');
 					debug.assert(doc2.$type).is('null');
 
-					debug.assert( Object.keys(doc).filter(not_in(['hello', 'hello2', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(doc).filter(not_in(['hello', 'hello2', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('doc2 = ', doc2);
 					throw e;
@@ -1161,7 +1162,7 @@ describe('nopg', function(){
 					debug.assert(type.$created).is('date string');
 					debug.assert(type.$modified).is('date string');
 
-					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('type = ', type);
 					throw e;
@@ -1180,7 +1181,7 @@ describe('nopg', function(){
 					debug.assert(doc.$modified).is('date string');
 					debug.assert(doc.$type).is('string').equals('TestQgBYjQsQ');
 
-					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('doc = ', doc);
 					throw e;
@@ -1201,7 +1202,7 @@ describe('nopg', function(){
 					debug.assert(doc.$modified).is('date string');
 					debug.assert(doc.$type).is('string').equals('TestQgBYjQsQ');
 
-					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('doc = ', doc);
 					throw e;
@@ -1228,7 +1229,7 @@ describe('nopg', function(){
 					debug.assert(type.$created).is('date string');
 					debug.assert(type.$modified).is('date string');
 
-					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('type = ', type);
 					throw e;
@@ -1247,7 +1248,7 @@ describe('nopg', function(){
 					debug.assert(doc.$modified).is('date string');
 					debug.assert(doc.$type).is('string').equals('TestgJBvMX');
 
-					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('doc = ', doc);
 					throw e;
@@ -1268,7 +1269,7 @@ describe('nopg', function(){
 					debug.assert(doc.$modified).is('date string');
 					debug.assert(doc.$type).is('string').equals('TestgJBvMX');
 
-					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(doc).filter(not_in(['hello', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('doc = ', doc);
 					throw e;
@@ -1317,7 +1318,7 @@ describe('nopg', function(){
 					debug.assert(user_type.$created).is('date string');
 					debug.assert(user_type.$modified).is('date string');
 
-					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user_type = ', user_type);
 					throw e;
@@ -1336,7 +1337,7 @@ describe('nopg', function(){
 					debug.assert(group_type.$created).is('date string');
 					debug.assert(group_type.$modified).is('date string');
 
-					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group_type = ', group_type);
 					throw e;
@@ -1355,7 +1356,7 @@ describe('nopg', function(){
 					debug.assert(group.$modified).is('date string');
 					debug.assert(group.$type).is('string').equals('Testmoccpt_group');
 
-					debug.assert( Object.keys(group).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(group).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group = ', group);
 					throw e;
@@ -1377,7 +1378,7 @@ describe('nopg', function(){
 					debug.assert(user.$modified).is('date string');
 					debug.assert(user.$type).is('string').equals('Testmoccpt_user');
 
-					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user = ', user);
 					throw e;
@@ -1415,13 +1416,13 @@ describe('nopg', function(){
 						debug.assert(user.$documents[user.group].$modified).is('date string');
 						debug.assert(user.$documents[user.group].$type).is('string').equals('Testmoccpt_group');
 
-						debug.assert( Object.keys(user.$documents[user.group]).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+						debug.assert( Object.keys(user.$documents[user.group]).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 					} catch(e) {
 						debug.log('user.$documents[user.group] = ', user.$documents[user.group]);
 						throw e;
 					}
 
-					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type', '$documents'])) ).is('array').length(0);
+					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type', '$documents'])) ).is('array').length(0);
 
 				} catch(e) {
 					debug.log('user = ', user);
@@ -1471,7 +1472,7 @@ describe('nopg', function(){
 					debug.assert(user_type.$created).is('date string');
 					debug.assert(user_type.$modified).is('date string');
 
-					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'/*, 'relations'*/])) ).is('array').length(0);
+					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'/*, 'relations'*/])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user_type = ', user_type);
 					throw e;
@@ -1490,7 +1491,7 @@ describe('nopg', function(){
 					debug.assert(group_type.$created).is('date string');
 					debug.assert(group_type.$modified).is('date string');
 
-					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group_type = ', group_type);
 					throw e;
@@ -1509,7 +1510,7 @@ describe('nopg', function(){
 					debug.assert(group.$modified).is('date string');
 					debug.assert(group.$type).is('string').equals('Testfrdocbt_group');
 
-					debug.assert( Object.keys(group).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(group).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group = ', group);
 					throw e;
@@ -1531,7 +1532,7 @@ describe('nopg', function(){
 					debug.assert(user.$modified).is('date string');
 					debug.assert(user.$type).is('string').equals('Testfrdocbt_user');
 
-					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user = ', user);
 					throw e;
@@ -1569,13 +1570,13 @@ describe('nopg', function(){
 						debug.assert(user.$documents[user.group].$modified).is('date string');
 						debug.assert(user.$documents[user.group].$type).is('string').equals('Testfrdocbt_group');
 
-						debug.assert( Object.keys(user.$documents[user.group]).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+						debug.assert( Object.keys(user.$documents[user.group]).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 					} catch(e) {
 						debug.log('user.$documents[user.group] = ', user.$documents[user.group]);
 						throw e;
 					}
 
-					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type', '$documents'])) ).is('array').length(0);
+					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type', '$documents'])) ).is('array').length(0);
 
 				} catch(e) {
 					debug.log('user = ', user);
@@ -1630,7 +1631,7 @@ describe('nopg', function(){
 					debug.assert(user_type.$created).is('date string');
 					debug.assert(user_type.$modified).is('date string');
 
-					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'/*, 'relations'*/])) ).is('array').length(0);
+					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'/*, 'relations'*/])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user_type = ', user_type);
 					throw e;
@@ -1649,7 +1650,7 @@ describe('nopg', function(){
 					debug.assert(group_type.$created).is('date string');
 					debug.assert(group_type.$modified).is('date string');
 
-					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group_type = ', group_type);
 					throw e;
@@ -1670,7 +1671,7 @@ describe('nopg', function(){
 					debug.assert(group.$modified).is('date string');
 					debug.assert(group.$type).is('string').equals('Test_TyWXGCr_group');
 
-					debug.assert( Object.keys(group).filter(not_in(['name', 'password', 'sort_order', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(group).filter(not_in(['name', 'password', 'sort_order', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group = ', group);
 					throw e;
@@ -1695,7 +1696,7 @@ describe('nopg', function(){
 					debug.assert(user.$modified).is('date string');
 					debug.assert(user.$type).is('string').equals('Test_TyWXGCr_user');
 
-					debug.assert( Object.keys(user).filter(not_in(['name', 'group', 'email', 'password', 'sort_order', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(user).filter(not_in(['name', 'group', 'email', 'password', 'sort_order', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user = ', user);
 					throw e;
@@ -1741,7 +1742,7 @@ describe('nopg', function(){
 						throw e;
 					}
 
-					debug.assert( Object.keys(user).filter(not_in(['name', 'group', 'email', 'sort_order', 'password', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type', '$documents'])) ).is('array').length(0);
+					debug.assert( Object.keys(user).filter(not_in(['name', 'group', 'email', 'sort_order', 'password', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type', '$documents'])) ).is('array').length(0);
 
 				} catch(e) {
 					debug.log('user = ', user);
@@ -1796,7 +1797,7 @@ describe('nopg', function(){
 					debug.assert(user_type.$created).is('date string');
 					debug.assert(user_type.$modified).is('date string');
 
-					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'/*, 'relations'*/])) ).is('array').length(0);
+					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'/*, 'relations'*/])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user_type = ', user_type);
 					throw e;
@@ -1815,7 +1816,7 @@ describe('nopg', function(){
 					debug.assert(group_type.$created).is('date string');
 					debug.assert(group_type.$modified).is('date string');
 
-					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group_type = ', group_type);
 					throw e;
@@ -1836,7 +1837,7 @@ describe('nopg', function(){
 					debug.assert(group.$modified).is('date string');
 					debug.assert(group.$type).is('string').equals('Test_ReversedRelations_group');
 
-					debug.assert( Object.keys(group).filter(not_in(['name', 'password', 'sort_order', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(group).filter(not_in(['name', 'password', 'sort_order', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group = ', group);
 					throw e;
@@ -1865,7 +1866,7 @@ describe('nopg', function(){
 					debug.assert(user.$modified).is('date string');
 					debug.assert(user.$type).is('string').equals('Test_ReversedRelations_user');
 
-					debug.assert( Object.keys(user).filter(not_in(['name', 'group', 'email', 'password', 'sort_order', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(user).filter(not_in(['name', 'group', 'email', 'password', 'sort_order', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user = ', user);
 					throw e;
@@ -1920,7 +1921,7 @@ describe('nopg', function(){
 						throw e;
 					}
 
-					debug.assert( Object.keys(group_res).filter(not_in(['name', 'group', 'email', 'sort_order', 'password', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type', '$documents', 'users'])) ).is('array').length(0);
+					debug.assert( Object.keys(group_res).filter(not_in(['name', 'group', 'email', 'sort_order', 'password', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type', '$documents', 'users'])) ).is('array').length(0);
 
 				} catch(e) {
 					debug.log('group = ', group_res);
@@ -1968,7 +1969,7 @@ describe('nopg', function(){
 					debug.assert(user_type.$created).is('date string');
 					debug.assert(user_type.$modified).is('date string');
 
-					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', 'documents'])) ).is('array').length(0);
+					debug.assert( Object.keys(user_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version', 'documents'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user_type = ', user_type);
 					throw e;
@@ -1987,7 +1988,7 @@ describe('nopg', function(){
 					debug.assert(group_type.$created).is('date string');
 					debug.assert(group_type.$modified).is('date string');
 
-					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(group_type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group_type = ', group_type);
 					throw e;
@@ -2006,7 +2007,7 @@ describe('nopg', function(){
 					debug.assert(group.$modified).is('date string');
 					debug.assert(group.$type).is('string').equals('Testferedobytypeaware_group');
 
-					debug.assert( Object.keys(group).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(group).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('group = ', group);
 					throw e;
@@ -2028,7 +2029,7 @@ describe('nopg', function(){
 					debug.assert(user.$modified).is('date string');
 					debug.assert(user.$type).is('string').equals('Testferedobytypeaware_user');
 
-					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('user = ', user);
 					throw e;
@@ -2066,14 +2067,14 @@ describe('nopg', function(){
 						debug.assert(user.$documents[user.group].$modified).is('date string');
 						debug.assert(user.$documents[user.group].$type).is('string').equals('Testferedobytypeaware_group');
 
-						debug.assert( Object.keys(user.$documents[user.group]).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+						debug.assert( Object.keys(user.$documents[user.group]).filter(not_in(['name', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 					} catch(e) {
 						debug.log('user.$documents[user.group] = ', user.$documents[user.group]);
 						debug.log('user = ', user);
 						throw e;
 					}
 
-					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type', '$documents'])) ).is('array').length(0);
+					debug.assert( Object.keys(user).filter(not_in(['name', 'group', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type', '$documents'])) ).is('array').length(0);
 
 				} catch(e) {
 					debug.log('user = ', user);
@@ -2387,7 +2388,7 @@ describe('nopg', function(){
 					debug.assert(type.$created).is('date string');
 					debug.assert(type.$modified).is('date string');
 
-					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('type = ', type);
 					throw e;
@@ -2408,7 +2409,7 @@ describe('nopg', function(){
 					debug.assert(method.$created).is('date string');
 					debug.assert(method.$modified).is('date string');
 
-					debug.assert( Object.keys(method).filter(not_in(['$events', '$active', '$id', '$meta', '$types_id', '$body', '$name', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(method).filter(not_in(['$events', '$active', '$id', '$meta', '$types_id', '$body', '$name', '$created', '$modified', '$version', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('method = ', method);
 					throw e;
@@ -2432,7 +2433,7 @@ describe('nopg', function(){
 					debug.assert(doc.$modified).is('date string');
 					debug.assert(doc.$type).is('string').equals('MethodTest');
 
-					debug.assert( Object.keys(doc).filter(not_in(['hello', 'tag', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$type'])) ).is('array').length(0);
+					debug.assert( Object.keys(doc).filter(not_in(['hello', 'tag', '$events', '$id', '$content', '$types_id', '$created', '$modified', '$version', '$schema_version', '$owner', '$readers', '$writers', '$expires', '$type'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('doc = ', doc);
 					throw e;
@@ -2598,7 +2599,7 @@ describe('nopg', function(){
 					debug.assert(type.$created).is('date string');
 					debug.assert(type.$modified).is('date string');
 
-					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified'])) ).is('array').length(0);
+					debug.assert( Object.keys(type).filter(not_in(['$events', '$id', '$name', '$schema', '$validator', '$meta', '$created', '$modified', '$version'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('type = ', type);
 					throw e;
@@ -2620,7 +2621,7 @@ describe('nopg', function(){
 					debug.assert(view.listFields).is('array').length(1);
 					debug.assert(view.listFields[0]).is('string').equals('name');
 
-					debug.assert( Object.keys(view).filter(not_in(['$events', '$active', '$id', '$meta', '$types_id', '$name', '$created', '$modified', '$type', 'listFields'])) ).is('array').length(0);
+					debug.assert( Object.keys(view).filter(not_in(['$events', '$active', '$id', '$meta', '$types_id', '$name', '$created', '$modified', '$version', '$type', 'listFields'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('view = ', view);
 					throw e;
@@ -2653,7 +2654,7 @@ describe('nopg', function(){
 					debug.assert(view2.listFields).is('array').length(1);
 					debug.assert(view2.listFields[0]).is('string').equals('name');
 
-					debug.assert( Object.keys(view2).filter(not_in(['$events', '$active', '$id', '$meta', '$types_id', '$name', '$created', '$modified', '$type', 'listFields'])) ).is('array').length(0);
+					debug.assert( Object.keys(view2).filter(not_in(['$events', '$active', '$id', '$meta', '$types_id', '$name', '$created', '$modified', '$version', '$type', 'listFields'])) ).is('array').length(0);
 				} catch(e) {
 					debug.log('view2 = ', view2);
 					throw e;
@@ -2663,6 +2664,1310 @@ describe('nopg', function(){
 			});
 		});
 
+		it('typed document search by properties with comparison operators', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestCmpOp8fQ2")()
+			  .create("TestCmpOp8fQ2")({"age":12,"name":"Alice"})
+			  .create("TestCmpOp8fQ2")({"age":18,"name":"bob"})
+			  .create("TestCmpOp8fQ2")({"age":40,"name":"Carol"})
+			  .create("TestCmpOp8fQ2")({"name":"Dave"})
+			  .search("TestCmpOp8fQ2")({"age":{"$gte":18}}, {"order":"age"})
+			  .search("TestCmpOp8fQ2")({"age":{"$gt":10, "$lt":40}, "name":{"$ne":"Alice"}})
+			  .search("TestCmpOp8fQ2")({"name":{"$in":["Alice", "Carol"]}}, {"order":"name"})
+			  .search("TestCmpOp8fQ2")({"age":{"$exists":false}})
+			  .search("TestCmpOp8fQ2")({"name":{"$ilike":"B%"}})
+			  .search("TestCmpOp8fQ2")({"name":{"$regex":/^c/i}})
+			  .then(function(db) {
+				var type = db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				var adults = db.fetch();
+				var teens = db.fetch();
+				var named = db.fetch();
+				var missing = db.fetch();
+				var liked = db.fetch();
+				var matched = db.fetch();
+
+				assert.strictEqual(type.$name, "TestCmpOp8fQ2");
+
+				assert.strictEqual(adults.length, 2);
+				assert.strictEqual(adults[0].name, "bob");
+				assert.strictEqual(adults[1].name, "Carol");
+
+				assert.strictEqual(teens.length, 1);
+				assert.strictEqual(teens[0].name, "bob");
+
+				assert.strictEqual(named.length, 2);
+				assert.strictEqual(named[0].name, "Alice");
+				assert.strictEqual(named[1].name, "Carol");
+
+				assert.strictEqual(missing.length, 1);
+				assert.strictEqual(missing[0].name, "Dave");
+
+				assert.strictEqual(liked.length, 1);
+				assert.strictEqual(liked[0].name, "bob");
+
+				assert.strictEqual(matched.length, 1);
+				assert.strictEqual(matched[0].name, "Carol");
+
+				return db.commit();
+			});
+		});
+
+		it('typed document search with keyset pagination', function(){
+			var page1, page2;
+			return nopg.start(PGCONFIG)
+			  .createType("TestKeysetQ7nd")()
+			  .create("TestKeysetQ7nd")({"index":"1"})
+			  .create("TestKeysetQ7nd")({"index":"2"})
+			  .create("TestKeysetQ7nd")({"index":"3"})
+			  .create("TestKeysetQ7nd")({"index":"4"})
+			  .create("TestKeysetQ7nd")({"index":"5"})
+			  .search("TestKeysetQ7nd")(undefined, {"order":"index", "limit":2, "after":true})
+			  .then(function(db) {
+				var type = db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				page1 = db.fetch();
+
+				assert.strictEqual(type.$name, "TestKeysetQ7nd");
+				assert.strictEqual(page1.length, 2);
+				assert.strictEqual(page1[0].index, "1");
+				assert.strictEqual(page1[1].index, "2");
+				assert.strictEqual(typeof page1.nextCursor, "string");
+				assert.strictEqual(page1.prevCursor, undefined);
+
+				return db.search("TestKeysetQ7nd")(undefined, {"order":"index", "limit":2, "after":page1.nextCursor});
+			}).then(function(db) {
+				page2 = db.fetch();
+
+				assert.strictEqual(page2.length, 2);
+				assert.strictEqual(page2[0].index, "3");
+				assert.strictEqual(page2[1].index, "4");
+				assert.strictEqual(typeof page2.nextCursor, "string");
+				assert.strictEqual(typeof page2.prevCursor, "string");
+
+				return db.search("TestKeysetQ7nd")(undefined, {"order":"index", "limit":2, "after":page2.nextCursor});
+			}).then(function(db) {
+				var page3 = db.fetch();
+
+				assert.strictEqual(page3.length, 1);
+				assert.strictEqual(page3[0].index, "5");
+				assert.strictEqual(page3.nextCursor, undefined);
+
+				return db.search("TestKeysetQ7nd")(undefined, {"order":"index", "limit":2, "before":page2.prevCursor});
+			}).then(function(db) {
+				var page = db.fetch();
+
+				assert.strictEqual(page.length, 2);
+				assert.strictEqual(page[0].$id, page1[0].$id);
+				assert.strictEqual(page[1].$id, page1[1].$id);
+				assert.strictEqual(page.prevCursor, undefined);
+
+				return db.commit();
+			});
+		});
+
+		it('typed document search with keyset pagination over missing order values', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestKeysetN4wp")()
+			  .create("TestKeysetN4wp")({"index":"2"})
+			  .create("TestKeysetN4wp")({"name":"no index"})
+			  .create("TestKeysetN4wp")({"index":"1"})
+			  .create("TestKeysetN4wp")({"name":"no index either"})
+			  .create("TestKeysetN4wp")({"index":"3"})
+			  .then(async function(db) {
+				var items = [];
+				var cursor = true;
+
+				while (cursor) {
+					var page = (await db.search("TestKeysetN4wp")(undefined, {"order":"index", "limit":2, "after":cursor})).fetch();
+					items = items.concat(page);
+					cursor = page.nextCursor;
+				}
+
+				assert.strictEqual(items.length, 5);
+				assert.deepStrictEqual(items.slice(0, 3).map(function(item) { return item.index; }), ["1", "2", "3"]);
+				assert.strictEqual(items[3].index, undefined);
+				assert.strictEqual(items[4].index, undefined);
+
+				var last = (await db.search("TestKeysetN4wp")(undefined, {"order":"index", "limit":2, "before":true})).fetch();
+				assert.strictEqual(last.length, 2);
+				assert.strictEqual(last[0].$id, items[3].$id);
+				assert.strictEqual(last[1].$id, items[4].$id);
+
+				return db.rollback();
+			});
+		});
+
+		it('typed document streaming in batches', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestStreamX3vk")()
+			  .create("TestStreamX3vk")({"index":1})
+			  .create("TestStreamX3vk")({"index":2})
+			  .create("TestStreamX3vk")({"index":3})
+			  .create("TestStreamX3vk")({"index":4})
+			  .create("TestStreamX3vk")({"index":5})
+			  .then(async function(db) {
+				var items = [];
+
+				for await (const doc of db.stream("TestStreamX3vk")(undefined, {"order": ["index"], "batchSize": 2})) {
+					items.push(doc);
+				}
+
+				assert.strictEqual(items.length, 5);
+				items.forEach(function(doc, i) {
+					debug.assert(doc).is('object');
+					assert.strictEqual(doc.$type, "TestStreamX3vk");
+					assert.strictEqual(doc.index, i+1);
+				});
+
+				return db.commit();
+			});
+		});
+
+		it('typed document search by full text', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestFullText2Ljw")({"fullTextIndexes": {"properties": ["name", "description"], "language": "english"}})
+			  .create("TestFullText2Ljw")({"name":"Red shoes","description":"Running shoes in red"})
+			  .create("TestFullText2Ljw")({"name":"Blue hat","description":"A hat for red carpet events"})
+			  .create("TestFullText2Ljw")({"name":"Green socks","description":"Warm socks"})
+			  .search("TestFullText2Ljw")({"$text":"red shoes"})
+			  .search("TestFullText2Ljw")({"$text":"red"}, {"rank":true, "highlight":"StartSel=[, StopSel=]"})
+			  .then(function(db) {
+				var type = db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				var shoes = db.fetch();
+				var ranked = db.fetch();
+
+				assert.strictEqual(type.$name, "TestFullText2Ljw");
+
+				assert.strictEqual(shoes.length, 1);
+				assert.strictEqual(shoes[0].name, "Red shoes");
+
+				assert.strictEqual(ranked.length, 2);
+				assert.strictEqual(ranked[0].name, "Red shoes");
+				assert.strictEqual(ranked[1].name, "Blue hat");
+				assert.ok(ranked[0].$highlight.indexOf("[Red]") >= 0);
+
+				return db.commit();
+			});
+		});
+
+		it('typed document aggregates', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestAggregateR4ks")({"$schema":{"type":"object","properties":{"price":{"type":"number"}}}})
+			  .create("TestAggregateR4ks")({"category":"hats","price":10})
+			  .create("TestAggregateR4ks")({"category":"hats","price":20})
+			  .create("TestAggregateR4ks")({"category":"shoes","price":50})
+			  .create("TestAggregateR4ks")({"category":"shoes","price":70})
+			  .create("TestAggregateR4ks")({"category":"socks","price":5})
+			  .aggregate("TestAggregateR4ks")(undefined, {"group":["category"], "sum":["price"], "avg":["price"], "max":["price"], "count":true})
+			  .aggregate("TestAggregateR4ks")({"price":{"$gt":5}}, {"group":"category", "count":true, "having":{"sum.price":{"$gte":100}}})
+			  .then(function(db) {
+				var type = db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				var all = db.fetch();
+				var expensive = db.fetch();
+
+				assert.strictEqual(type.$name, "TestAggregateR4ks");
+
+				assert.deepStrictEqual(all, [
+					{"category":"hats", "sum":{"price":30}, "avg":{"price":15}, "max":{"price":20}, "count":2},
+					{"category":"shoes", "sum":{"price":120}, "avg":{"price":60}, "max":{"price":70}, "count":2},
+					{"category":"socks", "sum":{"price":5}, "avg":{"price":5}, "max":{"price":5}, "count":1}
+				]);
+
+				assert.deepStrictEqual(expensive, [
+					{"category":"shoes", "count":2}
+				]);
+
+				return db.commit();
+			});
+		});
+
+		it('typed document search with prepareOnly and explain', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestExplainH8dm")({"indexes":["name"]})
+			  .create("TestExplainH8dm")({"name":"foo","age":20})
+			  .search("TestExplainH8dm")({"name":"foo"}, {"prepareOnly":true})
+			  .then(async function(db) {
+				var type = db.fetch();
+				db.fetch();
+				var compiled = db.fetch();
+
+				assert.strictEqual(type.$name, "TestExplainH8dm");
+
+				debug.assert(compiled.query).is('string');
+				assert.ok(compiled.query.indexOf('SELECT ') === 0);
+				assert.deepStrictEqual(compiled.params, ["TestExplainH8dm", "foo"]);
+
+				// The planner would use an index, if it can, even for a small table
+				await db._doQuery("SET LOCAL enable_indexscan = off");
+				await db._doQuery("SET LOCAL enable_bitmapscan = off");
+
+				var report = (await db.search("TestExplainH8dm")({"name":"foo", "age":{"$gt":18}}, {"explain":true})).fetch();
+
+				debug.assert(report.query).is('string');
+				debug.assert(report.params).is('array');
+				debug.assert(report.plan).is('object');
+				debug.assert(report.plan.Plan).is('object');
+				debug.assert(report.seqScans).is('array');
+				assert.strictEqual(report.seqScans.length, 1);
+
+				var scan = report.seqScans[0];
+				assert.ok(/^documents(_|$)/.test(scan.relation));
+				debug.assert(scan.filter).is('string');
+				assert.ok(scan.rows >= 1);
+				assert.deepStrictEqual(scan.indexes, [
+					{"key":"name", "index":"documents_type_name_index"},
+					{"key":"age", "index":undefined}
+				]);
+
+				return db.commit();
+			});
+		});
+
+		it('typed document search by array operators', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestArrayOpK2mz")({"arrayIndexes":["tags"]})
+			  .create("TestArrayOpK2mz")({"name":"a","tags":["red","big"],"lines":[{"sku":"A-1","qty":1}]})
+			  .create("TestArrayOpK2mz")({"name":"b","tags":["red"],"lines":[{"sku":"A-1","qty":3},{"sku":"B-2","qty":1}]})
+			  .create("TestArrayOpK2mz")({"name":"c","tags":[],"lines":[]})
+			  .search("TestArrayOpK2mz")({"tags":{"$contains":"red"}}, {"order":"name"})
+			  .search("TestArrayOpK2mz")({"tags":{"$all":["red","big"]}})
+			  .search("TestArrayOpK2mz")({"tags":{"$any":["big","small"]}})
+			  .search("TestArrayOpK2mz")({"lines":{"$size":{"$gte":2}}})
+			  .search("TestArrayOpK2mz")({"tags":{"$size":0}})
+			  .search("TestArrayOpK2mz")({"lines":{"$elemMatch":{"sku":"A-1","qty":{"$gte":2}}}})
+			  .then(function(db) {
+				var type = db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				var red = db.fetch();
+				var all = db.fetch();
+				var any = db.fetch();
+				var long = db.fetch();
+				var empty = db.fetch();
+				var matched = db.fetch();
+
+				assert.strictEqual(type.$name, "TestArrayOpK2mz");
+
+				assert.deepStrictEqual(red.map(function(doc) { return doc.name; }), ["a", "b"]);
+				assert.deepStrictEqual(all.map(function(doc) { return doc.name; }), ["a"]);
+				assert.deepStrictEqual(any.map(function(doc) { return doc.name; }), ["a"]);
+				assert.deepStrictEqual(long.map(function(doc) { return doc.name; }), ["b"]);
+				assert.deepStrictEqual(empty.map(function(doc) { return doc.name; }), ["c"]);
+				assert.deepStrictEqual(matched.map(function(doc) { return doc.name; }), ["b"]);
+
+				return db.commit();
+			});
+		});
+
+		it('typed document search with nested schema types', function(){
+			var schema = {
+				"type": "object",
+				"definitions": {
+					"stats": {"type": "object", "properties": {"score": {"type": "integer"}}}
+				},
+				"properties": {
+					"stats": {"$ref": "#/definitions/stats"},
+					"born": {"type": "string", "format": "date-time"}
+				}
+			};
+			return nopg.start(PGCONFIG)
+			  .declareType("TestSchemaCastW5pa")({"$schema": schema, "indexes": ["stats.score", "born"]})
+			  .create("TestSchemaCastW5pa")({"name":"a","stats":{"score":9},"born":"2001-05-01T12:00:00+03:00"})
+			  .create("TestSchemaCastW5pa")({"name":"b","stats":{"score":10},"born":"2001-05-01T10:00:00Z"})
+			  .create("TestSchemaCastW5pa")({"name":"c","stats":{"score":100},"born":"1999-12-31T23:00:00Z"})
+			  .search("TestSchemaCastW5pa")(undefined, {"order":"stats.score"})
+			  .search("TestSchemaCastW5pa")({"born":{"$gt":"2001-05-01T09:30:00Z"}}, {"order":"born"})
+			  .then(function(db) {
+				var type = db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				var scores = db.fetch();
+				var born = db.fetch();
+
+				assert.strictEqual(type.$name, "TestSchemaCastW5pa");
+
+				assert.deepStrictEqual(scores.map(function(doc) { return doc.name; }), ["a", "b", "c"]);
+				assert.deepStrictEqual(born.map(function(doc) { return doc.name; }), ["b"]);
+
+				return db.commit();
+			});
+		});
+
+		it('typed document search with query builder', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestBuilderN6te")()
+			  .create("TestBuilderN6te")({"name":"Alice","age":15,"role":"admin"})
+			  .create("TestBuilderN6te")({"name":"Bob","age":20,"role":"user"})
+			  .create("TestBuilderN6te")({"name":"Carol","age":30,"role":"owner"})
+			  .create("TestBuilderN6te")({"name":"Dave","age":12,"role":"user"})
+			  .then(async function(db) {
+
+				var query = function() {
+					return db.find("TestBuilderN6te")
+					  .where('age').gt(18)
+					  .or(function(q) { return q.where('role').in(['admin', 'owner']); })
+					  .orderBy('name', 'desc');
+				};
+
+				var docs = await query().limit(20).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["Carol", "Bob", "Alice"]);
+
+				var first = await query().first();
+				assert.strictEqual(first.name, "Carol");
+
+				var count = await query().count();
+				assert.strictEqual(count, 3);
+
+				var sql = await query().toSQL();
+				debug.assert(sql.query).is('string');
+				debug.assert(sql.params).is('array');
+
+				assert.deepStrictEqual(query().getSearchOpts(), ["OR", {"age": {"$gt": 18}}, {"role": {"$in": ["admin", "owner"]}}]);
+
+				return db.commit();
+			});
+		});
+
+		it('can declare and run views with parameters', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestViewP4gw")()
+			  .create("TestViewP4gw")({"name":"Alice","age":15})
+			  .create("TestViewP4gw")({"name":"Carol","age":30})
+			  .create("TestViewP4gw")({"name":"Bob","age":20})
+			  .declareView("TestViewP4gw")("adults", {"search": {"age": {"$gte": ":minAge"}}, "traits": {"order": ["name"]}})
+			  .then(async function(db) {
+
+				var type = db.fetch();
+				db.fetch();
+				db.fetch();
+				db.fetch();
+				var view = db.fetch();
+				assert.strictEqual(type instanceof nopg.Type, true);
+				assert.strictEqual(view instanceof nopg.View, true);
+				assert.strictEqual(view.$active, true);
+
+				var docs = (await db.runView("TestViewP4gw")("adults", {"minAge": 18})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["Bob", "Carol"]);
+
+				await db.declareView("TestViewP4gw")("adults", {"search": {"age": {"$gt": ":minAge"}, "name": {"$ne": ":)"}}, "traits": {"order": [["name", "DESC"]]}});
+				var view2 = db.fetch();
+				assert.notStrictEqual(view2.$id, view.$id);
+
+				var views = (await db.searchViews("TestViewP4gw")({"$name": "adults"})).fetch();
+				assert.strictEqual(views.length, 1);
+				assert.strictEqual(views[0].$id, view2.$id);
+
+				docs = (await db.runView("TestViewP4gw")("adults", {"minAge": 20})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["Carol"]);
+
+				await assert.rejects(db.runView("TestViewP4gw")("adults", {}), TypeError);
+
+				return db.commit();
+			});
+		});
+
+		it('can run views with escaped colon strings', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestViewEscR2jx")()
+			  .create("TestViewEscR2jx")({"name":":minAge"})
+			  .create("TestViewEscR2jx")({"name":"minAge"})
+			  .declareView("TestViewEscR2jx")("colon", {"search": {"name": "::minAge"}})
+			  .then(async function(db) {
+
+				var docs = (await db.runView("TestViewEscR2jx")("colon")).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), [":minAge"]);
+
+				return db.rollback();
+			});
+		});
+
+		it('can declare views with the same name on different types', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestViewA6sd")()
+			  .createType("TestViewB6sd")()
+			  .create("TestViewA6sd")({"name":"Alice"})
+			  .create("TestViewB6sd")({"name":"Bob"})
+			  .declareView("TestViewA6sd")("list", {"search": {}})
+			  .declareView("TestViewB6sd")("list", {"search": {}})
+			  .then(async function(db) {
+
+				var a = (await db.runView("TestViewA6sd")("list", {})).fetch();
+				assert.deepStrictEqual(a.map(function(doc) { return doc.name; }), ["Alice"]);
+
+				var b = (await db.runView("TestViewB6sd")("list", {})).fetch();
+				assert.deepStrictEqual(b.map(function(doc) { return doc.name; }), ["Bob"]);
+
+				var views = (await db.searchViews("TestViewA6sd")({"$name": "list"})).fetch();
+				assert.strictEqual(views.length, 1);
+				assert.strictEqual(views[0].$active, true);
+
+				return db.rollback();
+			});
+		});
+
+		it('can search documents with total count', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestTotalB8qe")()
+			  .create("TestTotalB8qe")({"name":"Alice","age":15})
+			  .create("TestTotalB8qe")({"name":"Bob","age":20})
+			  .create("TestTotalB8qe")({"name":"Carol","age":30})
+			  .create("TestTotalB8qe")({"name":"Dave","age":40})
+			  .then(async function(db) {
+
+				var docs = (await db.search("TestTotalB8qe")({"age": {"$gte": 18}}, {"order": ["name"], "limit": 2, "offset": 1, "withTotal": true})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["Carol", "Dave"]);
+				assert.strictEqual(docs.total, 3);
+				assert.strictEqual(docs[0].hasOwnProperty('nopg_total'), false);
+
+				docs = (await db.search("TestTotalB8qe")({"age": {"$gte": 18}}, {"order": ["name"], "limit": 2, "offset": 10, "withTotal": true})).fetch();
+				assert.strictEqual(docs.length, 0);
+				assert.strictEqual(docs.total, 3);
+
+				return db.commit();
+			});
+		});
+
+		it('validates and searches jsonb documents', function(){
+			return nopg.start(PGCONFIG)
+			  .createType("TestJsonbM2hs")({"$schema":{"type":"object","properties":{"name":{"type":"string"}},"required":["name"]}})
+			  .create("TestJsonbM2hs")({"name":"Alice","tags":["a","b"],"address":{"city":"Oulu"}})
+			  .create("TestJsonbM2hs")({"name":"Bob","tags":["b"],"address":{"city":"Helsinki"}})
+			  .then(async function(db) {
+
+				var docs = (await db.search("TestJsonbM2hs")({"tags": {"$size": 2}})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["Alice"]);
+				assert.deepStrictEqual(docs[0].address, {"city":"Oulu"});
+
+				docs = (await db.search("TestJsonbM2hs")({"tags": {"$contains": "b"}, "address.city": "Helsinki"})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["Bob"]);
+
+				await assert.rejects(db.create("TestJsonbM2hs")({"tags":[]}));
+
+				return db.rollback();
+			});
+		});
+
+		it('can soft delete, restore and purge documents', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestTrashS5dn")({"softDelete": true})
+			  .create("TestTrashS5dn")({"name":"Alice"})
+			  .create("TestTrashS5dn")({"name":"Bob"})
+			  .then(async function(db) {
+
+				db.fetch();
+				var alice = db.fetch();
+				var bob = db.fetch();
+
+				await db.del(bob);
+
+				var docs = (await db.search("TestTrashS5dn")()).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["Alice"]);
+
+				var count = (await db.count("TestTrashS5dn")()).fetch();
+				assert.strictEqual(count, 1);
+
+				docs = (await db.search("TestTrashS5dn")(undefined, {"withDeleted": true})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.name; }), ["Alice", "Bob"]);
+				assert.strictEqual(docs[0].$deleted, undefined);
+				assert.strictEqual(docs[1].$deleted instanceof Date, true);
+
+				var restored = (await db.restore(bob)).fetch();
+				assert.strictEqual(restored.$id, bob.$id);
+
+				docs = (await db.search("TestTrashS5dn")()).fetch();
+				assert.strictEqual(docs.length, 2);
+
+				await db.del(alice);
+				await db.del(bob);
+
+				var purged = (await db.purge("TestTrashS5dn")({"olderThan": new Date(Date.now() + 60000)})).fetch();
+				assert.strictEqual(purged, 2);
+
+				docs = (await db.search("TestTrashS5dn")(undefined, {"withDeleted": true})).fetch();
+				assert.strictEqual(docs.length, 0);
+
+				return db.commit();
+			});
+		});
+
+		it('can list, get and revert document revisions', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestHistoryV7rb")({"history": true})
+			  .create("TestHistoryV7rb")({"title":"First"})
+			  .then(async function(db) {
+
+				db.fetch();
+				var doc = db.fetch();
+
+				doc = (await db.update(doc, {"title":"Second", "draft": true})).fetch();
+				doc = (await db.update(doc, {"title":"Third"})).fetch();
+
+				var revisions = (await db.history(doc)()).fetch();
+				assert.deepStrictEqual(revisions.map(function(rev) { return rev.$revision; }), [3, 2, 1]);
+				assert.deepStrictEqual(revisions.map(function(rev) { return rev.title; }), ["Third", "Second", "First"]);
+
+				var first = (await db.getRevision(doc, 1)).fetch();
+				assert.strictEqual(first.title, "First");
+				assert.strictEqual(first.$id, doc.$id);
+
+				var reverted = (await db.revert(doc, 1)).fetch();
+				assert.strictEqual(reverted.title, "First");
+				assert.strictEqual(reverted.draft, undefined);
+
+				revisions = (await db.history(doc)({"limit": 1})).fetch();
+				assert.strictEqual(revisions.length, 1);
+				assert.strictEqual(revisions[0].$revision, 4);
+
+				return db.commit();
+			});
+		});
+
+		it('can detect conflicting updates with version check', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestVersionQ3fz")({"versionCheck": true})
+			  .create("TestVersionQ3fz")({"title":"First"})
+			  .then(async function(db) {
+
+				db.fetch();
+				var doc = db.fetch();
+				assert.strictEqual(doc.$version, 1);
+
+				var updated = (await db.update(doc, {"title":"Second"})).fetch();
+				assert.strictEqual(updated.$version, 2);
+
+				await assert.rejects(db.update(doc, {"title":"Stale"}), function(err) {
+					assert.strictEqual(err instanceof nopg.ConflictError, true);
+					assert.strictEqual(err.current.title, "Second");
+					assert.strictEqual(err.current.$version, 2);
+					return true;
+				});
+
+				updated = (await db.update(doc, {"title":"Forced"}, {"versionCheck": false})).fetch();
+				assert.strictEqual(updated.$version, 3);
+
+				return db.commit();
+			});
+		});
+
+		it('can migrate documents to new type schema versions', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestMigrateJ4wc")({"schemaVersion": 1})
+			  .create("TestMigrateJ4wc")({"firstName":"Alice","lastName":"Smith"})
+			  .create("TestMigrateJ4wc")({"firstName":"Bob","lastName":"Jones"})
+			  .declareType("TestMigrateJ4wc")({
+				"schemaVersion": 2,
+				"migrations": [{"from": 1, "to": 2, "up": function(doc) {
+					doc.fullName = doc.firstName + " " + doc.lastName;
+					delete doc.firstName;
+					delete doc.lastName;
+					return doc;
+				}}]
+			  })
+			  .then(async function(db) {
+
+				var docs = (await db.search("TestMigrateJ4wc")(undefined, {"order": ["$created"]})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.fullName; }), ["Alice Smith", "Bob Jones"]);
+				assert.strictEqual(docs[0].firstName, undefined);
+				assert.strictEqual(docs[0].$schema_version, 2);
+
+				var old = (await db.search("TestMigrateJ4wc")({"$schema_version": {"$lt": 2}}, {"migrate": false})).fetch();
+				assert.strictEqual(old.length, 2);
+				assert.strictEqual(old[0].firstName, "Alice");
+
+				var count = (await db.migrateType("TestMigrateJ4wc")()).fetch();
+				assert.strictEqual(count, 2);
+
+				old = (await db.search("TestMigrateJ4wc")({"$schema_version": {"$lt": 2}})).fetch();
+				assert.strictEqual(old.length, 0);
+
+				docs = (await db.search("TestMigrateJ4wc")(undefined, {"migrate": false})).fetch();
+				assert.strictEqual(docs[0].fullName, "Alice Smith");
+				assert.strictEqual(docs[0].firstName, undefined);
+
+				return db.commit();
+			});
+		});
+
+		it('can migrate documents of a type in batches', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestMigrateB8ks")({"schemaVersion": 1})
+			  .create("TestMigrateB8ks")({"index": 1})
+			  .create("TestMigrateB8ks")({"index": 2})
+			  .create("TestMigrateB8ks")({"index": 3})
+			  .create("TestMigrateB8ks")({"index": 4})
+			  .create("TestMigrateB8ks")({"index": 5})
+			  .declareType("TestMigrateB8ks")({
+				"schemaVersion": 2,
+				"migrations": [{"from": 1, "to": 2, "up": function(doc) {
+					doc.number = doc.index;
+					delete doc.index;
+					return doc;
+				}}]
+			  })
+			  .then(async function(db) {
+
+				var batch_size = nopg.defaults.streamBatchSize;
+				nopg.defaults.streamBatchSize = 2;
+				try {
+					var count = (await db.migrateType("TestMigrateB8ks")()).fetch();
+					assert.strictEqual(count, 5);
+				} finally {
+					nopg.defaults.streamBatchSize = batch_size;
+				}
+
+				var docs = (await db.search("TestMigrateB8ks")(undefined, {"order": ["number"], "migrate": false})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.number; }), [1, 2, 3, 4, 5]);
+				assert.strictEqual(docs[0].$schema_version, 2);
+
+				return db.commit();
+			});
+		});
+
+		it('can save documents and events with the tenant of the connection', function(){
+			var payload = nopg.parseTCNPayload('"documents",I,"id"=\'b6913d79-d37a-5977-94b5-95bdfe5cccda\',"tenant"=\'o\'\'reilly\'');
+			assert.deepStrictEqual(payload.keys, {"id": "b6913d79-d37a-5977-94b5-95bdfe5cccda", "tenant": "o'reilly"});
+
+			return nopg.start(PGCONFIG, {"tenant": "TestTenantR6qa"})
+			  .create("TestTenantR6qa")({"name":"Foo"})
+			  .then(async function(db) {
+				var doc = db.fetch();
+
+				var rows = await db._doQuery('SELECT tenant FROM documents WHERE id = $1', [doc.$id]);
+				assert.strictEqual(rows[0].tenant, "TestTenantR6qa");
+
+				rows = await db._doQuery('SELECT tenant FROM types WHERE name = $1', ["TestTenantR6qa"]);
+				assert.strictEqual(rows[0].tenant, "TestTenantR6qa");
+
+				return db.rollback();
+			});
+		});
+
+		it('can isolate tenants from each other when not connected as a superuser', function(){
+			return nopg.start(PGCONFIG, {"tenant": "TestTenantK3vm"})
+			  .create("TestTenantK3vm")({"name":"Foo"})
+			  .then(async function(db) {
+				var doc = db.fetch();
+
+				// Superusers bypass row level security, so the policies are tested with a normal role
+				await db._doQuery('CREATE ROLE test_tenant_k3vm');
+				await db._doQuery('GRANT SELECT, INSERT, UPDATE, DELETE ON documents, types, attachments TO test_tenant_k3vm');
+				await db._doQuery('SET LOCAL ROLE test_tenant_k3vm');
+
+				var rows = await db._doQuery('SELECT id FROM documents WHERE id = $1', [doc.$id]);
+				assert.strictEqual(rows.length, 1);
+
+				await db._doQuery("SELECT set_config('nopg.tenant', $1, true)", ["TestTenantK3vmOther"]);
+
+				rows = await db._doQuery('SELECT id FROM documents WHERE id = $1', [doc.$id]);
+				assert.strictEqual(rows.length, 0);
+
+				rows = await db._doQuery('SELECT id FROM types WHERE name = $1', ["TestTenantK3vm"]);
+				assert.strictEqual(rows.length, 0);
+
+				rows = await db._doQuery("UPDATE documents SET content = '{}' WHERE id = $1 RETURNING id", [doc.$id]);
+				assert.strictEqual(rows.length, 0);
+
+				rows = await db._doQuery('DELETE FROM documents WHERE id = $1 RETURNING id', [doc.$id]);
+				assert.strictEqual(rows.length, 0);
+
+				await assert.rejects(db._doQuery("INSERT INTO documents (content, type, tenant) VALUES ('{}', $1, $2)", ["TestTenantK3vm", "TestTenantK3vm"]), /row-level security/);
+
+				return db.rollback();
+			});
+		});
+
+		it('can limit changes of documents to the owner and writers', function(){
+			var doc;
+			return nopg.start(PGCONFIG, {"principals": ["user:TestAclP2xd:alice"]})
+			  .create("TestAclP2xd")({"title":"First", "$readers": ["user:TestAclP2xd:bob"]})
+			  .then(function(db) {
+				doc = db.fetch();
+				assert.strictEqual(doc.$owner, "user:TestAclP2xd:alice");
+				assert.deepStrictEqual(doc.$readers, ["user:TestAclP2xd:bob"]);
+				return db.commit();
+			}).then(function() {
+				return nopg.start(PGCONFIG, {"principals": ["user:TestAclP2xd:bob"]});
+			}).then(async function(db) {
+				await assert.rejects(db.update(doc, {"title":"Second"}), function(err) {
+					assert.strictEqual(err instanceof nopg.PermissionError, true);
+					return true;
+				});
+				return db.rollback();
+			}).then(function() {
+				return nopg.start(PGCONFIG, {"principals": ["user:TestAclP2xd:alice"]});
+			}).then(async function(db) {
+				var updated = (await db.update(doc, {"title":"Second", "$writers": ["user:TestAclP2xd:bob"]})).fetch();
+				assert.strictEqual(updated.title, "Second");
+				assert.deepStrictEqual(updated.$writers, ["user:TestAclP2xd:bob"]);
+				return db.commit();
+			}).then(function() {
+				return nopg.start(PGCONFIG, {"principals": ["user:TestAclP2xd:bob"]});
+			}).then(async function(db) {
+				var updated = (await db.update(doc, {"title":"Third"})).fetch();
+				assert.strictEqual(updated.title, "Third");
+				return db.commit();
+			});
+		});
+
+		it('can limit reading of documents to the owner, readers and writers when not connected as a superuser', function(){
+			return nopg.start(PGCONFIG)
+			  .create("TestAclR5tq")({"title":"Public"})
+			  .then(async function(db) {
+
+				await db._setPrincipals(["user:TestAclR5tq:alice"], true);
+				await db.create("TestAclR5tq")({"title":"Private"});
+				await db.create("TestAclR5tq")({"title":"Shared", "$readers": ["user:TestAclR5tq:bob"]});
+
+				// Superusers bypass row level security, so the policies are tested with a normal role
+				await db._doQuery('CREATE ROLE test_acl_r5tq');
+				await db._doQuery('GRANT SELECT, INSERT, UPDATE, DELETE ON documents, types, attachments TO test_acl_r5tq');
+				await db._doQuery('SET LOCAL ROLE test_acl_r5tq');
+
+				var docs = (await db.search("TestAclR5tq")(undefined, {"order": ["title"]})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.title; }), ["Private", "Public", "Shared"]);
+
+				await db._doQuery("SELECT set_config('nopg.principals', $1, true)", [JSON.stringify(["user:TestAclR5tq:bob"])]);
+
+				docs = (await db.search("TestAclR5tq")(undefined, {"order": ["title"]})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.title; }), ["Public", "Shared"]);
+
+				await assert.rejects(db.update(docs[0], {"$owner": "user:TestAclR5tq:alice"}), function(err) {
+					assert.strictEqual(err instanceof nopg.PermissionError, true);
+					return true;
+				});
+
+				return db.rollback();
+			});
+		});
+
+		it('can only create documents owned by the principals of the connection', function(){
+			return nopg.start(PGCONFIG, {"principals": ["user:TestAclW4ng:bob"]})
+			  .declareType("TestAclW4ng")()
+			  .then(async function(db) {
+
+				await db._doQuery('CREATE ROLE test_acl_w4ng');
+				await db._doQuery('GRANT SELECT, INSERT, UPDATE, DELETE ON documents, types, attachments TO test_acl_w4ng');
+				await db._doQuery('SET LOCAL ROLE test_acl_w4ng');
+
+				await assert.rejects(db.create("TestAclW4ng")({"title":"Forged", "$owner": "user:TestAclW4ng:alice"}), function(err) {
+					assert.strictEqual(err instanceof nopg.PermissionError, true);
+					return true;
+				});
+
+				return db.rollback();
+			});
+		});
+
+		it('does not partition documents which have unknown triggers', function(){
+			var test = this;
+			return nopg.start(PGCONFIG).then(async function(db) {
+
+				var rows = await db._doQuery("SELECT current_setting('server_version_num')::integer >= 130000 AS supported, (SELECT relkind FROM pg_class WHERE oid = 'documents'::regclass) = 'p' AS partitioned");
+				if (!rows[0].supported || rows[0].partitioned) {
+					await db.rollback();
+					return test.skip();
+				}
+
+				await db._doQuery("CREATE TRIGGER documents_test_unknown_d4kw BEFORE UPDATE ON documents FOR EACH ROW EXECUTE PROCEDURE nopg_increment_version()");
+
+				await assert.rejects(db._doQuery("SELECT nopg_partition_documents()"), /documents_test_unknown_d4kw/);
+
+				return db.rollback();
+			});
+		});
+
+		it('can move documents of a type into its own partition', function(){
+			var test = this;
+			return nopg.start(PGCONFIG)
+			  .create("TestPartitionH8ne")({"name":"Foo"})
+			  .then(async function(db) {
+
+				var rows = await db._doQuery('show server_version_num');
+				if (parseInt(rows[0].server_version_num, 10) < 130000) {
+					await db.rollback();
+					return test.skip();
+				}
+
+				var foo = db.fetch();
+
+				db = await db.declareType("TestPartitionH8ne", {"partitioned": true})({"uniqueIndexes": ["name"]});
+				var type = db.fetch();
+				assert.strictEqual(type.partitioned, true);
+
+				rows = await db._doQuery('SELECT tableoid::regclass::text AS partition FROM documents WHERE id = $1', [foo.$id]);
+				assert.strictEqual(rows[0].partition, "documents_testpartitionh8ne_partition");
+
+				rows = await db._doQuery('SELECT indexdef FROM pg_indexes WHERE indexname = $1', ["documents_testpartitionh8ne_partition_name_index"]);
+				assert.strictEqual(rows.length, 1);
+
+				var bar = (await db.create("TestPartitionH8ne")({"name":"Bar"})).fetch();
+				var docs = (await db.search("TestPartitionH8ne")(undefined, {"order": ["name"]})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.$id; }), [bar.$id, foo.$id]);
+
+				return db.commit();
+			});
+		});
+
+		it('can keep triggers and references of documents when they are partitioned', function(){
+			var test = this;
+			return nopg.start(PGCONFIG)
+			  .declareType("TestPartitionT7cz", {"partitioned": true})()
+			  .create("TestPartitionT7cz")({"name":"Foo"})
+			  .then(async function(db) {
+
+				var rows = await db._doQuery('show server_version_num');
+				if (parseInt(rows[0].server_version_num, 10) < 130000) {
+					await db.rollback();
+					return test.skip();
+				}
+
+				var foo = db.fetch();
+
+				rows = await db._doQuery("SELECT tgname FROM pg_trigger WHERE tgrelid = 'documents'::regclass AND NOT tgisinternal");
+				var triggers = rows.map(function(row) { return row.tgname; });
+				["documents_tcn_trigger", "documents_acl", "documents_version", "documents_expires", "documents_delete_children"].forEach(function(name) {
+					assert.strictEqual(triggers.indexOf(name) >= 0, true, name);
+				});
+
+				rows = await db._doQuery("SELECT conname FROM pg_constraint WHERE conrelid = 'documents_testpartitiont7cz_partition'::regclass AND contype = 'p'");
+				assert.strictEqual(rows.length, 1);
+
+				await db._doQuery("INSERT INTO document_revisions (documents_id, revision, content, modified) VALUES ($1, 100, '{}', now())", [foo.$id]);
+
+				await assert.rejects(
+					db._doQuery("INSERT INTO document_revisions (documents_id, revision, content, modified) VALUES ($1, 1, '{}', now())", ["00000000-0000-4000-8000-000000000000"]),
+					function(err) {
+						assert.strictEqual(err.code, '23503');
+						return true;
+					}
+				);
+
+				return db.rollback();
+			});
+		});
+
+		it('can hide and delete expired documents', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestExpireW3lg")({"ttl": 3600})
+			  .create("TestExpireW3lg")({"name":"Session"})
+			  .create("TestExpireW3lg")({"name":"Expired", "$expires": new Date(Date.now() - 1000)})
+			  .then(async function(db) {
+				db.fetch();
+				var session = db.fetch();
+				var expired = db.fetch();
+
+				assert.strictEqual(new Date(session.$expires).getTime() > Date.now(), true);
+
+				var docs = (await db.search("TestExpireW3lg")()).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.$id; }), [session.$id]);
+
+				docs = (await db.search("TestExpireW3lg")(undefined, {"withExpired": true})).fetch();
+				assert.strictEqual(docs.length, 2);
+
+				await assert.rejects(db.expire("TestExpireW3lg")({"batchSize": 1.5}), TypeError);
+
+				var count = (await db.expire("TestExpireW3lg")({"batchSize": 1})).fetch();
+				assert.strictEqual(count, 1);
+
+				docs = (await db.search("TestExpireW3lg")(undefined, {"withExpired": true})).fetch();
+				assert.deepStrictEqual(docs.map(function(doc) { return doc.$id; }), [session.$id]);
+
+				return db.commit();
+			});
+		});
+
+		it('does not include expired documents in $documents', function(){
+			return nopg.start(PGCONFIG)
+			  .create("TestExpireGroupM2fj")({"name":"Expired", "$expires": new Date(Date.now() - 1000)})
+			  .then(async function(db) {
+				var group = db.fetch();
+
+				var user = (await db.create("TestExpireUserM2fj")({"name":"Alice", "group": group.$id})).fetch();
+
+				user = (await db.searchSingle("TestExpireUserM2fj")({"$id": user.$id}, {"documents": ["group"]})).fetch();
+				assert.strictEqual((user.$documents || {})[group.$id], undefined);
+
+				return db.rollback();
+			});
+		});
+
+		it('can declare composite, partial and gin indexes', function(){
+			var indexes = {
+				"indexes": [
+					{"fields": ["lastLogin"], "where": {"active": true}},
+					{"fields": ["tags"], "method": "gin"}
+				],
+				"uniqueIndexes": [
+					["tenantId", "email"]
+				]
+			};
+			return nopg.start(PGCONFIG)
+			  .declareType("TestIndexesZ5kb")(indexes)
+			  .declareType("TestIndexesZ5kb")(indexes)
+			  .create("TestIndexesZ5kb")({"tenantId": "a", "email": "foo@example.com", "tags": ["x"]})
+			  .create("TestIndexesZ5kb")({"tenantId": "b", "email": "foo@example.com", "tags": ["y"]})
+			  .then(async function(db) {
+
+				var rows = await db._doQuery("SELECT indexname, indexdef FROM pg_indexes WHERE indexname LIKE 'documents_testindexesz5kb_%' ORDER BY indexname");
+				assert.strictEqual(rows.length, 3);
+				assert.strictEqual(rows.filter(function(row) { return row.indexdef.indexOf('CREATE UNIQUE INDEX') === 0; }).length, 1);
+				assert.strictEqual(rows.filter(function(row) { return row.indexdef.indexOf('USING gin') >= 0; }).length, 1);
+				assert.strictEqual(rows.filter(function(row) { return row.indexdef.indexOf(' WHERE ') >= 0; }).length, 3);
+
+				await assert.rejects(db.create("TestIndexesZ5kb")({"tenantId": "a", "email": "foo@example.com"}));
+
+				return db.rollback();
+			});
+		});
+
+		it('can declare partial indexes with regular expressions', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestIndexesV6hd")({"indexes": [
+				{"fields": ["name"], "where": {"name": {"$regex": /^a/i}}},
+				{"fields": ["name"], "where": {"name": {"$regex": /^b/i}}}
+			  ]})
+			  .then(async function(db) {
+
+				var rows = await db._doQuery("SELECT indexdef FROM pg_indexes WHERE indexname LIKE 'documents_testindexesv6hd_%' ORDER BY indexdef");
+				assert.strictEqual(rows.length, 2);
+				assert.ok(rows[0].indexdef.indexOf("'^a'") >= 0, rows[0].indexdef);
+				assert.ok(rows[1].indexdef.indexOf("'^b'") >= 0, rows[1].indexdef);
+
+				return db.rollback();
+			});
+		});
+
+		it('can declare expression indexes', function(){
+			var indexes = {
+				"uniqueIndexes": [
+					{"expression": ["lower", "email"]},
+					["tenantId", ["lower", ["btrim", "name"]]]
+				]
+			};
+			return nopg.start(PGCONFIG)
+			  .declareType("TestIndexesE4tp")(indexes)
+			  .declareType("TestIndexesE4tp")(indexes)
+			  .create("TestIndexesE4tp")({"tenantId": "a", "email": "Foo@Example.com", "name": "Foo"})
+			  .then(async function(db) {
+
+				var rows = await db._doQuery("SELECT indexname, indexdef FROM pg_indexes WHERE indexname LIKE 'documents_testindexese4tp_%' ORDER BY indexname");
+				assert.strictEqual(rows.length, 2);
+				assert.ok(rows[0].indexname.indexOf('documents_testindexese4tp_lower_email_') === 0, rows[0].indexname);
+				assert.ok(rows[0].indexdef.indexOf('lower(') >= 0, rows[0].indexdef);
+				assert.ok(rows[1].indexdef.indexOf('btrim(') >= 0, rows[1].indexdef);
+
+				await assert.rejects(db.create("TestIndexesE4tp")({"tenantId": "b", "email": "foo@example.COM", "name": "Bar"}));
+
+				return db.rollback();
+			});
+		});
+
+		it('does not accept unknown functions in index expressions', function(){
+			return nopg.start(PGCONFIG).then(async function(db) {
+				await assert.rejects(db.declareType("TestIndexesX9fw")({"indexes": [{"expression": ["pg_sleep", "delay"]}]}), TypeError);
+				await assert.rejects(db.declareType("TestIndexesX9fw")({"indexes": [{"expression": ["lower", "tags"], "method": "gin"}]}), TypeError);
+				return db.rollback();
+			});
+		});
+
+		it('can list and prune indexes of a type', function(){
+			var composite = {"fields": ["lastLogin"], "where": {"active": true}};
+			return nopg.start(PGCONFIG)
+			  .declareType("TestIndexesQ8rn")({"indexes": ["testIndexesQ8rnName", composite]})
+			  .then(async function(db) {
+
+				await db.listIndexes("TestIndexesQ8rn");
+				var indexes = db.fetch();
+				var names = indexes.map(function(index) { return index.name; });
+				assert.ok(names.indexOf("documents_type_content_testindexesq8rnname_index") >= 0);
+				var partial = indexes.filter(function(index) { return index.where !== undefined; });
+				assert.strictEqual(partial.length, 1);
+				indexes.forEach(function(index) {
+					assert.strictEqual(typeof index.declared, 'boolean');
+					assert.strictEqual(typeof index.size, 'number');
+					assert.strictEqual(typeof index.scans, 'number');
+				});
+
+				await db.declareIndexes("TestIndexesQ8rn")({"prune": true});
+
+				await db.listIndexes("TestIndexesQ8rn");
+				var kept = db.fetch().map(function(index) { return index.name; });
+				assert.ok(kept.indexOf("documents_type_content_testindexesq8rnname_index") >= 0);
+				assert.ok(kept.indexOf(partial[0].name) >= 0);
+
+				await db.declareIndexes("TestIndexesQ8rn")({"indexes": [], "prune": true});
+
+				await db.listIndexes("TestIndexesQ8rn");
+				var listed = db.fetch();
+				var pruned = listed.map(function(index) { return index.name; });
+				listed.forEach(function(index) {
+					assert.strictEqual(index.declared, true);
+				});
+				assert.strictEqual(pruned.indexOf("documents_type_content_testindexesq8rnname_index"), -1);
+				assert.strictEqual(pruned.indexOf("documents_content_testindexesq8rnname_index"), -1);
+				assert.ok(pruned.indexOf("documents_type_id_index") >= 0);
+				assert.strictEqual(pruned.indexOf(partial[0].name), -1);
+
+				var type = (await db.getType("TestIndexesQ8rn")).fetch();
+				assert.deepStrictEqual(type.indexes, []);
+
+				return db.rollback();
+			});
+		});
+
+		it('can migrate database schema down and up', function(){
+			var latest = require('../src/schema/latest.js');
+			return nopg.start(PGCONFIG).then(async function(db) {
+
+				var plan = (await db.migrate({"to": latest - 2, "dryRun": true})).fetch();
+				assert.deepStrictEqual(plan.map(function(item) { return item.version; }), [latest, latest - 1]);
+				assert.strictEqual(plan[0].direction, 'down');
+				assert.ok(plan[0].queries.length >= 1);
+				assert.strictEqual(await db._getDBVersion(), latest);
+
+				plan = (await db.migrate({"to": 33, "dryRun": true})).fetch();
+				assert.strictEqual(plan.length, latest - 33);
+				assert.strictEqual(plan[plan.length - 1].version, 34);
+				plan.forEach(function(item) {
+					assert.strictEqual(item.direction, 'down');
+				});
+
+				await assert.rejects(db.migrate({"to": 32}), TypeError);
+
+				await db.migrate({"to": latest - 1});
+				assert.strictEqual(await db._getDBVersion(), latest - 1);
+
+				await db.migrate();
+				assert.deepStrictEqual(db.fetch().map(function(item) { return item.version; }), [latest]);
+				assert.strictEqual(await db._getDBVersion(), latest);
+
+				return db.rollback();
+			});
+		});
+
+		it('can test the PLv8 mode of the database', function(){
+			return nopg.start(PGCONFIG).then(async function(db) {
+
+				var mode = (await db.test()).fetch();
+				assert.ok( (mode === 'plv8') || (mode === 'no-plv8') );
+
+				await assert.rejects(db.init({"plv8": mode !== 'plv8'}), TypeError);
+
+				if (mode === 'no-plv8') {
+					await assert.rejects(db.search("Foobar")(["BIND", "foo", function(foo) { return true; }]), TypeError);
+				}
+
+				return db.rollback();
+			});
+		});
+
+		it('can use a schema of its own', function(){
+			var latest = require('../src/schema/latest.js');
+			return nopg.start(PGCONFIG, {"schema": "nopg_test_app1"}).then(async function(db) {
+
+				await db.init();
+				assert.strictEqual(await db._getDBVersion(), latest);
+
+				var doc = (await db.create("TestSchemaK2mv")({"hello": "world"})).fetch();
+				var rows = await db._doQuery("SELECT COUNT(*) AS count FROM nopg_test_app1.documents WHERE id = $1", [doc.$id]);
+				assert.strictEqual(parseInt(rows[0].count, 10), 1);
+
+				assert.strictEqual(nopg.parseTCNChannelName('TestSchemaK2mv#create', 'nopg_test_app1'), 'nopg_test_app1_tcntestschemak2mv');
+
+				return db.rollback();
+			});
+		});
+
+		it('casts date-time strings without depending on the session time zone', function(){
+			return nopg.start(PGCONFIG).then(async function(db) {
+
+				await db._doQuery("SET LOCAL TimeZone = 'America/New_York'");
+
+				var rows = await db._doQuery("SELECT nopg_to_timestamptz($1) = $2::timestamptz AS utc, nopg_to_timestamptz($3) = $2::timestamptz AS with_offset", [
+					"2020-01-02T03:04:05",
+					"2020-01-02T03:04:05Z",
+					"2020-01-02T05:04:05+02:00"
+				]);
+				assert.strictEqual(rows[0].utc, true);
+				assert.strictEqual(rows[0].with_offset, true);
+
+				rows = await db._doQuery("SELECT nopg_to_timestamptz($1) AS us, nopg_to_timestamptz($2) AS empty, nopg_to_timestamptz($3) AS overflow", [
+					"01/02/2020",
+					"",
+					"2020-13-45"
+				]);
+				assert.strictEqual(rows[0].us, null);
+				assert.strictEqual(rows[0].empty, null);
+				assert.strictEqual(rows[0].overflow, null);
+
+				return db.rollback();
+			});
+		});
+
+		it('can save and search documents with invalid strings in indexed date-time properties', function(){
+			return nopg.start(PGCONFIG)
+			  .declareType("TestBirthdayL8qe")({
+				"$schema": {"type": "object", "properties": {"birthday": {"type": "string", "format": "date-time"}}},
+				"indexes": ["birthday"]
+			  })
+			  .create("TestBirthdayL8qe")({"name": "empty", "birthday": ""})
+			  .create("TestBirthdayL8qe")({"name": "valid", "birthday": "2000-01-02T03:04:05Z"})
+			  .search("TestBirthdayL8qe")({"birthday": {"$gt": "1990-01-01T00:00:00Z"}}, {"order": ["birthday"]})
+			  .then(function(db) {
+				var found = db.fetch();
+				assert.deepStrictEqual(found.map(function(doc) { return doc.name; }), ["valid"]);
+				return db.rollback();
+			});
+		});
+
+		it('can convert every PLv8 function of the schema for databases without PLv8', async function(){
+			var latest = require('../src/schema/latest.js');
+			var count = 0;
+			for (var version = 1; version <= latest; version += 1) {
+				var steps = NoPgUtils.load_schema_steps(version);
+				for (var i = 0; i < steps.length; i += 1) {
+					var queries = [];
+					await steps[i].up(NoPgUtils.create_query_recorder(queries));
+					queries.filter(function(query) {
+						return /^CREATE (OR REPLACE )?FUNCTION /.test(query) && /LANGUAGE plv8/i.test(query.split(' AS ')[0]);
+					}).forEach(function(query) {
+						var converted = NoPgUtils.pg_no_plv8_query(query);
+						assert.notStrictEqual(converted, query, "v" + version + ": " + query.split('\n')[0]);
+						assert.ok(/^CREATE OR REPLACE FUNCTION [a-zA-Z0-9_.]+\([^)]*\) RETURNS [a-z]+ LANGUAGE (sql|plpgsql) /.test(converted), converted);
+						count += 1;
+					});
+				}
+			}
+			assert.ok(count >= 1);
+		});
+
+		it('can validate documents with the schema and the validator of the type', function(){
+			var type = {
+				"id": "b6913d79-d37a-5977-94b5-95bdfe5cccda",
+				"name": "TestValidateU3pe",
+				"schema": {"type": "object", "properties": {"age": {"type": "number"}}},
+				"validator": "function(doc) { return doc.age >= 18; }"
+			};
+
+			NoPgUtils.validate_document(type, {"age": 20});
+			NoPgUtils.validate_document({"id": type.id, "name": type.name}, {"age": "any"});
+
+			assert.throws(function() { NoPgUtils.validate_document(type, {"age": "20"}); }, /failed JSON schema type check/);
+			assert.throws(function() { NoPgUtils.validate_document(type, {"age": 10}); }, /failed custom type check/);
+		});
+
+		it('fetches the same $documents with SQL as with get_documents()', function(){
+			var test = this;
+			return nopg.start(PGCONFIG)
+			  .create("TestDocsGroupP7sx")({"name":"Admins"})
+			  .create("TestDocsTagP7sx")({"name":"foo"})
+			  .create("TestDocsTagP7sx")({"name":"bar"})
+			  .then(async function(db) {
+
+				if ((await db.test()).fetch() !== 'plv8') {
+					await db.rollback();
+					return test.skip();
+				}
+
+				var group = db.fetch();
+				var foo = db.fetch();
+				var bar = db.fetch();
+
+				await db.create("TestDocsUserP7sx")({"name":"Alice", "group": group.$id, "tags": [foo.$id, bar.$id]});
+				await db.create("TestDocsUserP7sx")({"name":"Bob", "group": group.$id});
+
+				var searches = [
+					["TestDocsUserP7sx", ["group", "tags|name"]],
+					["TestDocsGroupP7sx", ["users{TestDocsUserP7sx#group}|name"]]
+				];
+
+				for (var i = 0; i < searches.length; i += 1) {
+					var traits = {"documents": searches[i][1], "order": ["$created"]};
+
+					var expected = (await db.search(searches[i][0])(undefined, traits)).fetch();
+
+					// The mode of the connection is cached, so `$documents` are read with SQL
+					db._plv8 = false;
+					var actual;
+					try {
+						actual = (await db.search(searches[i][0])(undefined, traits)).fetch();
+					} finally {
+						db._plv8 = true;
+					}
+
+					assert.deepStrictEqual(
+						actual.map(function(doc) { return doc.$documents; }),
+						expected.map(function(doc) { return doc.$documents; })
+					);
+				}
+
+				return db.rollback();
+			});
+		});
+
+		it('can fetch $documents with SQL in the mode without PLv8', function(){
+			return nopg.start(PGCONFIG)
+			  .create("TestDocsGroupN3vb")({"name":"Admins"})
+			  .create("TestDocsTagN3vb")({"name":"foo"})
+			  .then(async function(db) {
+
+				var group = db.fetch();
+				var tag = db.fetch();
+
+				await db.create("TestDocsUserN3vb")({"name":"Alice", "group": group.$id, "tags": [tag.$id]});
+
+				// The mode of the connection is cached, so `$documents` are read with SQL
+				var plv8 = db._plv8;
+				db._plv8 = false;
+				var users;
+				try {
+					users = (await db.search("TestDocsUserN3vb")({"name":"Alice"}, {"documents": ["group", "tags|name"]})).fetch();
+				} finally {
+					db._plv8 = plv8;
+				}
+
+				assert.strictEqual(users.length, 1);
+				assert.strictEqual(users[0].$documents[group.$id].name, "Admins");
+				assert.strictEqual(users[0].$documents[group.$id].$id, group.$id);
+				assert.strictEqual(users[0].$documents[tag.$id].name, "foo");
+
+				return db.rollback();
+			});
+		});
+
+		it('resets the schema of a connection when it is disconnected', async function(){
+			var db = await nopg.connect(PGCONFIG, {"schema": "nopg_test_reset_p2hq"});
+
+			var rows = await db._doQuery("SELECT current_setting('search_path') AS search_path");
+			assert.ok(rows[0].search_path.indexOf('nopg_test_reset_p2hq') >= 0, rows[0].search_path);
+
+			await db.disconnect();
+			assert.strictEqual(db._schema, 'public');
+
+			db = await nopg.connect(PGCONFIG);
+			rows = await db._doQuery("SELECT current_setting('search_path') AS search_path");
+			assert.strictEqual(rows[0].search_path.indexOf('nopg_test_reset_p2hq'), -1);
+			await db.disconnect();
+		});
+
 // End of tests
 
 	});